@@ -0,0 +1,180 @@
+'use strict';
+
+const { KINDS } = require('./kinds.cjs');
+
+// Announcement addresses remembered (anyone can publish any number of `d` tags)
+const MAX_AGENTS = 1000;
+
+// Price units we can turn into sats
+const SATS_PER_UNIT = { sat: 1, sats: 1, msat: 0.001, msats: 0.001, btc: 1e8 };
+
+function tagValues(event, name) {
+  return event.tags.filter(t => t[0] === name && t[1]).map(t => t[1]);
+}
+
+function parseContent(content) {
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function parsePrice(amount, unit = 'sats', per = null) {
+  const value = Number(amount);
+  if (amount === '' || amount == null || !Number.isFinite(value) || value < 0) return null;
+  const rate = SATS_PER_UNIT[String(unit).toLowerCase()];
+  return { amount: value, unit, per, sats: rate != null ? Math.round(value * rate * 1000) / 1000 : null };
+}
+
+/**
+ * Parse an agent-discovery service announcement (kind 38990)
+ *
+ * Capabilities come from `c` tags, DVM kinds from `k` tags and prices from
+ * `["price", amount, unit, per]` tags; a JSON content object fills in
+ * whatever the tags leave out (`name`, `about`, `capabilities`, `price`).
+ *
+ * @param {Object} event - Kind 38990 event
+ * @returns {{ id: string, pubkey: string, name: string|null, about: string|null, capabilities: string[],
+ *   kinds: number[], prices: Object[], lud16: string|null, status: string|null, createdAt: number }}
+ */
+function parseAgentService(event) {
+  const content = parseContent(event.content);
+  const d = tagValues(event, 'd')[0] || '';
+  const first = (name) => tagValues(event, name)[0] || null;
+
+  let capabilities = tagValues(event, 'c');
+  if (capabilities.length === 0 && Array.isArray(content.capabilities)) {
+    capabilities = content.capabilities.filter(c => typeof c === 'string');
+  }
+
+  let prices = event.tags.filter(t => t[0] === 'price').map(t => parsePrice(t[1], t[2], t[3] || null));
+  if (prices.length === 0 && content.price != null) {
+    const price = typeof content.price === 'object' ? content.price : { amount: content.price };
+    prices = [parsePrice(price.amount, price.unit, price.per || null)];
+  }
+
+  return {
+    id: `${KINDS.AGENT_SERVICE}:${event.pubkey}:${d}`,
+    pubkey: event.pubkey,
+    name: first('name') || (typeof content.name === 'string' ? content.name : null),
+    about: first('about') || (typeof content.about === 'string' ? content.about : null),
+    capabilities: Array.from(new Set(capabilities)),
+    kinds: Array.from(new Set(tagValues(event, 'k').map(Number).filter(Number.isInteger))),
+    prices: prices.filter(Boolean),
+    lud16: first('lud16') || (typeof content.lud16 === 'string' ? content.lud16 : null),
+    status: first('status'),
+    createdAt: event.created_at
+  };
+}
+
+/**
+ * Normalize `channels.agents` (`true` or `{ capabilities, kinds, minPriceSats, maxPriceSats }`)
+ */
+function agentCriteria(option) {
+  const opts = option && typeof option === 'object' ? option : {};
+  return {
+    capabilities: [].concat(opts.capabilities || []),
+    kinds: [].concat(opts.kinds || []),
+    minPriceSats: opts.minPriceSats != null ? opts.minPriceSats : null,
+    maxPriceSats: opts.maxPriceSats != null ? opts.maxPriceSats : null
+  };
+}
+
+/**
+ * Filters for announcements offering any of the capabilities or DVM kinds
+ * we care about (all announcements if neither is given). Prices can't be
+ * filtered by relays; see `matchesAgent`.
+ */
+function agentFilters(option, since = null) {
+  const { capabilities, kinds } = agentCriteria(option);
+  const base = { kinds: [KINDS.AGENT_SERVICE], ...(since ? { since } : {}) };
+  if (capabilities.length === 0 && kinds.length === 0) return [base];
+  return [
+    ...(capabilities.length ? [{ ...base, '#c': capabilities }] : []),
+    ...(kinds.length ? [{ ...base, '#k': kinds.map(String) }] : [])
+  ];
+}
+
+/**
+ * Does a parsed announcement match `channels.agents`? Capabilities and kinds
+ * match if any overlaps; with a price range, some price must be in sats and
+ * inside it.
+ */
+function matchesAgent(agent, option) {
+  const { capabilities, kinds, minPriceSats, maxPriceSats } = agentCriteria(option);
+  if (capabilities.length || kinds.length) {
+    const offers = agent.capabilities.some(c => capabilities.includes(c)) || agent.kinds.some(k => kinds.includes(k));
+    if (!offers) return false;
+  }
+  if (minPriceSats == null && maxPriceSats == null) return true;
+  return agent.prices.some(p => p.sats != null &&
+    (minPriceSats == null || p.sats >= minPriceSats) &&
+    (maxPriceSats == null || p.sats <= maxPriceSats));
+}
+
+/**
+ * Local directory of agents from their service announcements
+ *
+ * Keyed by announcement address; older versions of an announcement are
+ * ignored, and one that no longer matches `channels.agents` is removed.
+ * At most MAX_AGENTS addresses are kept; the least recently announced go
+ * first.
+ *
+ * @param {Object} [opts]
+ * @param {boolean|Object} [opts.criteria] - `channels.agents`
+ */
+function createAgentDirectory({ criteria = true } = {}) {
+  const agents = new Map();   // address -> agent
+  const versions = new Map(); // address -> newest created_at seen, matching or not
+
+  /**
+   * Apply an announcement
+   *
+   * @returns {Object|null} The agent with `updated` (whether we knew it before), or null if it was old news or no match
+   */
+  function handle(event) {
+    if (event.kind !== KINDS.AGENT_SERVICE) return null;
+    const agent = parseAgentService(event);
+    if (versions.get(agent.id) >= agent.createdAt) return null;
+    // Re-insert so Map order is least recently announced first
+    versions.delete(agent.id);
+    versions.set(agent.id, agent.createdAt);
+    if (versions.size > MAX_AGENTS) {
+      const oldest = versions.keys().next().value;
+      versions.delete(oldest);
+      agents.delete(oldest);
+    }
+    const current = agents.get(agent.id);
+    if (!matchesAgent(agent, criteria)) {
+      agents.delete(agent.id);
+      return null;
+    }
+    agents.set(agent.id, agent);
+    return { ...agent, updated: Boolean(current) };
+  }
+
+  /**
+   * Known agents, newest announcement first
+   *
+   * @param {Object} [query]
+   * @param {string} [query.capability]
+   * @param {number} [query.kind] - DVM request kind
+   * @param {number} [query.maxPriceSats]
+   * @param {string} [query.pubkey]
+   */
+  function list({ capability = null, kind = null, maxPriceSats = null, pubkey = null } = {}) {
+    return Array.from(agents.values())
+      .filter(a => !pubkey || a.pubkey === pubkey)
+      .filter(a => !capability || a.capabilities.includes(capability))
+      .filter(a => kind == null || a.kinds.includes(kind))
+      .filter(a => maxPriceSats == null || a.prices.some(p => p.sats != null && p.sats <= maxPriceSats))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(a => ({ ...a }));
+  }
+
+  return { handle, list, size: () => agents.size };
+}
+
+module.exports = { parseAgentService, agentFilters, matchesAgent, createAgentDirectory };
@@ -0,0 +1,93 @@
+'use strict';
+
+// NIP-01 machine-readable prefix on CLOSED messages
+const AUTH_REQUIRED = 'auth-required:';
+
+/**
+ * Did the relay close a subscription because we haven't authenticated?
+ */
+function isAuthRequired(reason) {
+  return typeof reason === 'string' && reason.startsWith(AUTH_REQUIRED);
+}
+
+// Reasons nostr-tools gives when we close a subscription or the connection drops
+const LOCAL_CLOSE = 'closed by caller';
+const CONNECTION_CLOSE = 'relay connection';
+
+/**
+ * Was a subscription closed by the relay (as opposed to by us / a disconnect)?
+ * Any CLOSED counts: `auth-required:`, `restricted:`, `rate-limited:`, `invalid:`, ...
+ */
+function isRelayRefusal(reason) {
+  return typeof reason === 'string' && reason !== LOCAL_CLOSE && !reason.startsWith(CONNECTION_CLOSE);
+}
+
+/**
+ * Can this signer answer AUTH challenges?
+ */
+function canAuth(signer) {
+  return !!(signer && typeof signer.signEvent === 'function');
+}
+
+/**
+ * Answer NIP-42 AUTH challenges from a relay
+ *
+ * nostr-tools signs the challenge as soon as it arrives (via `relay.onauth`)
+ * but never looks at the relay's answer. This watches the outcome and
+ * exposes `authenticate()` so callers can wait for auth after an
+ * `auth-required` CLOSED and then resubscribe. A relay may refuse a REQ
+ * before it has sent its challenge, so `authenticate()` waits for one.
+ *
+ * @param {Object} relay - nostr-tools Relay
+ * @param {Object} signer - Anything with `signEvent(template)`
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs] - Give up waiting for the relay's OK (default: 10000)
+ * @param {Function} [opts.onResult] - Called with null on success or an Error on failure
+ */
+function attachAuth(relay, signer, { timeoutMs = 10000, onResult = null } = {}) {
+  let pending = null;
+  let challenged = null; // resolves when the first challenge arrives
+  let onChallenge = null;
+  const sign = (template) => signer.signEvent(template);
+
+  function waitForChallenge() {
+    if (relay.challenge) return Promise.resolve();
+    if (!challenged) challenged = new Promise(resolve => { onChallenge = resolve; });
+    return challenged;
+  }
+
+  function authenticate() {
+    if (pending) return pending;
+
+    let timer;
+    pending = Promise.race([
+      waitForChallenge().then(() => relay.auth(sign)),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('auth timed out')), timeoutMs);
+      })
+    ]).then(() => {
+      clearTimeout(timer);
+      if (onResult) onResult(null);
+    }, (err) => {
+      clearTimeout(timer);
+      pending = null; // allow a retry on the next challenge
+      const error = err instanceof Error ? err : new Error(String(err));
+      if (onResult) onResult(error);
+      throw error;
+    });
+
+    return pending;
+  }
+
+  relay.onauth = async (template) => {
+    if (onChallenge) onChallenge();
+    const signed = await sign(template);
+    // nostr-tools has registered its auth promise by now; watch it
+    authenticate().catch(() => {});
+    return signed;
+  };
+
+  return { authenticate };
+}
+
+module.exports = { attachAuth, canAuth, isAuthRequired, isRelayRefusal };
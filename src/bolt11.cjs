@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * Minimal BOLT-11 invoice decoder
+ *
+ * Only what zap validation needs: network, amount, timestamp, payment hash
+ * and description hash. The invoice signature is not checked — that's the
+ * wallet's job, we only compare fields against the zap request.
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+// msats per unit of each amount multiplier (1 BTC = 10^11 msat)
+const MULTIPLIERS = {
+  '': 100000000000n,
+  m: 100000000n,
+  u: 100000n,
+  n: 100n
+};
+
+// Tagged field types (value = index in CHARSET)
+const TAG_PAYMENT_HASH = 1;      // p
+const TAG_DESCRIPTION = 13;      // d
+const TAG_DESCRIPTION_HASH = 23; // h
+const TAG_EXPIRY = 6;            // x
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  const out = [];
+  for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) >> 5);
+  out.push(0);
+  for (let i = 0; i < hrp.length; i++) out.push(hrp.charCodeAt(i) & 31);
+  return out;
+}
+
+function wordsToBytes(words) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const w of words) {
+    acc = (acc << 5) | w;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+}
+
+function wordsToInt(words) {
+  return words.reduce((n, w) => n * 32 + w, 0);
+}
+
+function parseAmount(str) {
+  if (!str) return null;
+  const match = /^(\d+)([munp]?)$/.exec(str);
+  if (!match) throw new Error('invalid amount');
+  const [, digits, unit] = match;
+  const value = BigInt(digits);
+
+  if (unit === 'p') {
+    // 1 pico-BTC = 0.1 msat; only whole msats are valid
+    if (value % 10n !== 0n) throw new Error('amount has sub-millisatoshi precision');
+    return value / 10n;
+  }
+  return value * MULTIPLIERS[unit];
+}
+
+/**
+ * Decode a BOLT-11 invoice
+ *
+ * @param {string} invoice - bech32 invoice (lnbc..., lntb..., ...)
+ * @returns {{ network: string, amountMsats: number|null, timestamp: number,
+ *   expiry: number|null, paymentHash: string|null, description: string|null,
+ *   descriptionHash: string|null }}
+ */
+function decodeBolt11(invoice) {
+  if (typeof invoice !== 'string') throw new Error('invoice must be a string');
+  const str = invoice.toLowerCase().replace(/^lightning:/, '');
+
+  const sep = str.lastIndexOf('1');
+  if (sep < 3) throw new Error('invalid bech32 invoice');
+  const hrp = str.slice(0, sep);
+  const words = [];
+  for (const c of str.slice(sep + 1)) {
+    const v = CHARSET.indexOf(c);
+    if (v === -1) throw new Error('invalid bech32 character');
+    words.push(v);
+  }
+  if (polymod(hrpExpand(hrp).concat(words)) !== 1) throw new Error('invalid bech32 checksum');
+
+  const match = /^ln(bcrt|bc|tbs|tb|sb)(\w*)$/.exec(hrp);
+  if (!match) throw new Error('not a lightning invoice');
+  const [, network, amountStr] = match;
+
+  // Data: 7-word timestamp, tagged fields, 104-word signature, 6-word checksum
+  const data = words.slice(0, -6 - 104);
+  const result = {
+    network,
+    amountMsats: null,
+    timestamp: wordsToInt(data.slice(0, 7)),
+    expiry: null,
+    paymentHash: null,
+    description: null,
+    descriptionHash: null
+  };
+
+  const amount = parseAmount(amountStr);
+  if (amount !== null) result.amountMsats = Number(amount);
+
+  let i = 7;
+  while (i + 3 <= data.length) {
+    const type = data[i];
+    const len = data[i + 1] * 32 + data[i + 2];
+    const field = data.slice(i + 3, i + 3 + len);
+    i += 3 + len;
+
+    if (type === TAG_PAYMENT_HASH && len === 52) {
+      result.paymentHash = wordsToBytes(field).toString('hex');
+    } else if (type === TAG_DESCRIPTION_HASH && len === 52) {
+      result.descriptionHash = wordsToBytes(field).toString('hex');
+    } else if (type === TAG_DESCRIPTION) {
+      result.description = wordsToBytes(field).toString('utf8');
+    } else if (type === TAG_EXPIRY) {
+      result.expiry = wordsToInt(field);
+    }
+  }
+
+  return result;
+}
+
+module.exports = { decodeBolt11 };
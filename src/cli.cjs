@@ -1,7 +1,11 @@
 #!/usr/bin/env node
 'use strict';
 
-const { createInbox, poll, KINDS } = require('./index.cjs');
+const path = require('path');
+const { createInbox, createServer, createWebhook, poll, fetchTrust, buildDigest, KINDS } = require('./index.cjs');
+const {
+  defaultConfigPath, normalizePubkey, loadConfig, validateConfig, channelsFromList, resolveProfile
+} = require('./config.cjs');
 
 const PRIORITY_COLORS = {
   high: '\x1b[31m',    // red
@@ -17,23 +21,72 @@ function usage() {
 Usage:
   nostr-inbox watch [options]    Stream notifications in real-time
   nostr-inbox poll [options]     One-shot check (fetch and exit)
+  nostr-inbox serve [options]    Share one inbox with local agents over HTTP (SSE, WebSocket, REST)
+  nostr-inbox digest [options]   Summary of a period (default: the last 24 hours)
+  nostr-inbox trust [options]    Show your ai.wot trust score and attestations
+  nostr-inbox config show        Print the settings a command would run with (profile + flags)
+  nostr-inbox config validate    Check the config file and exit non-zero on problems
   nostr-inbox help               Show this help
 
 Options:
-  --pubkey <hex>          Your Nostr pubkey (hex)
+  --config <file>         Config file (default: ~/.config/nostr-inbox/config.json)
+  --profile <name>        Named profile from the config file (default: its defaultProfile)
+  --pubkey <hex|npub>     Your Nostr pubkey
   --relays <urls>         Comma-separated relay URLs
+  --outbox                Use the relays from your kind 10002 / 10050 lists instead of --relays
+  --bootstrap <urls>      Comma-separated relays to look those lists up on (with --outbox)
   --since <timestamp>     Only events after this Unix timestamp
   --since-ago <seconds>   Events from N seconds ago (default: 3600)
-  --channels <types>      Comma-separated: mentions,dms,dvmRequests,dvmResults,zaps,reactions,trust,marketplace
+  --channels <types>      Comma-separated: mentions,dms,dvmRequests,dvmResults,zaps,reactions,reposts,trust,marketplace,agents
+  --dvm-kinds <kinds>     DVM request kinds: comma-separated list, "all" (5000-5999) or "nip89" (from your kind 31990)
+  --state <file>          Save cursor + seen IDs here and resume from them next run
   --json                  Output raw JSON (one per line)
   --quiet                 Only show urgent notifications
+  --no-verify             Skip signature checks (trusted local relays only)
+  --zap-providers <hex>   Comma-separated LNURL provider pubkeys allowed to sign zap receipts
+  --rules <file>          JSON classification rules (set priority, rename types, add labels, drop events)
+  --mute                  Drop events from your NIP-51 mute list (pubkeys, words, hashtags, threads)
+  --follows               Show each sender's social distance (1 = follow, 2 = follow-of-follow)
+  --max-distance <n>      Only senders within n hops, for all channels or per channel (mentions=2,reactions=1)
+  --fetch-parents         Include the note each reply answers (JSON: "parent")
+  --aggregate-reactions   Merge bursts of reactions on one note into a single summary
+  --digest <seconds>      watch / serve: hold reactions, trust_network and dvm_feedback; emit a digest this often
+  --port <n>              serve: port to listen on (default: 7777)
+  --host <addr>           serve: address to bind (default: 127.0.0.1)
+  --token <secret>        serve: require "Authorization: Bearer <secret>" (or NOSTR_INBOX_TOKEN)
+
+Flags override the profile; the environment only fills in what neither sets.
 
 Environment:
-  NOSTR_PUBKEY           Your pubkey (hex)
+  NOSTR_PUBKEY           Your pubkey (hex or npub)
   NOSTR_RELAYS           Comma-separated relay URLs
+  NOSTR_SECRET_KEY       Secret key (hex) used to decrypt DMs and answer relay AUTH
+  NOSTR_INBOX_TOKEN      Bearer token for serve
 `);
 }
 
+function formatDigest(d) {
+  const lines = [];
+  const period = d.since ? ` since ${new Date(d.since * 1000).toISOString()}` : '';
+  const held = d.held ? `, ${d.held} held back` : '';
+  lines.push(`📰 Digest${period}: ${d.total} notifications from ${d.senders} senders${held}`);
+  if (d.total === 0) return lines.concat('  Nothing new.');
+
+  lines.push('');
+  for (const [type, count] of Object.entries(d.byType).sort((a, b) => b[1] - a[1])) {
+    const sats = type === 'zap' ? ` (${d.zaps.sats} sats)` : '';
+    lines.push(`  ${type.padEnd(24)} ${String(count).padStart(4)}${sats}`);
+  }
+  lines.push('', '  Top senders:');
+  for (const { pubkey, count } of d.topSenders) lines.push(`    ${pubkey.slice(0, 12)}...  ${count}`);
+  lines.push('', '  Highlights:');
+  for (const h of d.highlights) {
+    const text = h.sats ? `${h.sats} sats${h.content ? ' — ' + h.content : ''}` : h.content;
+    lines.push(`    ${formatNotification({ ...h, content: text })}`);
+  }
+  return lines;
+}
+
 function parseArgs(args) {
   const result = { _: [] };
   for (let i = 0; i < args.length; i++) {
@@ -48,44 +101,141 @@ function parseArgs(args) {
   return result;
 }
 
+function parseDvmKinds(str) {
+  if (typeof str !== 'string') return undefined;
+  if (str === 'all' || str === 'nip89') return str;
+  return str.split(',').map((part) => {
+    const kind = parseInt(part, 10);
+    if (!/^\d+$/.test(part.trim()) || kind < 5000 || kind > 5999) throw new Error(`invalid --dvm-kinds "${part}" (expected 5000-5999, all or nip89)`);
+    return kind;
+  });
+}
+
+function parseMaxDistance(str) {
+  if (typeof str !== 'string') return null;
+  if (/^\d+$/.test(str)) return parseInt(str, 10);
+  const limits = {};
+  for (const part of str.split(',')) {
+    const [channel, n] = part.split('=');
+    if (!channel || !/^\d+$/.test(n || '')) throw new Error(`invalid --max-distance "${part}" (expected channel=n)`);
+    limits[channel.trim()] = parseInt(n, 10);
+  }
+  return limits;
+}
+
 function parseChannels(str) {
   if (!str) return {};
-  const channels = {};
   // Start with all disabled, enable only specified
-  const allOff = {
-    mentions: false, dms: false, dvmRequests: false, dvmResults: false,
-    zaps: false, reactions: false, trust: false, marketplace: false
-  };
-  for (const ch of str.split(',')) {
-    allOff[ch.trim()] = true;
+  return channelsFromList(str.split(',').map(ch => ch.trim()));
+}
+
+/**
+ * Load the config file and pick the profile (`{ file, name, options }`)
+ */
+function loadProfile(args) {
+  const explicit = typeof args.config === 'string';
+  const file = path.resolve(explicit ? args.config : defaultConfigPath());
+  const config = loadConfig(file, { required: explicit });
+  const name = typeof args.profile === 'string' ? args.profile : null;
+  if (!config) {
+    if (name) throw new Error(`--profile ${name} needs a config file (none at ${file})`);
+    return { file: null, name: null, options: {} };
+  }
+  return { file, ...resolveProfile(config, name, { baseDir: path.dirname(file) }) };
+}
+
+function configCommand(args, settings, profile) {
+  const sub = args._[1];
+  if (sub === 'validate') {
+    const file = path.resolve(typeof args.config === 'string' ? args.config : defaultConfigPath());
+    const config = loadConfig(file, { required: true });
+    const errors = validateConfig(config, { baseDir: path.dirname(file) });
+    if (errors.length) {
+      console.error(`✗ ${file}: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+      for (const error of errors) console.error(`  - ${error}`);
+      process.exit(1);
+    }
+    const names = Object.keys(config.profiles);
+    console.log(`✓ ${file}: ${names.length} profile${names.length === 1 ? '' : 's'} (${names.join(', ') || 'none'})`);
+    return;
+  }
+  if (sub === 'show') {
+    const webhooks = settings.webhooks.map(hook => (hook.secret ? { ...hook, secret: '***' } : hook));
+    console.log(JSON.stringify({ config: profile.file, profile: profile.name, ...settings, webhooks }, null, 2));
+    return;
   }
-  return allOff;
+  throw new Error(`unknown config command "${sub || ''}" (expected show or validate)`);
+}
+
+function formatScore(score) {
+  const rounded = Math.round(score * 100) / 100;
+  return rounded > 0 ? `+${rounded}` : String(rounded);
 }
 
 function formatNotification(n) {
   const color = PRIORITY_COLORS[n.priority] || '';
   const time = new Date(n.createdAt).toISOString().slice(11, 19);
   const from = n.from.slice(0, 12) + '...';
-  const content = n.content ? n.content.slice(0, 120).replace(/\n/g, ' ') : '';
+  let text = n.plaintext != null ? n.plaintext : n.content;
+  if (n.zap) {
+    const sats = n.zap.amountSats != null ? `${n.zap.amountSats} sats` : '? sats';
+    text = `${sats}${n.unverified ? ' (unverified)' : ''}${n.zap.comment ? ' — ' + n.zap.comment : ''}`;
+  }
+  if (n.reaction) text = n.reaction.url ? `${n.reaction.emoji} (${n.reaction.url})` : n.reaction.emoji;
+  if (n.job) {
+    const inputs = n.job.inputs.map(i => i.value).join(' | ');
+    text = `${n.job.forMe ? '' : '(for another provider) '}${inputs || text}`;
+  }
+  if (n.feedback) {
+    const { status, statusInfo, amountMsats } = n.feedback;
+    const amount = amountMsats != null ? ` ${Math.floor(amountMsats / 1000)} sats` : '';
+    text = `${status || '?'}${amount}${statusInfo ? ' — ' + statusInfo : ''}`;
+  }
+  if (n.task && n.task.title) text = n.task.budgetSats != null ? `${n.task.title} (${n.task.budgetSats} sats)` : n.task.title;
+  if (n.marketplace) {
+    const { amountSats, status } = n.marketplace;
+    const prefix = [status, amountSats != null ? `${amountSats} sats` : null].filter(Boolean).join(', ');
+    if (prefix) text = `${prefix}${text ? ' — ' + text : ''}`;
+  }
+  if (n.agent) {
+    const { name, capabilities, prices, updated } = n.agent;
+    const price = prices[0] ? ` @ ${prices[0].amount} ${prices[0].unit}${prices[0].per ? '/' + prices[0].per : ''}` : '';
+    text = `${updated ? 'updated: ' : ''}${name || n.agent.id.split(':')[2] || '?'} [${capabilities.join(', ')}]${price}`;
+  }
+  if (n.attestation) {
+    const { type, score } = n.attestation;
+    text = `${type} ${formatScore(score)}${text ? ' — ' + text : ''}`;
+  }
+  const content = text ? text.slice(0, 120).replace(/\n/g, ' ') : '';
 
   const typeIcons = {
     mention: '💬',
+    reply: '↩️',
+    quote: '🗨️',
+    thread_participation: '🧵',
+    repost: '🔁',
     dm: '✉️',
     dvm_request: '⚙️',
     dvm_result: '📦',
     dvm_feedback: '📝',
     zap: '⚡',
     reaction: '❤️',
+    reactions_summary: '❤️',
     trust: '🛡️',
     trust_network: '🌐',
+    marketplace_task: '📌',
     marketplace_bid: '💰',
     marketplace_delivery: '📋',
     marketplace_resolution: '✅',
+    agent_service: '🤖',
     unknown: '❓'
   };
 
   const icon = typeIcons[n.type] || '❓';
-  return `${color}[${time}] ${icon} ${BOLD}${n.type}${RESET}${color} from ${from}${RESET}  ${content}`;
+  const thread = n.thread && n.thread.replyToMe ? ' ↩ your note' : '';
+  const labels = n.labels && n.labels.length ? ` [${n.labels.join(', ')}]` : '';
+  const distance = n.distance !== undefined ? ` (${n.distance == null ? 'stranger' : `${n.distance} hop${n.distance === 1 ? '' : 's'}`})` : '';
+  return `${color}[${time}] ${icon} ${BOLD}${n.type}${RESET}${color}${labels} from ${from}${distance}${thread}${RESET}  ${content}`;
 }
 
 async function main() {
@@ -97,27 +247,128 @@ async function main() {
     return;
   }
 
-  const pubkey = args.pubkey || process.env.NOSTR_PUBKEY;
-  if (!pubkey) {
-    console.error('Error: --pubkey or NOSTR_PUBKEY required');
+  if (command === 'config' && args._[1] === 'validate') {
+    configCommand(args);
+    return;
+  }
+
+  // Flags win over the profile, which wins over the environment
+  const profile = loadProfile(args);
+  const p = profile.options;
+  const flag = (name) => (typeof args[name] === 'string' ? args[name] : null);
+
+  const pubkeyValue = flag('pubkey') || p.pubkey || process.env.NOSTR_PUBKEY || null;
+  const settings = {
+    pubkey: pubkeyValue ? normalizePubkey(pubkeyValue) : null,
+    relays: flag('relays') ? flag('relays').split(',')
+      : (p.relays || (process.env.NOSTR_RELAYS || 'wss://relay.damus.io,wss://nos.lol,wss://relay.primal.net').split(',')),
+    outbox: args.outbox === true || p.outbox === true,
+    bootstrapRelays: flag('bootstrap') ? flag('bootstrap').split(',') : p.bootstrapRelays,
+    channels: args.channels ? parseChannels(args.channels) : { ...(p.channels || {}) },
+    verify: args['no-verify'] === true ? false : p.verify !== false,
+    zapProviders: flag('zap-providers') ? flag('zap-providers').split(',') : (p.zapProviders || null),
+    store: flag('state') || p.state || null,
+    rules: flag('rules') || p.rules || null,
+    mute: args.mute === true || p.mute === true,
+    follows: args.follows === true || p.follows === true,
+    maxDistance: args['max-distance'] ? parseMaxDistance(args['max-distance']) : (p.maxDistance != null ? p.maxDistance : null),
+    fetchParents: args['fetch-parents'] === true || p.fetchParents === true,
+    aggregateReactions: args['aggregate-reactions'] === true || p.aggregateReactions || false,
+    digest: p.digest || false,
+    webhooks: p.webhooks || []
+  };
+  const dvmKinds = parseDvmKinds(args['dvm-kinds']);
+  if (dvmKinds) settings.channels.dvmKinds = dvmKinds;
+
+  if (command === 'config') {
+    configCommand(args, settings, profile);
+    return;
+  }
+
+  if (!settings.pubkey) {
+    console.error('Error: --pubkey, a profile pubkey or NOSTR_PUBKEY required');
     process.exit(1);
   }
 
-  const relays = (args.relays || process.env.NOSTR_RELAYS || 'wss://relay.damus.io,wss://nos.lol,wss://relay.primal.net').split(',');
-  const channels = args.channels ? parseChannels(args.channels) : {};
+  const {
+    pubkey, relays, outbox, bootstrapRelays, channels, verify, zapProviders, store, rules,
+    mute, follows, maxDistance, fetchParents, aggregateReactions
+  } = settings;
   const json = args.json === true;
   const quiet = args.quiet === true;
+  const secretKey = process.env.NOSTR_SECRET_KEY || null;
+
+  if (command === 'digest') {
+    const sinceAgo = args['since-ago'] ? parseInt(args['since-ago'], 10) : 86400;
+    const since = args.since ? parseInt(args.since, 10) : Math.floor(Date.now() / 1000) - sinceAgo;
+
+    const result = await poll({
+      pubkey, relays, outbox, bootstrapRelays, channels, since, secretKey, verify, zapProviders, rules,
+      mute, follows, maxDistance, aggregateReactions
+    });
+    const digest = buildDigest(result.notifications, { since: result.since });
+
+    if (json) {
+      console.log(JSON.stringify(digest, null, 2));
+    } else {
+      for (const { relay, error } of result.relayErrors) console.error(`  ✗ ${relay}: ${error}`);
+      console.log(`\n${formatDigest(digest).join('\n')}\n`);
+    }
+    return;
+  }
+
+  if (command === 'trust') {
+    const ledger = await fetchTrust(pubkey, relays, { verify });
+    const summary = ledger.summary();
+    const attestations = ledger.attestations().sort((a, b) => b.createdAt - a.createdAt);
+
+    if (json) {
+      console.log(JSON.stringify({ ...summary, attestationList: attestations }, null, 2));
+      return;
+    }
+
+    const revoked = summary.revoked ? `, ${summary.revoked} revoked` : '';
+    console.log(`\n🛡️ Trust score ${formatScore(summary.score)} — ${summary.attestations} attestations from ${summary.attesters} attesters (${summary.negative} negative${revoked})\n`);
+    if (summary.attestations === 0) {
+      console.log('  No ai.wot attestations yet.');
+      return;
+    }
+    for (const [type, { count, score }] of Object.entries(summary.types)) {
+      console.log(`  ${type.padEnd(24)} ${String(count).padStart(3)}  ${formatScore(score)}`);
+    }
+    console.log();
+    for (const a of attestations.slice(0, 20)) {
+      const time = new Date(a.createdAt * 1000).toISOString().slice(0, 10);
+      const comment = a.content ? ` — ${a.content.slice(0, 80).replace(/\n/g, ' ')}` : '';
+      console.log(`  ${PRIORITY_COLORS[a.negative ? 'high' : 'low']}[${time}] ${formatScore(a.score)} ${a.type} from ${a.attester.slice(0, 12)}...${RESET}${comment}`);
+    }
+    if (attestations.length > 20) console.log(`  ... and ${attestations.length - 20} more`);
+    return;
+  }
 
   if (command === 'poll') {
+    // With --state, resume from the saved cursor unless a window was asked for
     const sinceAgo = args['since-ago'] ? parseInt(args['since-ago'], 10) : 3600;
-    const since = args.since ? parseInt(args.since, 10) : Math.floor(Date.now() / 1000) - sinceAgo;
+    const since = args.since ? parseInt(args.since, 10)
+      : (store && !args['since-ago'] ? null : Math.floor(Date.now() / 1000) - sinceAgo);
 
-    const result = await poll({ pubkey, relays, channels, since });
+    const result = await poll({
+      pubkey, relays, outbox, bootstrapRelays, channels, since, store, secretKey, verify, zapProviders, rules,
+      mute, follows, maxDistance, fetchParents, aggregateReactions
+    });
 
     if (json) {
       console.log(JSON.stringify(result, null, 2));
     } else {
-      console.log(`\n📬 ${result.total} notifications (${result.urgent} urgent) since ${new Date(since * 1000).toISOString()}\n`);
+      if (result.outbox) {
+        console.log(`  Read relays: ${result.outbox.read.join(', ')}`);
+        console.log(`  DM relays:   ${result.outbox.dm.join(', ')}`);
+      }
+      for (const { relay, error } of result.relayErrors) {
+        console.error(`  ✗ ${relay}: ${error}`);
+      }
+      const suppressed = result.suppressed.length ? `, ${result.suppressed.length} suppressed` : '';
+      console.log(`\n📬 ${result.total} notifications (${result.urgent} urgent${suppressed}) since ${new Date(result.since * 1000).toISOString()}\n`);
 
       if (result.total === 0) {
         console.log('  Nothing new.');
@@ -137,27 +388,68 @@ async function main() {
     return;
   }
 
-  if (command === 'watch') {
+  if (command === 'watch' || command === 'serve') {
+    const serving = command === 'serve';
+    const digestSeconds = args.digest ? parseInt(args.digest, 10) : null;
+    if (args.digest && !(digestSeconds > 0)) throw new Error(`invalid --digest "${args.digest}" (expected seconds)`);
     const sinceAgo = args['since-ago'] ? parseInt(args['since-ago'], 10) : 60;
     const since = args.since ? parseInt(args.since, 10) : Math.floor(Date.now() / 1000) - sinceAgo;
 
     const inbox = createInbox({
       pubkey,
       relays,
+      outbox,
+      bootstrapRelays,
       channels,
-      since
+      since,
+      store,
+      secretKey,
+      verify,
+      zapProviders,
+      rules,
+      mute,
+      follows,
+      maxDistance,
+      fetchParents,
+      aggregateReactions,
+      digest: digestSeconds ? { ...(typeof settings.digest === 'object' ? settings.digest : {}), intervalMs: digestSeconds * 1000 } : settings.digest
     });
 
+    for (const hook of settings.webhooks) {
+      createWebhook({
+        ...hook,
+        onError: (err) => {
+          if (!json) console.error(`  ✗ webhook ${hook.url}: ${err.message}`);
+        }
+      }).attach(inbox);
+    }
+
     inbox.on('connected', ({ relay }) => {
       if (!json) console.log(`  ✓ Connected to ${relay}`);
     });
 
+    inbox.on('authenticated', ({ relay }) => {
+      if (!json) console.log(`  ✓ Authenticated to ${relay}`);
+    });
+
+    inbox.on('disconnected', ({ relay }) => {
+      if (!json) console.error(`  ✗ Lost connection to ${relay}`);
+    });
+
+    inbox.on('reconnecting', ({ relay, attempt, delayMs }) => {
+      if (!json) console.error(`  ↻ Reconnecting to ${relay} in ${Math.round(delayMs / 1000)}s (attempt ${attempt})`);
+    });
+
+    inbox.on('relays_updated', ({ added, removed }) => {
+      if (!json) console.log(`  ↻ Relay list updated (+${added.length} / -${removed.length})`);
+    });
+
     inbox.on('started', ({ connected, total }) => {
-      if (!json) console.log(`\n📬 Watching ${connected}/${total} relays. Ctrl+C to stop.\n`);
+      if (!json) console.log(`\n📬 ${serving ? 'Connected to' : 'Watching'} ${connected}/${total} relays. Ctrl+C to stop.\n`);
     });
 
     inbox.on('notification', (n) => {
-      if (quiet && n.priority !== 'high') return;
+      if (serving || (quiet && n.priority !== 'high')) return;
       if (json) {
         console.log(JSON.stringify(n));
       } else {
@@ -165,15 +457,48 @@ async function main() {
       }
     });
 
+    inbox.on('digest', (digest) => {
+      if (serving) return;
+      if (json) console.log(JSON.stringify({ type: 'digest', digest }));
+      else console.log(`\n${formatDigest(digest).join('\n')}\n`);
+    });
+
     inbox.on('error', ({ relay, error }) => {
       if (!json) console.error(`  ✗ ${relay}: ${error}`);
     });
 
-    await inbox.start();
+    inbox.on('rejected', ({ id, relay, reason }) => {
+      if (!json) console.error(`  ✗ rejected ${id ? id.slice(0, 12) + '...' : 'event'} from ${relay}: ${reason}`);
+    });
+
+    inbox.on('decrypt_error', ({ id, scheme, error }) => {
+      if (!json) console.error(`  ✗ could not decrypt ${id.slice(0, 12)}... (${scheme}): ${error}`);
+    });
+
+    // Listen first, so the initial sync reaches the history and connected clients
+    let server = null;
+    if (serving) {
+      const port = args.port ? parseInt(args.port, 10) : 7777;
+      if (!(port >= 0 && port < 65536)) throw new Error(`invalid --port "${args.port}"`);
+      const host = typeof args.host === 'string' ? args.host : '127.0.0.1';
+      const token = typeof args.token === 'string' ? args.token : (process.env.NOSTR_INBOX_TOKEN || null);
+      server = createServer({ inbox, token });
+      const { url } = await server.listen(port, host);
+      if (json) console.log(JSON.stringify({ type: 'listening', url }));
+      else console.log(`🌐 Serving on ${url} — /events (SSE), /ws, /notifications, /status${token ? ' (bearer token required)' : ''}\n`);
+    }
+
+    try {
+      await inbox.start();
+    } catch (err) {
+      if (server) await server.close();
+      throw err;
+    }
 
     // Graceful shutdown
-    process.on('SIGINT', () => {
-      inbox.stop();
+    process.on('SIGINT', async () => {
+      if (server) await server.close();
+      await inbox.stop();
       console.log('\n👋 Stopped.');
       process.exit(0);
     });
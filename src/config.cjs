@@ -0,0 +1,235 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nip19 = require('nostr-tools/nip19');
+const { compileRules, loadRules } = require('./rules.cjs');
+
+const CHANNEL_NAMES = [
+  'mentions', 'dms', 'dvmRequests', 'dvmResults', 'zaps', 'reactions', 'reposts', 'trust', 'marketplace', 'agents'
+];
+const PROFILE_KEYS = [
+  'pubkey', 'relays', 'outbox', 'bootstrapRelays', 'channels', 'dvmKinds', 'webhooks', 'rules', 'state',
+  'zapProviders', 'mute', 'follows', 'maxDistance', 'fetchParents', 'aggregateReactions', 'digest', 'verify'
+];
+const BOOLEAN_KEYS = ['outbox', 'mute', 'follows', 'fetchParents', 'verify'];
+const WEBHOOK_KEYS = ['url', 'secret', 'events', 'urgentOnly', 'batchMs', 'maxBatchSize', 'timeoutMs', 'retries'];
+
+/**
+ * Config profiles let every `nostr-inbox` invocation share settings:
+ *
+ *   {
+ *     "defaultProfile": "main",                     // used without --profile
+ *     "profiles": {
+ *       "trading-bot": {
+ *         "pubkey": "npub1...",                     // hex or npub
+ *         "relays": ["wss://relay.damus.io"],
+ *         "channels": ["mentions", "dms", "dvmRequests"],  // only these (or a createInbox channels object)
+ *         "dvmKinds": [5000, 5002],                 // or "all" / "nip89"
+ *         "rules": "rules.json",                    // rule list, or a file relative to the config
+ *         "webhooks": [{ "url": "https://...", "secret": "...", "events": ["dm"] }]
+ *       }
+ *     }
+ *   }
+ *
+ * Profiles also take `outbox`, `bootstrapRelays`, `state`, `zapProviders`,
+ * `mute`, `follows`, `maxDistance`, `fetchParents`, `aggregateReactions`,
+ * `digest` and `verify`, as for `createInbox`.
+ */
+
+/**
+ * `$XDG_CONFIG_HOME/nostr-inbox/config.json`, else `~/.config/nostr-inbox/config.json`
+ */
+function defaultConfigPath(env = process.env) {
+  return path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'nostr-inbox', 'config.json');
+}
+
+/**
+ * Hex or npub → lowercase hex pubkey
+ */
+function normalizePubkey(value) {
+  if (typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value)) return value.toLowerCase();
+  if (typeof value === 'string' && value.startsWith('npub1')) {
+    try {
+      return nip19.decode(value).data;
+    } catch (err) {
+      throw new Error(`invalid npub "${value}"`);
+    }
+  }
+  throw new Error(`invalid pubkey "${value}" (expected 64 hex characters or an npub)`);
+}
+
+/**
+ * Load a config file
+ *
+ * @param {string} file
+ * @param {Object} [opts]
+ * @param {boolean} [opts.required] - Throw if the file doesn't exist (default: return null)
+ * @returns {Object|null}
+ */
+function loadConfig(file, { required = false } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return null;
+    throw new Error(`cannot read config file ${file}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`config file ${file} is not valid JSON`);
+  }
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isStringList = (value) => Array.isArray(value) && value.every(v => typeof v === 'string' && v);
+
+function relayErrors(value, where) {
+  if (!isStringList(value)) return [`${where} must be a list of relay URLs`];
+  return value.filter(url => !/^wss?:\/\/[^\s/]+/.test(url)).map(url => `${where}: "${url}" is not a ws:// or wss:// URL`);
+}
+
+function dvmKindErrors(value, where) {
+  if (value === 'all' || value === 'nip89') return [];
+  if (!Array.isArray(value)) return [`${where} must be a list of kinds, "all" or "nip89"`];
+  return value.filter(k => !Number.isInteger(k) || k < 5000 || k > 5999)
+    .map(k => `${where}: ${JSON.stringify(k)} is not a DVM request kind (5000-5999)`);
+}
+
+function channelErrors(value, where) {
+  const names = Array.isArray(value) ? value : (isObject(value) ? Object.keys(value).filter(k => k !== 'dvmKinds') : null);
+  if (!names) return [`${where} must be a list of channel names or an object`];
+  const errors = names.filter(name => !CHANNEL_NAMES.includes(name))
+    .map(name => `${where}: unknown channel "${name}" (expected ${CHANNEL_NAMES.join(', ')})`);
+  if (isObject(value) && value.dvmKinds !== undefined) errors.push(...dvmKindErrors(value.dvmKinds, `${where}.dvmKinds`));
+  return errors;
+}
+
+function webhookErrors(value, where) {
+  if (!Array.isArray(value)) return [`${where} must be a list`];
+  return value.flatMap((hook, i) => {
+    const at = `${where}[${i}]`;
+    if (!isObject(hook)) return [`${at} must be an object`];
+    const errors = Object.keys(hook).filter(key => !WEBHOOK_KEYS.includes(key)).map(key => `${at}: unknown key "${key}"`);
+    if (typeof hook.url !== 'string' || !/^https?:\/\/\S+$/.test(hook.url)) errors.push(`${at}.url must be an http(s) URL`);
+    if (hook.events !== undefined && !isStringList(hook.events)) errors.push(`${at}.events must be a list of types`);
+    return errors;
+  });
+}
+
+function profileErrors(profile, where, baseDir) {
+  if (!isObject(profile)) return [`${where} must be an object`];
+  const errors = Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key)).map(key => `${where}: unknown key "${key}"`);
+  const check = (key, fn) => {
+    if (profile[key] !== undefined) errors.push(...fn(profile[key], `${where}.${key}`));
+  };
+
+  check('pubkey', (value, at) => {
+    try {
+      normalizePubkey(value);
+      return [];
+    } catch (err) {
+      return [`${at}: ${err.message}`];
+    }
+  });
+  check('relays', relayErrors);
+  check('bootstrapRelays', relayErrors);
+  check('channels', channelErrors);
+  check('dvmKinds', dvmKindErrors);
+  check('webhooks', webhookErrors);
+  check('zapProviders', (value, at) => (isStringList(value) ? [] : [`${at} must be a list of pubkeys`]));
+  check('state', (value, at) => (typeof value === 'string' && value ? [] : [`${at} must be a file path`]));
+  check('maxDistance', (value, at) => (Number.isInteger(value) || (isObject(value) && Object.values(value).every(Number.isInteger))
+    ? [] : [`${at} must be a number or { channel: number }`]));
+  check('aggregateReactions', (value, at) => (typeof value === 'boolean' || isObject(value) ? [] : [`${at} must be a boolean or an object`]));
+  check('digest', (value, at) => (typeof value === 'boolean' || isObject(value) ? [] : [`${at} must be a boolean or an object`]));
+  check('rules', (value, at) => {
+    try {
+      compileRules(typeof value === 'string' ? loadRules(path.resolve(baseDir, value)) : value);
+      return [];
+    } catch (err) {
+      return [`${at}: ${err.message}`];
+    }
+  });
+  for (const key of BOOLEAN_KEYS) check(key, (value, at) => (typeof value === 'boolean' ? [] : [`${at} must be true or false`]));
+  return errors;
+}
+
+/**
+ * Check a config object
+ *
+ * @param {Object} config
+ * @param {Object} [opts]
+ * @param {string} [opts.baseDir] - Where relative `rules` files live (default: cwd)
+ * @returns {string[]} Every problem found (empty if the config is fine)
+ */
+function validateConfig(config, { baseDir = process.cwd() } = {}) {
+  if (!isObject(config)) return ['config must be a JSON object'];
+  const errors = Object.keys(config).filter(key => key !== 'profiles' && key !== 'defaultProfile')
+    .map(key => `unknown key "${key}" (expected profiles, defaultProfile)`);
+  if (!isObject(config.profiles)) return errors.concat('profiles must be an object of named profiles');
+
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    errors.push(...profileErrors(profile, `profiles.${name}`, baseDir));
+  }
+  if (config.defaultProfile !== undefined && !Object.prototype.hasOwnProperty.call(config.profiles, config.defaultProfile)) {
+    errors.push(`defaultProfile "${config.defaultProfile}" is not one of the profiles`);
+  }
+  return errors;
+}
+
+/**
+ * Turn a channel list into a channels object with only those enabled
+ */
+function channelsFromList(names) {
+  const channels = Object.fromEntries(CHANNEL_NAMES.map(name => [name, false]));
+  for (const name of names) {
+    if (!CHANNEL_NAMES.includes(name)) throw new Error(`unknown channel "${name}" (expected ${CHANNEL_NAMES.join(', ')})`);
+    channels[name] = true;
+  }
+  return channels;
+}
+
+/**
+ * Validate a config and pick a profile as `createInbox` options (plus `webhooks`)
+ *
+ * @param {Object} config
+ * @param {string} [name] - Profile name (default: `defaultProfile`, else none)
+ * @param {Object} [opts]
+ * @param {string} [opts.baseDir] - Where relative `rules` and `state` files live (default: cwd)
+ * @returns {{ name: string|null, options: Object }}
+ */
+function resolveProfile(config, name = null, { baseDir = process.cwd() } = {}) {
+  const errors = validateConfig(config, { baseDir });
+  if (errors.length) throw new Error(`invalid config:\n  ${errors.join('\n  ')}`);
+
+  const chosen = name || config.defaultProfile || null;
+  if (!chosen) return { name: null, options: {} };
+  if (!Object.prototype.hasOwnProperty.call(config.profiles, chosen)) {
+    const known = Object.keys(config.profiles);
+    throw new Error(`unknown profile "${chosen}" (${known.length ? `expected ${known.join(', ')}` : 'no profiles configured'})`);
+  }
+
+  const { dvmKinds, ...profile } = config.profiles[chosen];
+  const options = { ...profile };
+  if (profile.pubkey !== undefined) options.pubkey = normalizePubkey(profile.pubkey);
+  if (profile.channels !== undefined || dvmKinds !== undefined) {
+    options.channels = Array.isArray(profile.channels) ? channelsFromList(profile.channels) : { ...profile.channels };
+    if (dvmKinds !== undefined) options.channels.dvmKinds = dvmKinds;
+  }
+  if (typeof profile.rules === 'string') options.rules = path.resolve(baseDir, profile.rules);
+  if (profile.state !== undefined) options.state = path.resolve(baseDir, profile.state);
+  return { name: chosen, options };
+}
+
+module.exports = {
+  CHANNEL_NAMES,
+  defaultConfigPath,
+  normalizePubkey,
+  loadConfig,
+  validateConfig,
+  channelsFromList,
+  resolveProfile
+};
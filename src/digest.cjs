@@ -0,0 +1,149 @@
+'use strict';
+
+// Low-signal types held back for the digest by default
+const DEFAULT_DIGEST_TYPES = ['reaction', 'reactions_summary', 'trust_network', 'dvm_feedback'];
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+function rank(n) {
+  return n.priority in PRIORITY_RANK ? PRIORITY_RANK[n.priority] : 3;
+}
+
+function zapSats(n) {
+  return n.type === 'zap' && n.zap && !n.unverified && n.zap.amountSats != null ? n.zap.amountSats : 0;
+}
+
+/**
+ * Who a notification is from — every reactor for a reactions summary
+ */
+function senders(n) {
+  return n.type === 'reactions_summary' && n.reactions ? n.reactions.map(r => r.from) : [n.from];
+}
+
+/**
+ * Compact copy of a notification for a digest
+ */
+function highlight(n) {
+  const text = n.plaintext != null ? n.plaintext : n.content;
+  return {
+    id: n.id,
+    type: n.type,
+    priority: n.priority,
+    from: n.from,
+    kind: n.kind,
+    content: (text || '').slice(0, 280),
+    sats: zapSats(n) || null,
+    createdAt: n.createdAt
+  };
+}
+
+/**
+ * Summarize notifications: counts per type, top senders, sats zapped and
+ * the most notable ones (by priority, then sats, then recency)
+ *
+ * @param {Object[]} notifications
+ * @param {Object} [opts]
+ * @param {number} [opts.since] - Start of the period (unix seconds)
+ * @param {number} [opts.until] - End of the period (unix seconds, default: now)
+ * @param {number} [opts.topSenders] - How many senders to list (default: 5)
+ * @param {number} [opts.highlights] - How many highlights to pick (default: 5)
+ * @returns {Object}
+ */
+function buildDigest(notifications, { since = null, until = Math.floor(Date.now() / 1000), topSenders = 5, highlights = 5 } = {}) {
+  const byType = {};
+  const bySender = new Map();
+  let sats = 0;
+  let zaps = 0;
+
+  for (const n of notifications) {
+    byType[n.type] = (byType[n.type] || 0) + 1;
+    for (const from of senders(n)) bySender.set(from, (bySender.get(from) || 0) + 1);
+    if (n.type === 'zap') {
+      zaps++;
+      sats += zapSats(n);
+    }
+  }
+
+  const notable = notifications.slice().sort((a, b) =>
+    rank(a) - rank(b) ||
+    zapSats(b) - zapSats(a) ||
+    b.createdAt - a.createdAt);
+
+  return {
+    since,
+    until,
+    total: notifications.length,
+    byType,
+    senders: bySender.size,
+    topSenders: Array.from(bySender, ([pubkey, count]) => ({ pubkey, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, topSenders),
+    zaps: { count: zaps, sats },
+    highlights: notable.slice(0, highlights).map(highlight)
+  };
+}
+
+/**
+ * Hold low-signal notifications and summarize each period in a digest
+ *
+ * Every notification counts towards the digest; only the `types` are held
+ * back instead of being delivered. A digest is emitted every `intervalMs`
+ * if anything happened.
+ *
+ * @param {Object} opts
+ * @param {Function} opts.emit - Called with each digest
+ * @param {number} [opts.intervalMs] - Period length (default: 3600000)
+ * @param {string[]} [opts.types] - Notification types to hold (default: reactions, trust_network, dvm_feedback)
+ * @param {number} [opts.topSenders] - Senders per digest (default: 5)
+ * @param {number} [opts.highlights] - Highlights per digest (default: 5)
+ */
+function createDigest({ emit, intervalMs = 3600000, types = DEFAULT_DIGEST_TYPES, topSenders = 5, highlights = 5 }) {
+  let notifications = [];
+  let held = 0;
+  let since = Math.floor(Date.now() / 1000);
+  let timer = null;
+
+  /**
+   * Count a notification; returns whether it's held for the digest
+   */
+  function add(notification) {
+    notifications.push(notification);
+    if (!types.includes(notification.type)) return false;
+    held++;
+    return true;
+  }
+
+  /**
+   * Emit the digest for the current period (if anything happened) and start a new one
+   */
+  function flush() {
+    const until = Math.floor(Date.now() / 1000);
+    const digest = notifications.length > 0
+      ? { ...buildDigest(notifications, { since, until, topSenders, highlights }), held }
+      : null;
+    notifications = [];
+    held = 0;
+    since = until;
+    if (digest) emit(digest);
+    return digest;
+  }
+
+  function start() {
+    if (timer) return;
+    since = Math.floor(Date.now() / 1000);
+    timer = setInterval(flush, intervalMs);
+  }
+
+  /**
+   * Stop the schedule, emitting what's left
+   */
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    return flush();
+  }
+
+  return { add, flush, start, stop, pending: () => notifications.length };
+}
+
+module.exports = { DEFAULT_DIGEST_TYPES, buildDigest, createDigest };
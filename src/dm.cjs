@@ -0,0 +1,112 @@
+'use strict';
+
+const crypto = require('crypto');
+const { verifyEvent, getEventHash } = require('nostr-tools/pure');
+const { KINDS } = require('./filters.cjs');
+const { detectScheme } = require('./signer.cjs');
+
+function decryptError(event, scheme, err) {
+  return {
+    id: event.id,
+    from: event.pubkey,
+    kind: event.kind,
+    scheme,
+    error: err && err.message ? err.message : String(err)
+  };
+}
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${what} is not valid JSON`);
+  }
+}
+
+/**
+ * Decrypt a NIP-04 / NIP-44 direct message (kind 4)
+ *
+ * Never throws — failures are reported as a `decryptError` field so one bad
+ * message can't take down the inbox.
+ *
+ * @param {Object} event - Raw kind 4 event
+ * @param {Object} signer - Anything with `decrypt(pubkey, ciphertext, scheme)`
+ * @returns {Promise<Object>} Fields to merge into the notification
+ */
+async function decryptDm(event, signer) {
+  const encryption = detectScheme(event.content);
+
+  if (!signer || typeof signer.decrypt !== 'function') {
+    return { encryption };
+  }
+
+  try {
+    const plaintext = await signer.decrypt(event.pubkey, event.content, encryption);
+    if (typeof plaintext !== 'string') throw new Error('signer returned no plaintext');
+    return { encryption, plaintext };
+  } catch (err) {
+    return { encryption, decryptError: decryptError(event, encryption, err) };
+  }
+}
+
+/**
+ * Stable id for a conversation: hash of the sorted participant pubkeys
+ */
+function conversationId(participants) {
+  return crypto.createHash('sha256').update([...participants].sort().join(',')).digest('hex');
+}
+
+/**
+ * Unwrap a NIP-17 gift wrap (kind 1059) into its seal and rumor
+ *
+ * The wrap is signed by a throwaway key and its `created_at` is randomized,
+ * so the real sender and time come from the seal (kind 13) and the rumor
+ * inside it. The seal author must match the rumor pubkey, otherwise anyone
+ * could forge a message "from" someone else.
+ *
+ * Never throws — failures are reported as a `decryptError` field.
+ *
+ * @param {Object} event - Raw kind 1059 event
+ * @param {Object} signer - Anything with `decrypt(pubkey, ciphertext, scheme)`
+ * @returns {Promise<Object>} Fields to merge into the notification
+ */
+async function unwrapGiftWrap(event, signer) {
+  if (!signer || typeof signer.decrypt !== 'function') {
+    return { encryption: 'nip44', wrapped: true };
+  }
+
+  try {
+    const seal = parseJson(await signer.decrypt(event.pubkey, event.content, 'nip44'), 'seal');
+    if (!seal || seal.kind !== KINDS.SEAL) throw new Error('gift wrap does not contain a seal');
+    if (!verifyEvent(seal)) throw new Error('seal signature is invalid');
+
+    const rumor = parseJson(await signer.decrypt(seal.pubkey, seal.content, 'nip44'), 'rumor');
+    if (!rumor || typeof rumor.pubkey !== 'string' || !Array.isArray(rumor.tags)) {
+      throw new Error('seal does not contain a rumor');
+    }
+    if (rumor.pubkey !== seal.pubkey) throw new Error('seal author does not match rumor pubkey');
+    if (!rumor.id) rumor.id = getEventHash(rumor);
+
+    const subjectTag = rumor.tags.find(t => t[0] === 'subject');
+    const participants = Array.from(new Set([
+      rumor.pubkey,
+      ...rumor.tags.filter(t => t[0] === 'p' && t[1]).map(t => t[1])
+    ]));
+
+    return {
+      encryption: 'nip44',
+      wrapped: true,
+      from: rumor.pubkey,
+      plaintext: rumor.content,
+      createdAt: rumor.created_at * 1000,
+      subject: subjectTag ? subjectTag[1] : null,
+      participants,
+      conversation: conversationId(participants),
+      rumor
+    };
+  } catch (err) {
+    return { encryption: 'nip44', wrapped: true, decryptError: decryptError(event, 'nip44', err) };
+  }
+}
+
+module.exports = { decryptDm, unwrapGiftWrap, conversationId };
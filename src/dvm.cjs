@@ -0,0 +1,256 @@
+'use strict';
+
+const { KINDS } = require('./kinds.cjs');
+
+// NIP-90 feedback statuses. Paying is the one thing a requester has to act on
+const FEEDBACK_PRIORITY = {
+  'payment-required': 'high',
+  error: 'medium',
+  success: 'medium',
+  partial: 'medium',
+  processing: 'low'
+};
+
+// NIP-90 input types
+const INPUT_TYPES = ['text', 'url', 'event', 'job'];
+
+/**
+ * Whether a job request hides its inputs and params in `content`
+ */
+function isEncryptedJob(event) {
+  return event.tags.some(t => t[0] === 'encrypted');
+}
+
+/**
+ * Parse a NIP-90 job request (kind 5000-5999)
+ *
+ * Encrypted requests carry their `i` / `param` tags as a JSON array in
+ * `content`; pass the decrypted text as `plaintext` to include them.
+ *
+ * @param {Object} event - Kind 5xxx event
+ * @param {string} myPubkey - Our hex pubkey, to tell whether the job is for us
+ * @param {string|null} [plaintext] - Decrypted content of an encrypted request
+ * @returns {Object} `{ kind, inputs, params, output, bidMsats, relays, providers, encrypted, forMe }`
+ */
+function parseJobRequest(event, myPubkey, plaintext = null) {
+  let tags = event.tags;
+  if (plaintext) {
+    try {
+      const hidden = JSON.parse(plaintext);
+      if (Array.isArray(hidden)) tags = tags.concat(hidden.filter(t => Array.isArray(t) && typeof t[0] === 'string'));
+    } catch (err) { /* not JSON — only the public tags count */ }
+  }
+
+  const inputs = [];
+  const params = {};
+  let output = null;
+  let bidMsats = null;
+  const relays = [];
+  const providers = [];
+
+  for (const t of tags) {
+    if (t[0] === 'i' && typeof t[1] === 'string') {
+      inputs.push({
+        value: t[1],
+        type: INPUT_TYPES.includes(t[2]) ? t[2] : 'text',
+        relay: t[3] || null,
+        marker: t[4] || null
+      });
+    } else if (t[0] === 'param' && t[1]) {
+      const value = t.length > 3 ? t.slice(2) : t[2];
+      if (params[t[1]] === undefined) params[t[1]] = value;
+      else params[t[1]] = [].concat(params[t[1]], value);
+    } else if (t[0] === 'output' && t[1]) {
+      output = t[1];
+    } else if (t[0] === 'bid' && t[1]) {
+      const msats = Number(t[1]);
+      if (Number.isSafeInteger(msats) && msats >= 0) bidMsats = msats;
+    } else if (t[0] === 'relays') {
+      relays.push(...t.slice(1).filter(Boolean));
+    } else if (t[0] === 'p' && t[1]) {
+      providers.push(t[1]);
+    }
+  }
+
+  return {
+    kind: event.kind,
+    inputs,
+    params,
+    output,
+    bidMsats,
+    relays,
+    providers,
+    encrypted: isEncryptedJob(event),
+    // Open requests (no p tag) are for anyone; addressed ones only for their providers
+    forMe: providers.length === 0 || providers.includes(myPubkey)
+  };
+}
+
+/**
+ * Parse NIP-90 job feedback (kind 7000)
+ *
+ * @param {Object} event - Kind 7000 event
+ * @returns {{ status: string|null, statusInfo: string|null, jobId: string|null, jobRelay: string|null,
+ *   customer: string|null, provider: string, amountMsats: number|null, bolt11: string|null, content: string }}
+ */
+function parseJobFeedback(event) {
+  const tag = (name) => event.tags.find(t => t[0] === name && t[1]) || null;
+  const status = tag('status');
+  const amount = tag('amount');
+  const e = tag('e');
+  const p = tag('p');
+  const msats = amount ? Number(amount[1]) : NaN;
+
+  return {
+    status: status ? status[1] : null,
+    statusInfo: status && status[2] ? status[2] : null,
+    jobId: e ? e[1] : null,
+    jobRelay: e && e[2] ? e[2] : null,
+    customer: p ? p[1] : null,
+    provider: event.pubkey,
+    amountMsats: Number.isSafeInteger(msats) && msats >= 0 ? msats : null,
+    bolt11: amount && amount[2] ? amount[2] : null,
+    content: event.content || ''
+  };
+}
+
+/**
+ * Parse a NIP-90 job result (kind 6000-6999)
+ *
+ * The job is referenced by the `e` tag, with the `request` tag (the
+ * stringified request event) as a fallback.
+ *
+ * @param {Object} event - Kind 6xxx event
+ * @returns {{ jobId: string|null, jobRelay: string|null, request: Object|null, customer: string|null,
+ *   provider: string, amountMsats: number|null, bolt11: string|null, content: string }}
+ */
+function parseJobResult(event) {
+  const tag = (name) => event.tags.find(t => t[0] === name && t[1]) || null;
+  const e = tag('e');
+  const p = tag('p');
+  const amount = tag('amount');
+  const msats = amount ? Number(amount[1]) : NaN;
+
+  let request = null;
+  const requestTag = tag('request');
+  if (requestTag) {
+    try {
+      const parsed = JSON.parse(requestTag[1]);
+      if (parsed && typeof parsed === 'object') request = parsed;
+    } catch (err) { /* not JSON */ }
+  }
+
+  return {
+    jobId: e ? e[1] : (request && typeof request.id === 'string' ? request.id : null),
+    jobRelay: e && e[2] ? e[2] : null,
+    request,
+    customer: p ? p[1] : null,
+    provider: event.pubkey,
+    amountMsats: Number.isSafeInteger(msats) && msats >= 0 ? msats : null,
+    bolt11: amount && amount[2] ? amount[2] : null,
+    content: event.content || ''
+  };
+}
+
+/**
+ * Event template for job feedback (kind 7000) on a request we're working on
+ *
+ * @param {Object} request - The job request event
+ * @param {string} status - `processing`, `error`, `payment-required`, ...
+ * @param {Object} [opts]
+ * @param {string} [opts.info] - Human-readable status detail
+ * @param {string} [opts.content] - Partial result (with `partial`)
+ * @param {number} [opts.amountMsats] - Amount to request
+ * @param {string} [opts.bolt11] - Invoice for that amount
+ */
+function jobFeedbackTemplate(request, status, { info = null, content = '', amountMsats = null, bolt11 = null } = {}) {
+  const tags = [
+    info ? ['status', status, info] : ['status', status],
+    ['e', request.id],
+    ['p', request.pubkey]
+  ];
+  if (amountMsats != null) tags.push(bolt11 ? ['amount', String(amountMsats), bolt11] : ['amount', String(amountMsats)]);
+  return { kind: KINDS.DVM_FEEDBACK, created_at: Math.floor(Date.now() / 1000), content, tags };
+}
+
+/**
+ * Event template for a job result (kind + 1000) with the tags NIP-90 asks
+ * for: the stringified `request`, `e` / `p` back to the job and customer,
+ * and the original `i` inputs (left out for encrypted jobs, whose content
+ * the caller encrypts)
+ *
+ * @param {Object} request - The job request event
+ * @param {string} content - Result payload
+ * @param {Object} [opts]
+ * @param {boolean} [opts.encrypted] - Mark the result as encrypted
+ * @param {number} [opts.amountMsats] - Amount to request
+ * @param {string} [opts.bolt11] - Invoice for that amount
+ * @param {string[][]} [opts.tags] - Extra tags
+ */
+function jobResultTemplate(request, content, { encrypted = false, amountMsats = null, bolt11 = null, tags: extra = [] } = {}) {
+  const tags = [
+    ['request', JSON.stringify(request)],
+    ['e', request.id],
+    ['p', request.pubkey]
+  ];
+  if (encrypted) tags.push(['encrypted']);
+  else tags.push(...request.tags.filter(t => t[0] === 'i'));
+  if (amountMsats != null) tags.push(bolt11 ? ['amount', String(amountMsats), bolt11] : ['amount', String(amountMsats)]);
+  tags.push(...extra);
+  return { kind: request.kind + 1000, created_at: Math.floor(Date.now() / 1000), content, tags };
+}
+
+/**
+ * Newest NIP-89 handler announcement (kind 31990) per `d` tag
+ *
+ * @param {Object[]} events
+ * @param {string} [pubkey] - Only announcements by this author
+ * @returns {Object[]}
+ */
+function latestHandlers(events, pubkey = null) {
+  const latest = new Map();
+  for (const event of events) {
+    if (event.kind !== KINDS.HANDLER_INFO || (pubkey && event.pubkey !== pubkey)) continue;
+    const d = (event.tags.find(t => t[0] === 'd') || [])[1] || '';
+    const current = latest.get(d);
+    if (!current || event.created_at > current.created_at) latest.set(d, event);
+  }
+  return Array.from(latest.values());
+}
+
+/**
+ * Job request kinds (5000-5999) named by `k` tags in handler announcements
+ *
+ * @param {Object[]} handlers - From latestHandlers
+ * @returns {number[]} Sorted, unique
+ */
+function handlerKinds(handlers) {
+  const kinds = new Set();
+  for (const event of handlers) {
+    for (const t of event.tags) {
+      if (t[0] !== 'k' || !/^\d+$/.test(t[1] || '')) continue;
+      const kind = Number(t[1]);
+      if (kind >= 5000 && kind <= 5999) kinds.add(kind);
+    }
+  }
+  return Array.from(kinds).sort((a, b) => a - b);
+}
+
+/**
+ * Priority for a feedback status
+ */
+function feedbackPriority(status) {
+  return FEEDBACK_PRIORITY[status] || 'low';
+}
+
+module.exports = {
+  isEncryptedJob,
+  parseJobRequest,
+  parseJobFeedback,
+  parseJobResult,
+  feedbackPriority,
+  jobFeedbackTemplate,
+  jobResultTemplate,
+  latestHandlers,
+  handlerKinds
+};
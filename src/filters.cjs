@@ -1,51 +1,62 @@
 'use strict';
 
+const { KINDS } = require('./kinds.cjs');
+const { parseThread, parentAuthor, referencesPubkey } = require('./thread.cjs');
+const { feedbackPriority } = require('./dvm.cjs');
+const { agentFilters } = require('./agents.cjs');
+
+// NIP-59: gift wrap created_at is randomized up to 2 days in the past
+const GIFT_WRAP_LOOKBACK = 2 * 24 * 60 * 60;
+
+// dvmKinds: 'all' — kinds per filter when the relay doesn't say otherwise
+const DEFAULT_MAX_KINDS = 250;
+
+function kindRange(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
 /**
- * Nostr event kinds we care about
+ * Split the full-range DVM filters into chunks of at most `maxKinds` kinds,
+ * with bigger chunks if that would exceed the relay's `maxFilters`
  */
-const KINDS = {
-  // Core
-  TEXT_NOTE: 1,
-  DM_ENCRYPTED: 4,       // NIP-04 encrypted DM
-  REACTION: 7,
-  
-  // DVM (NIP-90)
-  DVM_REQUEST_BASE: 5000, // 5000-5999
-  DVM_RESULT_BASE: 6000,  // 6000-6999
-  DVM_FEEDBACK: 7000,
-
-  // Zaps (NIP-57)
-  ZAP_RECEIPT: 9735,
-  ZAP_REQUEST: 9734,
-
-  // Trust (ai.wot)
-  LABEL: 1985,            // NIP-32
-
-  // Gift wrap DM (NIP-17)
-  GIFT_WRAP: 1059,
-  SEAL: 13,
-
-  // Agent discovery
-  AGENT_SERVICE: 38990,   // agent-discovery kind
+function splitRanged(filters, ranged, { maxKinds = DEFAULT_MAX_KINDS, maxFilters = null } = {}) {
+  // Not even one filter per range fits: the ranges share `#p` and `since`, so merge them
+  if (maxFilters && ranged.size > 1 && maxFilters - (filters.length - ranged.size) < ranged.size) {
+    const [first, ...rest] = Array.from(ranged);
+    const merged = { ...first, kinds: Array.from(ranged).flatMap(f => f.kinds) };
+    filters = filters.filter(f => !rest.includes(f)).map(f => (f === first ? merged : f));
+    ranged = new Set([merged]);
+  }
 
-  // Marketplace (agent-escrow)
-  TASK: 30950,
-  BID: 950,
-  DELIVERY: 951,
-  RESOLUTION: 952,
+  let size = Math.max(1, maxKinds);
+  if (maxFilters) {
+    const slots = Math.max(maxFilters - (filters.length - ranged.size), ranged.size);
+    const count = (n) => Array.from(ranged).reduce((sum, f) => sum + Math.ceil(f.kinds.length / n), 0);
+    while (count(size) > slots) size *= 2;
+  }
 
-  // Clawstr (NIP-22)
-  COMMENT: 1111
-};
+  return filters.flatMap((filter) => {
+    if (!ranged.has(filter)) return [filter];
+    const chunks = [];
+    for (let i = 0; i < filter.kinds.length; i += size) chunks.push({ ...filter, kinds: filter.kinds.slice(i, i + size) });
+    return chunks;
+  });
+}
 
 /**
- * Build subscription filters for a pubkey
+ * Build subscription filters for a pubkey (or several, sharing each filter)
+ *
+ * `channels.dvmKinds` is a list of request kinds, or `'all'` for the whole
+ * 5000-5999 / 6000-6999 range, split to fit `limits`.
  *
- * @param {string} pubkey - Hex pubkey to watch
+ * @param {string|string[]} pubkey - Hex pubkey(s) to watch
  * @param {Object} channels - Which notification channels to enable
  * @param {number} [since] - Unix timestamp, only events after this
+ * @param {Object} [limits] - Relay limits for the full DVM range
+ * @param {number} [limits.maxKinds] - Kinds per filter (default: 250)
+ * @param {number} [limits.maxFilters] - Filters per subscription
  */
-function buildFilters(pubkey, channels = {}, since = null) {
+function buildFilters(pubkey, channels = {}, since = null, limits = {}) {
   const {
     mentions = true,
     dms = true,
@@ -54,17 +65,22 @@ function buildFilters(pubkey, channels = {}, since = null) {
     zaps = true,
     reactions = true,
     trust = true,
-    marketplace = true
+    marketplace = true,
+    reposts = false,      // opt-in: reposts are noisy and low-signal
+    agents = false        // opt-in: announcements from anyone, not about us
   } = channels;
 
+  const pubkeys = [].concat(pubkey);
   const filters = [];
+  const ranged = new Set(); // full-range DVM filters, split at the end
   const sinceObj = since ? { since } : {};
+  const allDvmKinds = channels.dvmKinds === 'all';
 
   // Mentions: kind 1 events that tag our pubkey
   if (mentions) {
     filters.push({
       kinds: [KINDS.TEXT_NOTE, KINDS.COMMENT],
-      '#p': [pubkey],
+      '#p': pubkeys,
       ...sinceObj
     });
   }
@@ -73,14 +89,15 @@ function buildFilters(pubkey, channels = {}, since = null) {
   if (dms) {
     filters.push({
       kinds: [KINDS.DM_ENCRYPTED],
-      '#p': [pubkey],
+      '#p': pubkeys,
       ...sinceObj
     });
-    // Also gift-wrapped DMs (NIP-17)
+    // Also gift-wrapped DMs (NIP-17). Wrap timestamps are randomized up to
+    // two days into the past, so look back further than `since`.
     filters.push({
       kinds: [KINDS.GIFT_WRAP],
-      '#p': [pubkey],
-      ...sinceObj
+      '#p': pubkeys,
+      ...(since ? { since: since - GIFT_WRAP_LOOKBACK } : {})
     });
   }
 
@@ -88,11 +105,15 @@ function buildFilters(pubkey, channels = {}, since = null) {
   // Split into small batches to avoid overwhelming relays
   if (dvmRequests) {
     const dvmKinds = channels.dvmKinds; // optional: specific DVM kinds to watch
-    if (dvmKinds && Array.isArray(dvmKinds)) {
+    if (allDvmKinds) {
+      const filter = { kinds: kindRange(5000, 5999), '#p': pubkeys, ...sinceObj };
+      ranged.add(filter);
+      filters.push(filter);
+    } else if (dvmKinds && Array.isArray(dvmKinds)) {
       // User specified exact kinds — use them directly
       filters.push({
         kinds: dvmKinds,
-        '#p': [pubkey],
+        '#p': pubkeys,
         ...sinceObj
       });
     } else {
@@ -111,20 +132,25 @@ function buildFilters(pubkey, channels = {}, since = null) {
       ];
       filters.push({
         kinds: commonDvmKinds,
-        '#p': [pubkey],
+        '#p': pubkeys,
         ...sinceObj
       });
     }
   }
 
-  // DVM results: kind 6xxx tagged to us (we requested something)
+  // DVM results: kind 6xxx tagged to us (we requested something), plus
+  // kind 7000 feedback (payment-required, processing, ...) on our jobs
   if (dvmResults) {
     const dvmKinds = channels.dvmKinds;
-    if (dvmKinds && Array.isArray(dvmKinds)) {
+    if (allDvmKinds) {
+      const filter = { kinds: [...kindRange(6000, 6999), KINDS.DVM_FEEDBACK], '#p': pubkeys, ...sinceObj };
+      ranged.add(filter);
+      filters.push(filter);
+    } else if (dvmKinds && Array.isArray(dvmKinds)) {
       // Map request kinds to result kinds
       filters.push({
-        kinds: dvmKinds.map(k => k + 1000),
-        '#p': [pubkey],
+        kinds: [...dvmKinds.map(k => k + 1000), KINDS.DVM_FEEDBACK],
+        '#p': pubkeys,
         ...sinceObj
       });
     } else {
@@ -132,11 +158,12 @@ function buildFilters(pubkey, channels = {}, since = null) {
         6000, 6001, 6002, 6003, 6004, 6005,
         6050, 6100, 6200, 6250, 6300, 6301, 6302,
         6400, 6401, 6500, 6501,
-        6900, 6901, 6902, 6903, 6904, 6905
+        6900, 6901, 6902, 6903, 6904, 6905,
+        KINDS.DVM_FEEDBACK
       ];
       filters.push({
         kinds: commonResultKinds,
-        '#p': [pubkey],
+        '#p': pubkeys,
         ...sinceObj
       });
     }
@@ -146,7 +173,7 @@ function buildFilters(pubkey, channels = {}, since = null) {
   if (zaps) {
     filters.push({
       kinds: [KINDS.ZAP_RECEIPT],
-      '#p': [pubkey],
+      '#p': pubkeys,
       ...sinceObj
     });
   }
@@ -155,7 +182,16 @@ function buildFilters(pubkey, channels = {}, since = null) {
   if (reactions) {
     filters.push({
       kinds: [KINDS.REACTION],
-      '#p': [pubkey],
+      '#p': pubkeys,
+      ...sinceObj
+    });
+  }
+
+  // Reposts: of our notes (NIP-18 tags the original author)
+  if (reposts) {
+    filters.push({
+      kinds: [KINDS.REPOST, KINDS.GENERIC_REPOST],
+      '#p': pubkeys,
       ...sinceObj
     });
   }
@@ -164,7 +200,7 @@ function buildFilters(pubkey, channels = {}, since = null) {
   if (trust) {
     filters.push({
       kinds: [KINDS.LABEL],
-      '#p': [pubkey],
+      '#p': pubkeys,
       '#L': ['ai.wot'],
       ...sinceObj
     });
@@ -173,19 +209,92 @@ function buildFilters(pubkey, channels = {}, since = null) {
   // Marketplace: tasks tagged to us, bids on our tasks, deliveries, resolutions
   if (marketplace) {
     filters.push({
-      kinds: [KINDS.BID, KINDS.DELIVERY, KINDS.RESOLUTION],
-      '#p': [pubkey],
+      kinds: [KINDS.TASK, KINDS.BID, KINDS.DELIVERY, KINDS.RESOLUTION],
+      '#p': pubkeys,
       ...sinceObj
     });
+    // Tasks we posted, regardless of `since`, so their state can be rebuilt
+    filters.push({
+      kinds: [KINDS.TASK],
+      authors: pubkeys
+    });
+  }
+
+  // Agent discovery: service announcements matching what we look for
+  if (agents) {
+    filters.push(...agentFilters(agents, since));
   }
 
-  return filters;
+  return ranged.size > 0 ? splitRanged(filters, ranged, limits) : filters;
+}
+
+/**
+ * Why does a note or comment tag us?
+ *
+ * - `reply`: it answers one of our events, or an event whose author is
+ *   unknown (no pubkey on the reply pointer, parent not fetched)
+ * - `quote`: it quotes one of our events (`q` tag)
+ * - `mention`: it names us (`nostr:npub…` / `nprofile…` in the content, or
+ *   tags us outside any thread)
+ * - `thread_participation`: it answers someone else, and we're only among
+ *   the p-tags it inherited from a thread we took part in
+ *
+ * @param {Object} event - Kind 1 or 1111 event
+ * @param {string} myPubkey
+ * @param {string} [parentPubkey] - Known author of the parent (e.g. after fetching it)
+ */
+function classifyNote(event, myPubkey, parentPubkey = undefined) {
+  const thread = parseThread(event);
+  const parent = parentPubkey !== undefined ? parentPubkey : parentAuthor(event, thread);
+
+  if (thread.replyTo && (!parent || parent === myPubkey)) return { type: 'reply', priority: 'high' };
+  if (event.tags.some(t => t[0] === 'q' && t[1] && (!t[3] || t[3] === myPubkey))) return { type: 'quote', priority: 'medium' };
+  if (referencesPubkey(event.content, myPubkey)) return { type: 'mention', priority: 'medium' };
+  if (thread.replyTo) return { type: 'thread_participation', priority: 'low' };
+  return { type: 'mention', priority: 'medium' };
+}
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Which of our identities an event is addressed to (p tags, `nostr:` references)
+ */
+function targetedIdentities(event, pubkeys) {
+  return pubkeys.filter(pk => event.tags.some(t => t[0] === 'p' && t[1] === pk) || referencesPubkey(event.content, pk));
+}
+
+/**
+ * Classify an event once per identity it targets and keep the most urgent
+ * result. `identities` lists the targets, the one classified for first.
+ *
+ * @param {Object} event
+ * @param {string[]} pubkeys - Our identities
+ * @param {(pubkey: string) => Object} classify - Classification for one identity
+ */
+function classifyForIdentities(event, pubkeys, classify) {
+  const targets = targetedIdentities(event, pubkeys);
+  let best = null;
+  for (const pk of targets.length ? targets : pubkeys.slice(0, 1)) {
+    const classification = classify(pk);
+    if (!best || PRIORITY_RANK[classification.priority] < PRIORITY_RANK[best.classification.priority]) {
+      best = { pk, classification };
+    }
+  }
+  const identities = targets.length ? [best.pk, ...targets.filter(pk => pk !== best.pk)] : [];
+  return { ...best.classification, identities };
 }
 
 /**
  * Classify an event into a notification type
+ *
+ * With a list of pubkeys, "about me" means about any of them: the event is
+ * classified for each identity it targets (see `classifyForIdentities`).
+ *
+ * @param {Object} event
+ * @param {string|string[]} myPubkey - Our pubkey, or every identity we watch
  */
 function classifyEvent(event, myPubkey) {
+  if (Array.isArray(myPubkey)) return classifyForIdentities(event, myPubkey, pk => classifyEvent(event, pk));
   const kind = event.kind;
 
   // DMs
@@ -203,9 +312,10 @@ function classifyEvent(event, myPubkey) {
     return { type: 'dvm_result', priority: 'medium', dvmKind: kind - 1000 };
   }
 
-  // DVM feedback
+  // DVM feedback — priority depends on the status (payment-required is urgent)
   if (kind === KINDS.DVM_FEEDBACK) {
-    return { type: 'dvm_feedback', priority: 'low' };
+    const status = (event.tags.find(t => t[0] === 'status') || [])[1];
+    return { type: 'dvm_feedback', priority: feedbackPriority(status) };
   }
 
   // Zaps
@@ -223,21 +333,30 @@ function classifyEvent(event, myPubkey) {
   }
 
   // Marketplace
+  if (kind === KINDS.TASK) return { type: 'marketplace_task', priority: 'high' };
   if (kind === KINDS.BID) return { type: 'marketplace_bid', priority: 'high' };
   if (kind === KINDS.DELIVERY) return { type: 'marketplace_delivery', priority: 'high' };
   if (kind === KINDS.RESOLUTION) return { type: 'marketplace_resolution', priority: 'high' };
 
+  // Agent discovery
+  if (kind === KINDS.AGENT_SERVICE) return { type: 'agent_service', priority: 'low' };
+
   // Reactions
   if (kind === KINDS.REACTION) {
     return { type: 'reaction', priority: 'low' };
   }
 
-  // Mentions (text notes / comments that tag us)
+  // Reposts of our notes
+  if (kind === KINDS.REPOST || kind === KINDS.GENERIC_REPOST) {
+    return { type: 'repost', priority: 'low' };
+  }
+
+  // Text notes / comments that tag us
   if (kind === KINDS.TEXT_NOTE || kind === KINDS.COMMENT) {
-    return { type: 'mention', priority: 'medium' };
+    return classifyNote(event, myPubkey);
   }
 
   return { type: 'unknown', priority: 'low' };
 }
 
-module.exports = { KINDS, buildFilters, classifyEvent };
+module.exports = { KINDS, buildFilters, classifyEvent, classifyNote, classifyForIdentities };
@@ -2,7 +2,31 @@
 
 const { EventEmitter } = require('events');
 const { Relay, useWebSocketImplementation } = require('nostr-tools/relay');
-const { buildFilters, classifyEvent } = require('./filters.cjs');
+const { KINDS, buildFilters } = require('./filters.cjs');
+const { createPipeline } = require('./pipeline.cjs');
+const { resolveSigner } = require('./signer.cjs');
+const { checkEvent, acceptAll } = require('./verify.cjs');
+const { resolveStore } = require('./state.cjs');
+const { attachAuth, canAuth, isAuthRequired, isRelayRefusal } = require('./auth.cjs');
+const {
+  DEFAULT_BOOTSTRAP_RELAYS,
+  fetchRelayLists,
+  isRelayListEvent,
+  normalizeRelayUrl,
+  resolveOutboxRelays,
+  routeFilters
+} = require('./outbox.cjs');
+const { createSocialGraph } = require('./social.cjs');
+const { createEventFetcher, publishToRelays, queryRelays } = require('./query.cjs');
+const { fetchRelayLimits } = require('./nip11.cjs');
+const { latestHandlers, handlerKinds } = require('./dvm.cjs');
+const { createReactionAggregator } = require('./reactions.cjs');
+const { createJobTracker } = require('./jobs.cjs');
+const { createJobWorker } = require('./worker.cjs');
+const { createTaskBook } = require('./marketplace.cjs');
+const { createTrustLedger, fetchTrust } = require('./trust.cjs');
+const { agentFilters, createAgentDirectory } = require('./agents.cjs');
+const { createDigest } = require('./digest.cjs');
 
 // Use ws in Node.js
 try {
@@ -12,47 +36,226 @@ try {
   // Browser environment
 }
 
+// Seen IDs written to the state store — enough to cover the cursor overlap
+const MAX_SAVED_IDS = 2000;
+
+// Attesters whose deletions we follow live (the rest are caught by fetchTrust on start)
+const MAX_WATCHED_ATTESTERS = 500;
+// New attesters are batched into one resubscription
+const TRUST_RESUBSCRIBE_MS = 2000;
+
 /**
  * Create an inbox that streams Nostr notifications
  *
  * @param {Object} opts
- * @param {string} opts.pubkey - Your hex pubkey
- * @param {string[]} [opts.relays] - Relay URLs
- * @param {Object} [opts.channels] - Which notification types to enable
+ * @param {string} [opts.pubkey] - Your hex pubkey (required unless `pubkeys` is given)
+ * @param {string[]} [opts.pubkeys] - Watch several identities over the same connections; notifications get `identities` (the first, or `pubkey`, is the primary: own lists, outbox, mute / follows, NIP-89, AUTH and `handleJobs` use it)
+ * @param {Object} [opts.signers] - Signers (or secret keys) for the other identities, by pubkey, to decrypt their DMs
+ * @param {string[]} [opts.relays] - Relay URLs (ignored with `outbox`)
+ * @param {boolean} [opts.outbox] - Discover relays from our kind 10002 / 10050 lists and follow updates to them (default: false)
+ * @param {string[]} [opts.bootstrapRelays] - Where to look up those lists
+ * @param {Object} [opts.channels] - Which notification types to enable (`dvmKinds`: a list, `'all'` or `'nip89'`; `agents`: which service announcements to watch)
+ * @param {Object} [opts.relayLimits] - Per-relay `{ maxKinds, maxFilters }` for `dvmKinds: 'all'` (default: from NIP-11)
  * @param {number} [opts.since] - Unix timestamp, only events after this
  * @param {boolean} [opts.dedup] - Deduplicate events by ID (default: true)
+ * @param {Object|string} [opts.store] - State store (or JSON file path) for the cursor and seen IDs; its cursor wins over `since`
+ * @param {number} [opts.saveIntervalMs] - How often to persist state while events arrive (default: 1000)
+ * @param {string|Uint8Array} [opts.secretKey] - Secret key used to decrypt DMs
+ * @param {Object} [opts.signer] - Pluggable signer with `decrypt(pubkey, ciphertext, scheme)` and/or `signEvent(template)` (for NIP-42 AUTH and `handleJobs`)
+ * @param {string[]|Function} [opts.zapProviders] - LNURL provider pubkeys allowed to sign zap receipts
+ * @param {Object[]|string} [opts.rules] - Classification rules (or a JSON file path) to adjust type / priority, add labels or drop events
+ * @param {boolean} [opts.mute] - Drop events matching our NIP-51 mute list (kind 10000) (default: false)
+ * @param {boolean} [opts.follows] - Load our follow graph and annotate notifications with the sender's `distance` (default: false)
+ * @param {number|Object} [opts.maxDistance] - Only keep senders within this distance (1 = follows, 2 = follows-of-follows), for all channels or per channel
+ * @param {boolean} [opts.fetchParents] - Attach the event a reply or comment answers as `parent` (cached; default: false)
+ * @param {boolean|Object} [opts.aggregateReactions] - Merge bursts of reactions on one event into a `reactions_summary` (`{ windowMs, minCount }`; default: false)
+ * @param {boolean|Object} [opts.digest] - Hold low-signal types and emit a periodic `digest` instead (`{ intervalMs, types, topSenders, highlights }`; default: false)
+ * @param {boolean} [opts.verify] - Check event ids and signatures (default: true; disable only for trusted relays)
  * @param {Function} [opts.onEvent] - Callback for each event (alternative to EventEmitter)
  * @param {Function} [opts.onError] - Error callback
- * @param {number} [opts.reconnectMs] - Reconnect delay on disconnect (default: 5000)
+ * @param {number} [opts.reconnectMs] - Initial reconnect delay, doubled per failed attempt (default: 5000)
+ * @param {number} [opts.maxReconnectMs] - Reconnect delay cap (default: 300000)
  * @param {number} [opts.connectTimeoutMs] - Connection timeout (default: 10000)
  */
 function createInbox(opts) {
   const {
-    pubkey,
-    relays: relayUrls = ['wss://relay.damus.io', 'wss://nos.lol', 'wss://relay.primal.net'],
+    pubkey: pubkeyOpt = null,
+    pubkeys = null,
+    signers = {},
+    relays = ['wss://relay.damus.io', 'wss://nos.lol', 'wss://relay.primal.net'],
+    outbox = false,
+    bootstrapRelays = DEFAULT_BOOTSTRAP_RELAYS,
     channels = {},
+    relayLimits = {},
     since = null,
     dedup = true,
+    store: storeOpt = null,
+    saveIntervalMs = 1000,
+    secretKey = null,
+    signer = null,
+    verify = true,
+    zapProviders = null,
+    rules = null,
+    mute = false,
+    follows = false,
+    maxDistance = null,
+    fetchParents = false,
+    aggregateReactions = false,
+    digest: digestOpt = false,
     onEvent = null,
     onError = null,
     reconnectMs = 5000,
+    maxReconnectMs = 300000,
     connectTimeoutMs = 10000
   } = opts;
 
-  if (!pubkey) throw new Error('pubkey is required');
+  // Every identity we watch; the first is the primary
+  const identities = Array.from(new Set([...(pubkeyOpt ? [pubkeyOpt] : []), ...(pubkeys || [])]));
+  if (identities.length === 0) throw new Error('pubkey is required');
+  const pubkey = identities[0];
+  const watched = pubkeys ? identities : pubkey;
 
   const emitter = new EventEmitter();
+  const store = resolveStore(storeOpt);
+  const activeSigner = resolveSigner({ secretKey, signer });
+  const identitySigners = new Map(Object.entries(signers).map(([pk, value]) => {
+    if (!identities.includes(pk)) throw new Error(`signers: ${pk} is not one of the watched pubkeys`);
+    const isKey = typeof value === 'string' || value instanceof Uint8Array;
+    return [pk, resolveSigner(isKey ? { secretKey: value } : { signer: value })];
+  }));
+  const social = mute || follows || maxDistance != null
+    ? createSocialGraph({
+      pubkey, signer: activeSigner, mute, follows, maxDistance, relays: () => relayUrls, timeoutMs: connectTimeoutMs
+    })
+    : null;
+  const processEvent = createPipeline({
+    pubkey: watched,
+    signer: activeSigner,
+    signers: identitySigners,
+    zapProviders,
+    rules,
+    social,
+    onSuppressed: (info) => emitter.emit('suppressed', info),
+    fetchEvent: fetchParents ? createEventFetcher({ relays: () => relayUrls, timeoutMs: connectTimeoutMs, verify }) : null,
+    // Providers answering jobs we asked for are rarely in our network
+    exempt: (notification) => jobs.tracks(notification)
+  });
+  const aggregator = aggregateReactions
+    ? createReactionAggregator({ ...(typeof aggregateReactions === 'object' ? aggregateReactions : {}), emit: deliver })
+    : null;
+  const digest = digestOpt
+    ? createDigest({ ...(typeof digestOpt === 'object' ? digestOpt : {}), emit: (info) => emitter.emit('digest', info) })
+    : null;
+  const jobs = createJobTracker({ emit: (info) => emitter.emit('job_update', info) });
+  const taskBook = createTaskBook({ emit: (update) => emitter.emit('task_updated', update) });
+  const ledgers = channels.trust !== false ? identities.map(pk => createTrustLedger({ pubkey: pk })) : [];
+  const trust = ledgers.length ? ledgers[0] : null; // the primary's, for status().trust
+  const directory = channels.agents ? createAgentDirectory({ criteria: channels.agents }) : null;
+  const worker = createJobWorker({ signer: activeSigner, publish, emit: (name, info) => emitter.emit(name, info) });
   const seen = new Set();      // Event ID dedup
-  const connectedRelays = [];  // Active relay connections
+  const connectedRelays = [];  // Active relay connections ({ url, relay, sub })
+  const relayStates = new Map(); // url -> connection state
+  let relayUrls = relays.slice();
+  let relayLists = { relayList: null, dmRelayList: null }; // outbox: latest kind 10002 / 10050
+  let outboxRelays = null;     // outbox: { read, write, dm, all }
+  let handlers = [];           // dvmKinds: 'nip89' — our latest kind 31990 announcements
+  const fetchedLimits = new Map(); // url -> NIP-11 limits (dvmKinds: 'all')
   let running = false;
+  let rejected = 0;
   let latestTimestamp = since || Math.floor(Date.now() / 1000) - 60; // default: last minute
+  let stateReady = null;
+  let saveTimer = null;
+  let trustTimer = null;
+  let watchedKey = '';         // attesters in the current subscriptions
+
+  /**
+   * Restore cursor and seen IDs from the store (once)
+   */
+  function loadState() {
+    if (!stateReady) {
+      stateReady = (async () => {
+        try {
+          const state = await store.load();
+          if (!state) return;
+          if (Number.isInteger(state.cursor)) latestTimestamp = Math.min(state.cursor, Math.floor(Date.now() / 1000));
+          if (dedup && Array.isArray(state.seen)) {
+            for (const id of state.seen) seen.add(id);
+          }
+        } catch (err) {
+          reportStateError(err);
+        }
+      })();
+    }
+    return stateReady;
+  }
+
+  /**
+   * Persist cursor and the most recent seen IDs
+   */
+  async function saveState() {
+    if (!store) return;
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    try {
+      await store.save({
+        cursor: latestTimestamp,
+        seen: Array.from(seen).slice(-MAX_SAVED_IDS)
+      });
+    } catch (err) {
+      reportStateError(err);
+    }
+  }
+
+  function scheduleSave() {
+    if (!store || saveTimer) return;
+    saveTimer = setTimeout(saveState, saveIntervalMs);
+  }
+
+  function reportStateError(err) {
+    const error = { relay: null, error: `state store: ${err.message}` };
+    emitter.emit('state_error', error);
+    if (onError) onError(error);
+  }
 
   /**
    * Process an incoming event
    */
-  function handleEvent(event) {
+  async function handleEvent(event, relayUrl = null) {
+    if (store) await loadState();
+
     // Dedup
-    if (dedup && seen.has(event.id)) return;
+    if (dedup && event && seen.has(event.id)) return;
+
+    // Verify before marking as seen, so a forged copy can't shadow the real event
+    if (verify) {
+      const reason = checkEvent(event);
+      if (reason) {
+        rejected++;
+        emitter.emit('rejected', { id: event && event.id, relay: relayUrl, reason, event });
+        return;
+      }
+    }
+
+    // One of our own lists changed — apply it instead of notifying
+    if (event.pubkey === pubkey && ownListKinds().includes(event.kind)) {
+      await updateOwnList(event);
+      return;
+    }
+
+    // A task one of us posted: track it, don't notify ourselves
+    if (identities.includes(event.pubkey) && event.kind === KINDS.TASK) {
+      taskBook.handle(event);
+      return;
+    }
+
+    // Deletions only revoke attestations
+    if (event.kind === KINDS.DELETION) {
+      if (trust) updateTrust(event);
+      return;
+    }
+
     if (dedup) {
       seen.add(event.id);
       // Prevent memory leak — keep last 10k IDs
@@ -62,31 +265,94 @@ function createInbox(opts) {
       }
     }
 
-    // Track latest timestamp for reconnection
-    if (event.created_at > latestTimestamp) {
-      latestTimestamp = event.created_at;
+    // Track latest timestamp for reconnection; anyone can tag us with a
+    // future created_at, so never move the cursor past now
+    const stamp = Math.min(event.created_at, Math.floor(Date.now() / 1000));
+    if (stamp > latestTimestamp) {
+      latestTimestamp = stamp;
     }
+    scheduleSave();
 
-    // Classify
-    const classification = classifyEvent(event, pubkey);
+    // Classify and enrich (decrypt, ...)
+    const notification = await processEvent(event);
+    if (!notification) return; // suppressed, or dropped by a rule
 
-    const notification = {
-      id: event.id,
-      type: classification.type,
-      priority: classification.priority,
-      from: event.pubkey,
-      content: event.content,
-      kind: event.kind,
-      tags: event.tags,
-      createdAt: event.created_at * 1000,
-      raw: event,
-      ...classification
-    };
+    if (notification.decryptError) {
+      emitter.emit('decrypt_error', notification.decryptError);
+    }
+
+    // Feedback / results for jobs we're tracking, requests for jobs we handle
+    jobs.handle(notification);
+    if (servesPrimary(notification)) worker.handle(notification);
+    if (notification.task || notification.marketplace) taskBook.handle(event);
+    if (trust && notification.attestation) updateTrust(event);
+
+    // Announcements: only new agents and real updates are news
+    if (notification.agent && directory) {
+      const agent = directory.handle(event);
+      if (!agent) return;
+      notification.agent = agent;
+    }
+
+    // Reactions may be held back and merged into a summary
+    if (aggregator && aggregator.add(notification)) return;
+
+    deliver(notification);
+  }
+
+  /**
+   * Job handlers sign as the primary identity, so they only take its jobs
+   */
+  function servesPrimary(notification) {
+    return !notification.identities || notification.identities.length === 0 || notification.identities.includes(pubkey);
+  }
+
+  /**
+   * Attesters whose deletions we follow: those whose attestations about any
+   * of us still count, nearest in the social graph first, at most
+   * MAX_WATCHED_ATTESTERS
+   */
+  function attesters() {
+    const all = Array.from(new Set(ledgers.flatMap(ledger => ledger.attesters())));
+    if (social) {
+      const rank = (pk) => {
+        const d = social.distance(pk);
+        return d == null ? Infinity : d;
+      };
+      all.sort((a, b) => rank(a) - rank(b));
+    }
+    return all.slice(0, MAX_WATCHED_ATTESTERS);
+  }
+
+  /**
+   * Apply an attestation or deletion to each identity's ledger; when the
+   * attesters to follow change, resubscribe once things settle
+   */
+  function updateTrust(event) {
+    const changed = ledgers.filter(ledger => ledger.handle(event));
+    if (changed.length && running && !trustTimer && attesters().join(',') !== watchedKey) {
+      trustTimer = setTimeout(() => {
+        trustTimer = null;
+        if (running && attesters().join(',') !== watchedKey) resubscribeAll();
+      }, TRUST_RESUBSCRIBE_MS);
+    }
+    for (const ledger of changed) emitTrust(ledger);
+  }
+
+  function emitTrust(ledger) {
+    emitter.emit('trust_updated', ledger.summary());
+  }
+
+  /**
+   * Emit a finished notification to listeners and the onEvent callback
+   */
+  function deliver(notification) {
+    // Held for the next digest
+    if (digest && digest.add(notification)) return;
 
-    // Emit
     emitter.emit('notification', notification);
-    emitter.emit(classification.type, notification);
-    if (classification.priority === 'high') {
+    emitter.emit(notification.type, notification);
+    if (notification.priority === 'high') {
       emitter.emit('urgent', notification);
     }
 
@@ -97,38 +363,373 @@ function createInbox(opts) {
   }
 
   /**
-   * Connect to a single relay with auto-reconnect
+   * Publish a signed event to the connected relays plus `extraRelays`
+   * (connected to just for this)
    */
-  async function connectRelay(url) {
-    try {
-      const relay = await Promise.race([
-        Relay.connect(url),
-        new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), connectTimeoutMs))
-      ]);
-
-      const filters = buildFilters(pubkey, channels, latestTimestamp);
-
-      relay.subscribe(filters, {
-        onevent: handleEvent,
-        oneose() {
-          // Initial sync complete for this relay
-          emitter.emit('synced', { relay: url });
+  async function publish(event, extraRelays = []) {
+    const ok = [];
+    const failed = [];
+    await Promise.all(connectedRelays.map(async ({ url, relay }) => {
+      try {
+        await relay.publish(event);
+        ok.push(url);
+      } catch (err) {
+        failed.push({ relay: url, error: err && err.message ? err.message : String(err) });
+      }
+    }));
+
+    const connected = new Set(connectedRelays.map(({ url }) => normalizeRelayUrl(url)));
+    const others = Array.from(new Set(extraRelays.map(normalizeRelayUrl).filter(url => url && !connected.has(url))));
+    if (others.length > 0) {
+      const result = await publishToRelays(others, event, { timeoutMs: connectTimeoutMs });
+      ok.push(...result.ok);
+      failed.push(...result.failed);
+    }
+
+    if (ok.length === 0) {
+      const reasons = failed.map(f => `${f.relay}: ${f.error}`).join('; ');
+      throw new Error(`publish failed${reasons ? ` (${reasons})` : ': no relays connected'}`);
+    }
+    return { ok, failed };
+  }
+
+  /**
+   * Kinds of our own lists (relay lists, mute list, contacts) we follow live
+   */
+  function ownListKinds() {
+    return [
+      ...(outbox ? [KINDS.RELAY_LIST, KINDS.DM_RELAY_LIST] : []),
+      ...(social ? social.kinds() : []),
+      ...(channels.dvmKinds === 'nip89' ? [KINDS.HANDLER_INFO] : [])
+    ];
+  }
+
+  /**
+   * Channels with `dvmKinds: 'nip89'` resolved to the kinds we announce
+   * (the common kinds until we know them)
+   */
+  function activeChannels() {
+    if (channels.dvmKinds !== 'nip89') return channels;
+    const kinds = handlerKinds(handlers);
+    return { ...channels, dvmKinds: kinds.length > 0 ? kinds : undefined };
+  }
+
+  function limitsFor(url) {
+    return { ...(fetchedLimits.get(url) || {}), ...(relayLimits[url] || {}) };
+  }
+
+  /**
+   * Filters for one relay. With outbox routing, DM filters only go to DM
+   * relays and everything else to read relays; every relay also watches for
+   * changes to our own lists.
+   */
+  function filtersFor(url) {
+    const kinds = ownListKinds();
+    const extra = kinds.length ? [{ kinds, authors: [pubkey] }] : [];
+    // Deletions by whoever attested about us may revoke an attestation
+    const authors = attesters();
+    watchedKey = authors.join(',');
+    if (authors.length) extra.push({ kinds: [KINDS.DELETION], authors, since: latestTimestamp });
+
+    // The extra filters count against the relay's max_filters too
+    const limits = limitsFor(url);
+    if (limits.maxFilters) limits.maxFilters = Math.max(1, limits.maxFilters - extra.length);
+    const filters = buildFilters(watched, activeChannels(), latestTimestamp, limits);
+    const routed = outboxRelays ? (routeFilters(filters, outboxRelays).get(url) || []) : filters;
+    return [...routed, ...extra];
+  }
+
+  async function updateOwnList(event) {
+    if (isRelayListEvent(event, pubkey)) {
+      updateRelayList(event);
+      return;
+    }
+    if (event.kind === KINDS.HANDLER_INFO) {
+      updateHandlers(event);
+      return;
+    }
+    if (await social.update(event)) emitter.emit('social_updated', social.status());
+  }
+
+  /**
+   * Apply a new NIP-89 announcement; resubscribe if our job kinds changed
+   */
+  function updateHandlers(event) {
+    const before = handlerKinds(handlers).join(',');
+    handlers = latestHandlers([...handlers, event], pubkey);
+    const kinds = handlerKinds(handlers);
+    if (kinds.join(',') === before) return;
+    emitter.emit('handlers_updated', { kinds });
+    if (running) resubscribeAll();
+  }
+
+  /**
+   * Replace every relay's subscription with freshly built filters
+   */
+  function resubscribeAll() {
+    for (const entry of connectedRelays) {
+      try { entry.sub.close(); } catch (e) { /* ignore */ }
+      subscribeRelay(entry, entry.auth);
+    }
+  }
+
+  /**
+   * Apply a newer kind 10002 / 10050 and move to the relays it names
+   */
+  function updateRelayList(event) {
+    const key = event.kind === KINDS.RELAY_LIST ? 'relayList' : 'dmRelayList';
+    const current = relayLists[key];
+    if (current && current.created_at >= event.created_at) return;
+    relayLists = { ...relayLists, [key]: event };
+    if (running) refreshRelays();
+  }
+
+  /**
+   * Reconcile connections with the current relay lists: drop relays that
+   * left, resubscribe the ones that stayed (routing may have changed) and
+   * connect new ones
+   */
+  function refreshRelays() {
+    const previous = relayUrls;
+    outboxRelays = resolveOutboxRelays(relayLists, bootstrapRelays);
+    relayUrls = outboxRelays.all;
+
+    const added = relayUrls.filter(url => !previous.includes(url));
+    const removed = previous.filter(url => !relayUrls.includes(url));
+
+    for (const url of removed) {
+      const state = relayStates.get(url);
+      if (state && state.timer) clearTimeout(state.timer);
+      relayStates.delete(url);
+      // Unlist before closing so handleClose doesn't reconnect
+      for (const entry of connectedRelays.filter(r => r.url === url)) {
+        connectedRelays.splice(connectedRelays.indexOf(entry), 1);
+        try { entry.relay.close(); } catch (e) { /* ignore */ }
+      }
+    }
+
+    resubscribeAll();
+
+    for (const url of added) connectRelay(url);
+
+    emitter.emit('relays_updated', { read: outboxRelays.read, write: outboxRelays.write, dm: outboxRelays.dm, added, removed });
+  }
+
+  /**
+   * Per-relay connection state, reported by status()
+   */
+  function relayState(url) {
+    let state = relayStates.get(url);
+    if (!state) {
+      state = {
+        state: 'idle',
+        attempts: 0,
+        backoffMs: 0,
+        lastError: null,
+        lastEventAt: null,
+        connectedAt: null,
+        auth: null,
+        timer: null
+      };
+      relayStates.set(url, state);
+    }
+    return state;
+  }
+
+  /**
+   * Exponential backoff with jitter: half the delay is fixed, half random,
+   * so relays that dropped together don't all reconnect at the same instant
+   */
+  function backoffDelay(attempt) {
+    const delay = Math.min(maxReconnectMs, reconnectMs * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  function reportRelayError(url, message) {
+    relayState(url).lastError = message;
+    const error = { relay: url, error: message };
+    if (emitter.listenerCount('error') > 0) emitter.emit('error', error);
+    if (onError) onError(error);
+  }
+
+  /**
+   * A listener, callback or decryption threw while handling an event; the
+   * relay itself is fine, so its state is left alone
+   */
+  function reportEventError(url, event, err) {
+    const error = { relay: url, error: `handling event ${event && event.id}: ${err && err.message ? err.message : err}` };
+    if (emitter.listenerCount('error') > 0) emitter.emit('error', error);
+    if (onError) onError(error);
+  }
+
+  /**
+   * Connect, giving up after connectTimeoutMs. A connection that completes
+   * after the timeout is closed rather than leaked.
+   */
+  function connectWithTimeout(url) {
+    return new Promise((resolve, reject) => {
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        reject(new Error('timeout'));
+      }, connectTimeoutMs);
+
+      Relay.connect(url, { verifyEvent: acceptAll }).then((relay) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          try { relay.close(); } catch (e) { /* ignore */ }
+        } else {
+          resolve(relay);
         }
+      }, (err) => {
+        clearTimeout(timer);
+        reject(err instanceof Error ? err : new Error(String(err)));
       });
+    });
+  }
+
+  /**
+   * Schedule the next connection attempt for a relay
+   */
+  function scheduleReconnect(url) {
+    if (!running || !relayUrls.includes(url)) return;
+    const state = relayState(url);
+    if (state.timer) return;
+
+    const delayMs = backoffDelay(state.attempts);
+    state.attempts++;
+    state.state = 'reconnecting';
+    state.backoffMs = delayMs;
+    emitter.emit('reconnecting', { relay: url, attempt: state.attempts, delayMs });
+
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      connectRelay(url);
+    }, delayMs);
+  }
+
+  /**
+   * Handle an established connection going away
+   */
+  function handleClose(url, relay) {
+    const idx = connectedRelays.findIndex(r => r.relay === relay);
+    if (idx === -1) return;
+    connectedRelays.splice(idx, 1);
+
+    // stop() closes relays too — that's not a drop
+    if (!running) return;
+
+    const state = relayState(url);
+    state.state = 'disconnected';
+    state.connectedAt = null;
+    state.lastError = 'connection closed';
+    emitter.emit('disconnected', { relay: url, reason: 'connection closed' });
+
+    scheduleReconnect(url);
+  }
+
+  /**
+   * Subscribe to our filters from the current cursor. If the relay closes the
+   * subscription with `auth-required`, authenticate (once) and resubscribe
+   * when auth succeeds, even if that's only after a later challenge.
+   */
+  function subscribeRelay(entry, auth, retried = false) {
+    const { url, relay } = entry;
+    const state = relayState(url);
+    let closed = false;
+
+    entry.sub = relay.subscribe(filtersFor(url), {
+      onevent: (event) => {
+        state.lastEventAt = Date.now();
+        handleEvent(event, url).catch(err => reportEventError(url, event, err));
+      },
+      oneose() {
+        // Initial sync complete for this relay (nostr-tools fires this on a timer even after CLOSED)
+        if (!closed) emitter.emit('synced', { relay: url });
+      },
+      onclose(reason) {
+        closed = true;
+        if (!running || !isRelayRefusal(reason)) return;
+
+        if (!isAuthRequired(reason)) {
+          reportRelayError(url, `subscription refused: ${reason}`);
+        } else if (!auth) {
+          state.auth = 'required';
+          reportRelayError(url, `${reason} (relay requires NIP-42 AUTH — pass a secretKey or a signer with signEvent)`);
+        } else if (retried) {
+          reportRelayError(url, `${reason} (still refused after AUTH)`);
+        } else {
+          state.auth = 'required';
+          entry.awaitingAuth = true;
+          // onResult resubscribes once auth succeeds, on this challenge or a later one
+          auth.authenticate().catch(() => { /* reported via onResult */ });
+        }
+      }
+    });
+  }
 
-      connectedRelays.push({ url, relay });
+  /**
+   * Resubscribe a relay whose subscription was refused with `auth-required`
+   */
+  function resubscribeAfterAuth(entry) {
+    if (!entry.awaitingAuth) return;
+    entry.awaitingAuth = false;
+    if (running && entry.relay.connected) subscribeRelay(entry, entry.auth, true);
+  }
+
+  /**
+   * Connect to a single relay, resubscribing from the current cursor, with
+   * auto-reconnect on failure or drop
+   */
+  async function connectRelay(url) {
+    const state = relayState(url);
+    state.state = 'connecting';
+
+    try {
+      // Size the full DVM range to what the relay accepts
+      if (channels.dvmKinds === 'all' && !fetchedLimits.has(url)) {
+        fetchedLimits.set(url, await fetchRelayLimits(url, { timeoutMs: connectTimeoutMs }));
+      }
+      const relay = await connectWithTimeout(url);
+
+      // Stopped (or dropped from the relay list) while we were connecting
+      if (!running || !relayUrls.includes(url)) {
+        try { relay.close(); } catch (e) { /* ignore */ }
+        return null;
+      }
+
+      relay.onclose = () => handleClose(url, relay);
+      state.auth = null;
+      const entry = { url, relay, auth: null, sub: null, awaitingAuth: false };
+      entry.auth = canAuth(activeSigner)
+        ? attachAuth(relay, activeSigner, {
+          timeoutMs: connectTimeoutMs,
+          onResult(err) {
+            state.auth = err ? 'failed' : 'authenticated';
+            if (err) {
+              reportRelayError(url, `auth failed: ${err.message}`);
+            } else {
+              emitter.emit('authenticated', { relay: url });
+              resubscribeAfterAuth(entry);
+            }
+          }
+        })
+        : null;
+
+      subscribeRelay(entry, entry.auth);
+
+      connectedRelays.push(entry);
+      state.state = 'connected';
+      state.attempts = 0;
+      state.backoffMs = 0;
+      state.connectedAt = Date.now();
       emitter.emit('connected', { relay: url });
 
       return relay;
     } catch (err) {
-      const error = { relay: url, error: err.message };
-      emitter.emit('error', error);
-      if (onError) onError(error);
-
-      // Schedule reconnect
-      if (running) {
-        setTimeout(() => connectRelay(url), reconnectMs);
-      }
+      state.state = 'disconnected';
+      reportRelayError(url, err.message);
+      scheduleReconnect(url);
       return null;
     }
   }
@@ -140,9 +741,43 @@ function createInbox(opts) {
     if (running) return;
     running = true;
 
-    emitter.emit('starting', { relays: relayUrls });
+    if (store) await loadState();
+
+    if (outbox) {
+      relayLists = await fetchRelayLists(pubkey, bootstrapRelays, { timeoutMs: connectTimeoutMs });
+      outboxRelays = resolveOutboxRelays(relayLists, bootstrapRelays);
+      relayUrls = outboxRelays.all;
+    }
+
+    if (social) await social.load();
 
-    await Promise.allSettled(relayUrls.map(connectRelay));
+    if (channels.dvmKinds === 'nip89') {
+      const events = await queryRelays(relayUrls, [{ kinds: [KINDS.HANDLER_INFO], authors: [pubkey] }], {
+        timeoutMs: connectTimeoutMs, verify
+      });
+      handlers = latestHandlers(events, pubkey);
+    }
+
+    emitter.emit('starting', { relays: relayUrls });
+    if (digest) digest.start();
+
+    // Attestations from before `since` still count towards our trust scores
+    const history = ledgers.length
+      ? Promise.all(identities.map((pk, i) => fetchTrust(pk, relayUrls, { ledger: ledgers[i], timeoutMs: connectTimeoutMs, verify })))
+        .then(() => {
+          if (running && attesters().join(',') !== watchedKey) resubscribeAll();
+          for (const ledger of ledgers) emitTrust(ledger);
+        })
+      : null;
+    // Announcements from before `since` fill the agent directory without notifying
+    const known = directory
+      ? queryRelays(relayUrls, agentFilters(channels.agents).map(f => ({ ...f, until: latestTimestamp })), {
+        timeoutMs: connectTimeoutMs, verify
+      }).then((events) => {
+        for (const event of events.sort((a, b) => a.created_at - b.created_at)) directory.handle(event);
+      })
+      : null;
+    await Promise.all([Promise.allSettled(relayUrls.map(connectRelay)), history, known]);
 
     emitter.emit('started', {
       connected: connectedRelays.length,
@@ -153,15 +788,27 @@ function createInbox(opts) {
   }
 
   /**
-   * Stop the inbox — close all connections
+   * Stop the inbox — close all connections and persist state
    */
   function stop() {
     running = false;
-    for (const { relay } of connectedRelays) {
+    if (trustTimer) clearTimeout(trustTimer);
+    trustTimer = null;
+    for (const state of relayStates.values()) {
+      if (state.timer) clearTimeout(state.timer);
+      state.timer = null;
+      state.state = 'idle';
+      state.connectedAt = null;
+    }
+    for (const { relay } of connectedRelays.slice()) {
       try { relay.close(); } catch (e) { /* ignore */ }
     }
     connectedRelays.length = 0;
+    if (aggregator) aggregator.flushAll();
+    if (digest) digest.stop();
+    jobs.cancel();
     emitter.emit('stopped');
+    return saveState();
   }
 
   /**
@@ -173,9 +820,20 @@ function createInbox(opts) {
       relays: {
         connected: connectedRelays.length,
         total: relayUrls.length,
-        urls: connectedRelays.map(r => r.url)
+        urls: connectedRelays.map(r => r.url),
+        states: Object.fromEntries(relayUrls.map((url) => {
+          const { timer, ...state } = relayState(url);
+          return [url, { ...state, connected: state.state === 'connected' }];
+        })),
+        outbox: outboxRelays ? { read: outboxRelays.read, write: outboxRelays.write, dm: outboxRelays.dm } : null
       },
+      social: social ? social.status() : null,
+      jobs: jobs.pending(),
+      workers: worker.status(),
+      trust: trust ? trust.summary() : null,
+      identities: identities.map((pk, i) => ({ pubkey: pk, trust: ledgers.length ? ledgers[i].summary() : null })),
       seen: seen.size,
+      rejected,
       latestTimestamp,
       channels
     };
@@ -236,8 +894,17 @@ function createInbox(opts) {
     // Utilities
     waitFor,
     collect,
+    trackJob: jobs.track,
+    cancelJob: jobs.cancel,
+    handleJobs: worker.register,
+    publish,
+    tasks: taskBook.list,
+    task: taskBook.get,
+    agents: (query) => (directory ? directory.list(query) : []),
+    flushDigest: () => (digest ? digest.flush() : null),
 
     // Direct access
+    ingest: handleEvent,
     emitter
   };
 }
@@ -4,6 +4,23 @@ const { createInbox } = require('./inbox.cjs');
 const { poll } = require('./poller.cjs');
 const { KINDS, buildFilters, classifyEvent } = require('./filters.cjs');
 const { createWebhook, verifySignature } = require('./webhooks.cjs');
+const { createServer } = require('./server.cjs');
+const { createSigner, detectScheme } = require('./signer.cjs');
+const { checkEvent } = require('./verify.cjs');
+const { parseZapReceipt } = require('./zaps.cjs');
+const { decodeBolt11 } = require('./bolt11.cjs');
+const { createFileStore, createMemoryStore } = require('./state.cjs');
+const { parseRelayList, parseDmRelayList, routeFilters } = require('./outbox.cjs');
+const { compileRules, applyRules } = require('./rules.cjs');
+const { parseMuteList, parseContactList } = require('./social.cjs');
+const { parseThread } = require('./thread.cjs');
+const { parseReaction, summarizeReactions } = require('./reactions.cjs');
+const { parseJobRequest, parseJobFeedback, parseJobResult } = require('./dvm.cjs');
+const { parseTask, parseMarketplaceEvent } = require('./marketplace.cjs');
+const { parseAttestation, fetchTrust } = require('./trust.cjs');
+const { parseAgentService } = require('./agents.cjs');
+const { buildDigest } = require('./digest.cjs');
+const { defaultConfigPath, loadConfig, validateConfig, resolveProfile, normalizePubkey } = require('./config.cjs');
 
 module.exports = {
   // Main API
@@ -14,8 +31,50 @@ module.exports = {
   createWebhook,
   verifySignature,
 
+  // Local HTTP / SSE / WebSocket server
+  createServer,
+
+  // Config profiles
+  defaultConfigPath,
+  loadConfig,
+  validateConfig,
+  resolveProfile,
+  normalizePubkey,
+
+  // State stores
+  createFileStore,
+  createMemoryStore,
+
+  // Signing / decryption
+  createSigner,
+  detectScheme,
+
+  // Classification rules
+  compileRules,
+  applyRules,
+
   // Utilities
   KINDS,
   buildFilters,
-  classifyEvent
+  classifyEvent,
+  checkEvent,
+  parseZapReceipt,
+  decodeBolt11,
+  parseRelayList,
+  parseDmRelayList,
+  routeFilters,
+  parseMuteList,
+  parseContactList,
+  parseThread,
+  parseReaction,
+  summarizeReactions,
+  buildDigest,
+  parseJobRequest,
+  parseJobFeedback,
+  parseJobResult,
+  parseTask,
+  parseMarketplaceEvent,
+  parseAgentService,
+  parseAttestation,
+  fetchTrust
 };
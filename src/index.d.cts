@@ -13,10 +13,11 @@ export interface NostrEvent {
 }
 
 export type NotificationType =
-  | 'mention' | 'dm' | 'dvm_request' | 'dvm_result' | 'dvm_feedback'
-  | 'zap' | 'reaction' | 'trust' | 'trust_network'
-  | 'marketplace_bid' | 'marketplace_delivery' | 'marketplace_resolution'
-  | 'unknown';
+  | 'mention' | 'reply' | 'quote' | 'thread_participation' | 'repost'
+  | 'dm' | 'dvm_request' | 'dvm_result' | 'dvm_feedback'
+  | 'zap' | 'reaction' | 'reactions_summary' | 'trust' | 'trust_network'
+  | 'marketplace_task' | 'marketplace_bid' | 'marketplace_delivery' | 'marketplace_resolution'
+  | 'agent_service' | 'unknown';
 
 export type Priority = 'high' | 'medium' | 'low';
 
@@ -30,7 +31,294 @@ export interface Notification {
   tags: string[][];
   createdAt: number;
   raw: NostrEvent;
+  // With `pubkeys`: the identities it targets, the one it was classified for first ([] if none)
+  identities?: string[];
   dvmKind?: number;
+  encryption?: EncryptionScheme;
+  plaintext?: string;
+  decryptError?: DecryptError;
+  // NIP-17 gift wraps (after unwrapping)
+  wrapped?: boolean;
+  subject?: string | null;
+  participants?: string[];
+  conversation?: string;
+  rumor?: Rumor;
+  // Zap receipts
+  zap?: Zap;
+  unverified?: boolean;
+  // Sender's social distance (with `follows` / `maxDistance`): 0 self, 1 follow, 2 follow-of-follow, null further
+  distance?: 0 | 1 | 2 | null;
+  // Mentions / comments: where the event sits in its thread
+  thread?: Thread;
+  parent?: NostrEvent | null;   // with `fetchParents`
+  // Reactions
+  reaction?: Reaction;
+  summary?: ReactionSummary;    // reactions_summary only
+  reactions?: Notification[];   // reactions_summary only: the merged reactions
+  // DVM job requests (5xxx) / feedback (7000) / results (6xxx)
+  job?: JobRequest;
+  feedback?: JobFeedback;
+  result?: JobResult;
+  // Marketplace tasks (30950) / bids, deliveries, resolutions (950-952)
+  task?: TaskInfo;
+  marketplace?: MarketplaceActivity;
+  // Agent service announcements (38990); `updated`: we knew an older version
+  agent?: AgentService & { updated?: boolean };
+  // ai.wot attestations (1985)
+  attestation?: Attestation | null;
+  // Added by classification rules
+  labels?: string[];
+}
+
+export interface Zap {
+  amountMsats: number | null;
+  amountSats: number | null;
+  sender: string | null;
+  recipient: string | null;
+  comment: string;
+  eventId: string | null;
+  address: string | null;
+  provider: string;
+  bolt11: string | null;
+  preimage: string | null;
+  request: NostrEvent | null;
+  providerChecked: boolean;     // receipt signer checked against zapProviders
+  valid: boolean;
+  errors: string[];
+}
+
+export interface ThreadPointer {
+  id: string | null;
+  relay: string | null;
+  pubkey: string | null;
+  // NIP-22 only
+  address?: string | null;
+  external?: string | null;
+  kind?: number | string | null;
+}
+
+export interface Thread {
+  nip: 10 | 22;
+  root: ThreadPointer | null;
+  replyTo: ThreadPointer | null;
+  replyToMe: boolean;
+}
+
+export interface Reaction {
+  eventId: string | null;
+  author: string | null;
+  kind: number | null;
+  address: string | null;
+  emoji: string;
+  sentiment: 'like' | 'dislike' | 'emoji';
+  shortcode: string | null;
+  url: string | null;
+}
+
+export interface ReactionSummary {
+  target: string;
+  count: number;
+  emojis: Record<string, number>;
+  reactors: string[];
+  firstAt: number;
+  lastAt: number;
+}
+
+export interface JobInput {
+  value: string;
+  type: 'text' | 'url' | 'event' | 'job';
+  relay: string | null;
+  marker: string | null;
+}
+
+export interface JobRequest {
+  kind: number;
+  inputs: JobInput[];
+  params: Record<string, string | string[]>;
+  output: string | null;        // expected MIME type
+  bidMsats: number | null;
+  relays: string[];             // where to publish the result
+  providers: string[];          // `p` tags: the providers the job is addressed to
+  encrypted: boolean;
+  forMe: boolean;               // false: addressed to other providers only
+}
+
+export type JobStatus = 'payment-required' | 'processing' | 'error' | 'success' | 'partial';
+
+export interface JobFeedback {
+  status: JobStatus | string | null;
+  statusInfo: string | null;
+  jobId: string | null;         // the job request (`e` tag)
+  jobRelay: string | null;
+  customer: string | null;      // who requested the job (`p` tag)
+  provider: string;             // the DVM
+  amountMsats: number | null;
+  bolt11: string | null;
+  content: string;
+}
+
+export interface JobResult {
+  jobId: string | null;         // the job request (`e` tag, else the `request` tag's id)
+  jobRelay: string | null;
+  request: NostrEvent | null;   // parsed `request` tag
+  customer: string | null;
+  provider: string;
+  amountMsats: number | null;
+  bolt11: string | null;
+  content: string;
+}
+
+export type JobState = 'pending' | JobStatus | 'result' | 'completed' | 'timeout' | 'cancelled';
+
+export interface JobUpdate {
+  jobId: string;
+  state: JobState;
+  previous: JobState;
+  provider: string | null;
+  notification: Notification | null;
+}
+
+export interface TrackedJob {
+  jobId: string;
+  state: JobState;
+  result: Notification | null;  // the selected result
+  results: Notification[];      // every provider's result
+  feedback: Notification[];
+  partials: Notification[];     // `partial` feedback
+  providers: Record<string, JobState>;
+}
+
+export interface TrackJobOptions {
+  timeoutMs?: number;
+  waitMs?: number;
+  select?: (results: Notification[]) => Notification | undefined;
+  onUpdate?: (update: JobUpdate) => void;
+}
+
+export interface JobHandlerContext {
+  attempt: number;
+  feedback(status: JobStatus, opts?: { info?: string; content?: string; amountMsats?: number; bolt11?: string }): Promise<NostrEvent>;
+}
+
+export type JobOutput = string | { content: unknown; amountMsats?: number; bolt11?: string; tags?: string[][] } | unknown;
+
+export type JobHandler = (job: JobRequest, notification: Notification, ctx: JobHandlerContext) => Promise<JobOutput> | JobOutput;
+
+export interface HandleJobsOptions {
+  concurrency?: number;
+  retries?: number;
+  retryDelayMs?: number;
+  feedback?: boolean;
+}
+
+export interface JobOutcome {
+  id: string;
+  kind: number;
+  from: string;
+  attempts: number;
+  result?: NostrEvent;          // job_completed
+  error?: string;               // job_failed
+}
+
+export interface PublishResult {
+  ok: string[];
+  failed: { relay: string; error: string }[];
+}
+
+export interface MuteList {
+  pubkeys: string[];
+  words: string[];
+  hashtags: string[];
+  threads: string[];
+}
+
+export interface SuppressedEvent {
+  id: string;
+  from: string;
+  type: NotificationType;
+  reason: string;
+}
+
+export interface SocialStatus {
+  muted: { pubkeys: number; words: number; hashtags: number; threads: number };
+  follows: number | null;
+  followsOfFollows: number;
+}
+
+export type MaxDistance = number | Partial<Record<keyof Omit<Channels, 'dvmKinds'>, number>>;
+
+export interface RuleMatch {
+  kind?: number | number[];
+  type?: string | string[];
+  from?: string | string[];
+  tags?: Record<string, string | string[]>;
+  content?: string | { pattern: string; flags?: string };
+  dvmKind?: number | number[];
+}
+
+export interface Rule {
+  name?: string;
+  match?: RuleMatch;
+  priority?: Priority;
+  type?: string;
+  labels?: string | string[];
+  drop?: boolean;
+  stop?: boolean;
+}
+
+export type ZapProviders = string[] | ((recipientPubkey: string) => Promise<string | string[] | null> | string | string[] | null);
+
+export interface Bolt11Invoice {
+  network: string;
+  amountMsats: number | null;
+  timestamp: number;
+  expiry: number | null;
+  paymentHash: string | null;
+  description: string | null;
+  descriptionHash: string | null;
+}
+
+export interface Rumor {
+  id: string;
+  pubkey: string;
+  kind: number;
+  created_at: number;
+  tags: string[][];
+  content: string;
+}
+
+export type EncryptionScheme = 'nip04' | 'nip44';
+
+export interface DecryptError {
+  id: string;
+  from: string;
+  kind: number;
+  scheme: EncryptionScheme;
+  error: string;
+}
+
+export interface RejectedEvent {
+  id: string | undefined;
+  relay: string | null;
+  reason: string;
+}
+
+export interface EventTemplate {
+  kind: number;
+  created_at: number;
+  tags: string[][];
+  content: string;
+}
+
+export interface Signer {
+  getPublicKey?(): Promise<string>;
+  signEvent?(template: EventTemplate): Promise<NostrEvent>;
+  decrypt?(pubkey: string, ciphertext: string, scheme: EncryptionScheme): Promise<string> | string;
+  encrypt?(pubkey: string, plaintext: string, scheme: EncryptionScheme): Promise<string> | string;
+}
+
+export interface LocalSigner extends Required<Signer> {
+  pubkey: string;
 }
 
 export interface Channels {
@@ -40,38 +328,127 @@ export interface Channels {
   dvmResults?: boolean;
   zaps?: boolean;
   reactions?: boolean;
+  reposts?: boolean;
   trust?: boolean;
   marketplace?: boolean;
-  dvmKinds?: number[];
+  agents?: boolean | AgentCriteria;       // opt-in
+  dvmKinds?: number[] | 'all' | 'nip89';  // 'all': the whole 5000-5999 range; 'nip89': kinds from your kind 31990 announcements
 }
 
-export interface InboxOptions {
+export interface AgentCriteria {
+  capabilities?: string[];      // any of these `c` tags
+  kinds?: number[];             // or any of these DVM kinds (`k` tags)
+  minPriceSats?: number;
+  maxPriceSats?: number;
+}
+
+export interface AgentPrice {
+  amount: number;
+  unit: string;
+  per: string | null;
+  sats: number | null;          // null for units other than sats / msats / btc
+}
+
+export interface AgentService {
+  id: string;                   // 38990:<pubkey>:<d>
   pubkey: string;
+  name: string | null;
+  about: string | null;
+  capabilities: string[];
+  kinds: number[];
+  prices: AgentPrice[];
+  lud16: string | null;
+  status: string | null;
+  createdAt: number;
+}
+
+export interface InboxState {
+  cursor: number;
+  seen: string[];
+  [key: string]: unknown;
+}
+
+export interface StateStore {
+  load(): Promise<InboxState | null>;
+  save(state: InboxState): Promise<void>;
+}
+
+export interface InboxOptions {
+  pubkey?: string;              // this and/or `pubkeys` is required
+  pubkeys?: string[];           // several identities over shared connections; the first (or `pubkey`) is the primary
+  signers?: Record<string, Signer | string | Uint8Array>;  // by pubkey: decrypts DMs of the other identities
   relays?: string[];
+  outbox?: boolean;
+  bootstrapRelays?: string[];
   channels?: Channels;
+  relayLimits?: Record<string, RelayLimits>;
   since?: number;
   dedup?: boolean;
+  store?: StateStore | string;
+  saveIntervalMs?: number;
+  secretKey?: string | Uint8Array;
+  signer?: Signer;
+  verify?: boolean;
+  zapProviders?: ZapProviders;
+  rules?: Rule[] | string;
+  mute?: boolean;
+  follows?: boolean;
+  maxDistance?: MaxDistance;
+  fetchParents?: boolean;
+  aggregateReactions?: boolean | { windowMs?: number; minCount?: number };
+  digest?: boolean | DigestOptions;
   onEvent?: (notification: Notification) => void;
   onError?: (error: { relay: string; error: string }) => void;
   reconnectMs?: number;
+  maxReconnectMs?: number;
   connectTimeoutMs?: number;
 }
 
+export interface RelayState {
+  state: 'idle' | 'connecting' | 'connected' | 'disconnected' | 'reconnecting';
+  connected: boolean;
+  attempts: number;
+  backoffMs: number;
+  lastError: string | null;
+  lastEventAt: number | null;
+  connectedAt: number | null;
+  auth: 'required' | 'authenticated' | 'failed' | null;
+}
+
+export interface RelayLimits {
+  maxKinds?: number;            // kinds per filter (default 250)
+  maxFilters?: number;          // filters per subscription
+}
+
+export interface OutboxRelays {
+  read: string[];
+  write?: string[];             // where we look for our own events (default: read)
+  dm: string[];
+}
+
 export interface InboxStatus {
   running: boolean;
   relays: {
     connected: number;
     total: number;
     urls: string[];
+    states: Record<string, RelayState>;
+    outbox: OutboxRelays | null;
   };
+  social: SocialStatus | null;
+  jobs: number;
+  workers: Record<number, { queued: number; active: number }>;
+  trust: TrustSummary | null;   // null with the trust channel off (the primary's with `pubkeys`)
+  identities: { pubkey: string; trust: TrustSummary | null }[];
   seen: number;
+  rejected: number;
   latestTimestamp: number;
   channels: Channels;
 }
 
 export interface Inbox {
   start(): Promise<EventEmitter>;
-  stop(): void;
+  stop(): Promise<void>;
   status(): InboxStatus;
   on(event: 'notification', handler: (n: Notification) => void): void;
   on(event: 'urgent', handler: (n: Notification) => void): void;
@@ -79,27 +456,186 @@ export interface Inbox {
   on(event: 'connected', handler: (info: { relay: string }) => void): void;
   on(event: 'started', handler: (info: { connected: number; total: number }) => void): void;
   on(event: 'stopped', handler: () => void): void;
+  on(event: 'authenticated', handler: (info: { relay: string }) => void): void;
+  on(event: 'disconnected', handler: (info: { relay: string; reason: string }) => void): void;
+  on(event: 'reconnecting', handler: (info: { relay: string; attempt: number; delayMs: number }) => void): void;
+  on(event: 'relays_updated', handler: (info: OutboxRelays & { added: string[]; removed: string[] }) => void): void;
+  on(event: 'suppressed', handler: (info: SuppressedEvent) => void): void;
+  on(event: 'social_updated', handler: (status: SocialStatus) => void): void;
+  on(event: 'job_update', handler: (update: JobUpdate) => void): void;
+  on(event: 'task_updated', handler: (update: TaskUpdate) => void): void;
+  on(event: 'digest', handler: (digest: Digest) => void): void;
+  on(event: 'trust_updated', handler: (summary: TrustSummary) => void): void;
+  on(event: 'handlers_updated', handler: (info: { kinds: number[] }) => void): void;
+  on(event: 'job_completed' | 'job_failed', handler: (outcome: JobOutcome) => void): void;
   on(event: 'synced', handler: (info: { relay: string }) => void): void;
   on(event: 'error', handler: (error: { relay: string; error: string }) => void): void;
+  on(event: 'decrypt_error', handler: (error: DecryptError) => void): void;
+  on(event: 'state_error', handler: (error: { relay: null; error: string }) => void): void;
+  on(event: 'rejected', handler: (info: RejectedEvent & { event: unknown }) => void): void;
   off(event: string, handler: Function): void;
   once(event: string, handler: Function): void;
   waitFor(type: NotificationType, timeoutMs?: number): Promise<Notification>;
   collect(durationMs?: number, filter?: (n: Notification) => boolean): Promise<Notification[]>;
+  trackJob(jobId: string, opts?: TrackJobOptions): Promise<TrackedJob>;
+  cancelJob(jobId?: string): void;
+  handleJobs(kinds: number | number[], handler: JobHandler, opts?: HandleJobsOptions): () => void;
+  publish(event: NostrEvent, extraRelays?: string[]): Promise<PublishResult>;
+  tasks(filter?: { state?: TaskState | TaskState[] }): Task[];
+  task(id: string): Task | null;
+  flushDigest(): Digest | null;
+  agents(query?: { capability?: string; kind?: number; maxPriceSats?: number; pubkey?: string }): AgentService[];
+  ingest(event: NostrEvent, relay?: string): Promise<void>;
   emitter: EventEmitter;
 }
 
 export interface PollOptions {
   pubkey: string;
   relays?: string[];
+  outbox?: boolean;
+  bootstrapRelays?: string[];
   channels?: Channels;
+  relayLimits?: Record<string, RelayLimits>;
   since?: number;
+  store?: StateStore | string;
   timeoutMs?: number;
+  secretKey?: string | Uint8Array;
+  signer?: Signer;
+  verify?: boolean;
+  zapProviders?: ZapProviders;
+  rules?: Rule[] | string;
+  mute?: boolean;
+  follows?: boolean;
+  maxDistance?: MaxDistance;
+  fetchParents?: boolean;
+  aggregateReactions?: boolean | { minCount?: number };
+}
+
+export type TaskState = 'open' | 'bidding' | 'awarded' | 'delivered' | 'resolved' | 'disputed';
+
+export interface TaskInfo {
+  id: string;                   // address: 30950:<poster>:<d>
+  eventId: string;
+  poster: string;
+  title: string | null;
+  budgetSats: number | null;
+  assignee: string | null;
+  arbiter: string | null;       // `arbiter` tag, or a `p` tag marked "arbiter"
+  status: string | null;
+  content: string;
+}
+
+export interface MarketplaceActivity {
+  task: string | null;          // task address (`a` tag) or event id (`e` tag)
+  taskEventId: string | null;
+  counterparty: string | null;
+  amountSats: number | null;
+  status: string | null;        // resolutions: approved, disputed, ...
+}
+
+export interface TaskEntry {
+  id: string;
+  from: string;
+  amountSats: number | null;
+  content: string;
+  createdAt: number;
+}
+
+export interface Task {
+  id: string;
+  eventId: string | null;       // null until the task event itself is seen
+  poster: string | null;
+  title: string | null;
+  budgetSats: number | null;
+  assignee: string | null;
+  arbiter: string | null;
+  content: string;
+  state: TaskState;
+  bids: TaskEntry[];
+  deliveries: TaskEntry[];
+  resolution: (TaskEntry & { status: string | null }) | null;
+  createdAt: number | null;
+  updatedAt: number | null;
+}
+
+export interface TaskUpdate {
+  task: Task;
+  state: TaskState;
+  previous: TaskState | null;
+  event: NostrEvent;
+}
+
+export interface Attestation {
+  id: string;
+  attester: string;
+  subject: string | null;
+  type: string;                 // `l` value in the ai.wot namespace
+  score: number;                // negative for dispute / warning or a negative score
+  negative: boolean;
+  content: string;
+  createdAt: number;
+}
+
+export interface TrustSummary {
+  pubkey: string;
+  score: number;
+  attestations: number;         // counted: newest per attester and type, not revoked
+  positive: number;
+  negative: number;
+  attesters: number;
+  revoked: number;
+  types: Record<string, { count: number; score: number }>;
+  updatedAt: number | null;
+}
+
+export interface TrustLedger {
+  handle(event: NostrEvent): boolean;
+  attesters(): string[];         // whose attestations still count
+  attesters(): string[];
+  attestations(): Attestation[];
+}
+
+export interface DigestOptions {
+  intervalMs?: number;          // default 3600000
+  types?: NotificationType[];   // held back; default reaction, reactions_summary, trust_network, dvm_feedback
+  topSenders?: number;          // default 5
+  highlights?: number;          // default 5
+}
+
+export interface DigestHighlight {
+  id: string;
+  type: NotificationType;
+  priority: Priority;
+  from: string;
+  kind: number;
+  content: string;
+  sats: number | null;
+  createdAt: number;
+}
+
+export interface Digest {
+  since: number | null;
+  until: number;
+  total: number;
+  byType: Partial<Record<NotificationType, number>>;
+  senders: number;
+  topSenders: { pubkey: string; count: number }[];
+  zaps: { count: number; sats: number };
+  highlights: DigestHighlight[];
+  held?: number;                // streaming digests: notifications held back
 }
 
 export interface PollResult {
   total: number;
   urgent: number;
   notifications: Notification[];
+  decryptErrors: DecryptError[];
+  rejected: RejectedEvent[];
+  suppressed: SuppressedEvent[];
+  relayErrors: { relay: string; error: string }[];
+  outbox: OutboxRelays | null;
+  tasks: Task[];
+  agents: AgentService[];
   byType: Record<NotificationType, Notification[]>;
   since: number;
   queriedAt: number;
@@ -109,18 +645,45 @@ export interface Classification {
   type: NotificationType;
   priority: Priority;
   dvmKind?: number;
+  identities?: string[];        // when classified for several pubkeys
 }
 
 export function createInbox(opts: InboxOptions): Inbox;
 export function poll(opts: PollOptions): Promise<PollResult>;
-export function buildFilters(pubkey: string, channels?: Channels, since?: number): object[];
-export function classifyEvent(event: NostrEvent, myPubkey: string): Classification;
+export function buildFilters(pubkey: string | string[], channels?: Channels, since?: number | null, limits?: RelayLimits): object[];
+export function classifyEvent(event: NostrEvent, myPubkey: string | string[]): Classification;
+export function checkEvent(event: unknown): string | null;
+export function parseZapReceipt(event: NostrEvent, opts?: { zapProviders?: ZapProviders }): Promise<{ zap: Omit<Zap, 'valid' | 'errors'>; errors: string[] }>;
+export function decodeBolt11(invoice: string): Bolt11Invoice;
+export function parseRelayList(event: NostrEvent | null): { read: string[]; write: string[] };
+export function parseDmRelayList(event: NostrEvent | null): string[];
+export function routeFilters(filters: object[], relays: OutboxRelays): Map<string, object[]>;
+export function compileRules(rules: Rule[]): (notification: Notification) => Notification | null;
+export function applyRules(rules: Rule[], notification: Notification): Notification | null;
+export function parseMuteList(event: NostrEvent | null, signer?: Signer | null): Promise<MuteList>;
+export function parseContactList(event: NostrEvent | null): string[];
+export function parseThread(event: NostrEvent): Omit<Thread, 'replyToMe'> | null;
+export function parseReaction(event: NostrEvent): Reaction;
+export function summarizeReactions(notifications: Notification[], opts?: { minCount?: number }): Notification[];
+export function parseJobRequest(event: NostrEvent, myPubkey: string, plaintext?: string | null): JobRequest;
+export function parseJobFeedback(event: NostrEvent): JobFeedback;
+export function parseJobResult(event: NostrEvent): JobResult;
+export function parseTask(event: NostrEvent): TaskInfo;
+export function parseMarketplaceEvent(event: NostrEvent): MarketplaceActivity;
+export function buildDigest(notifications: Notification[], opts?: { since?: number | null; until?: number; topSenders?: number; highlights?: number }): Digest;
+export function parseAgentService(event: NostrEvent): AgentService;
+export function parseAttestation(event: NostrEvent): Attestation | null;
+export function fetchTrust(pubkey: string, relays: string[], opts?: { ledger?: TrustLedger; timeoutMs?: number; verify?: boolean }): Promise<TrustLedger>;
+export function createFileStore(file: string): StateStore & { file: string };
+export function createMemoryStore(initial?: InboxState | null): StateStore;
+export function createSigner(secretKey: string | Uint8Array): LocalSigner;
+export function detectScheme(ciphertext: string): EncryptionScheme;
 
 // Webhooks
 export interface WebhookOptions {
   url: string;
   secret?: string;
-  events?: NotificationType[];
+  events?: (NotificationType | 'digest')[];
   urgentOnly?: boolean;
   batchMs?: number;
   maxBatchSize?: number;
@@ -132,6 +695,7 @@ export interface WebhookOptions {
 
 export interface Webhook {
   send(notification: Notification): Promise<void>;
+  sendDigest(digest: Digest): Promise<void>;
   handler(notification: Notification): void;
   close(): Promise<void>;
   attach(inbox: Inbox): Webhook;
@@ -139,12 +703,68 @@ export interface Webhook {
 }
 
 export function createWebhook(opts: WebhookOptions): Webhook;
+
+// Local server
+export interface ServerOptions {
+  inbox: Inbox;
+  token?: string | null;
+  historySize?: number;         // default 500
+  heartbeatMs?: number;         // default 30000
+}
+
+export interface InboxServer {
+  listen(port?: number, host?: string): Promise<{ url: string; port: number; host: string }>;
+  close(): Promise<void>;
+  clients(): number;
+  server: import('http').Server;
+}
+
+export function createServer(opts: ServerOptions): InboxServer;
+
+// Config profiles (~/.config/nostr-inbox/config.json)
+export interface Profile {
+  pubkey?: string;              // hex or npub
+  relays?: string[];
+  outbox?: boolean;
+  bootstrapRelays?: string[];
+  channels?: (keyof Omit<Channels, 'dvmKinds'>)[] | Channels;  // a list enables only those
+  dvmKinds?: number[] | 'all' | 'nip89';
+  webhooks?: Omit<WebhookOptions, 'onError' | 'onSuccess'>[];
+  rules?: Rule[] | string;      // a path is relative to the config file
+  state?: string;               // relative to the config file
+  zapProviders?: string[];
+  mute?: boolean;
+  follows?: boolean;
+  maxDistance?: MaxDistance;
+  fetchParents?: boolean;
+  aggregateReactions?: boolean | { windowMs?: number; minCount?: number };
+  digest?: boolean | DigestOptions;
+  verify?: boolean;
+}
+
+export interface Config {
+  defaultProfile?: string;
+  profiles: Record<string, Profile>;
+}
+
+export function defaultConfigPath(env?: Record<string, string | undefined>): string;
+export function loadConfig(file: string, opts?: { required?: boolean }): Config | null;
+export function validateConfig(config: unknown, opts?: { baseDir?: string }): string[];
+export function resolveProfile(config: Config, name?: string | null, opts?: { baseDir?: string }): {
+  name: string | null;
+  options: Omit<Profile, 'pubkey' | 'channels' | 'dvmKinds'> & { pubkey?: string; channels?: Channels };
+};
+export function normalizePubkey(value: string): string;
 export function verifySignature(payload: string, signature: string, secret: string): boolean;
 
 export const KINDS: {
   TEXT_NOTE: 1;
+  CONTACT_LIST: 3;
   DM_ENCRYPTED: 4;
+  DELETION: 5;
+  REPOST: 6;
   REACTION: 7;
+  GENERIC_REPOST: 16;
   DVM_REQUEST_BASE: 5000;
   DVM_RESULT_BASE: 6000;
   DVM_FEEDBACK: 7000;
@@ -153,7 +773,12 @@ export const KINDS: {
   LABEL: 1985;
   GIFT_WRAP: 1059;
   SEAL: 13;
+  CHAT_MESSAGE: 14;
+  MUTE_LIST: 10000;
+  RELAY_LIST: 10002;
+  DM_RELAY_LIST: 10050;
   AGENT_SERVICE: 38990;
+  HANDLER_INFO: 31990;
   TASK: 30950;
   BID: 950;
   DELIVERY: 951;
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Default pick among competing results: cheapest first (no amount = free),
+ * then earliest
+ */
+function cheapestFirst(results) {
+  const price = (n) => (n.result.amountMsats != null ? n.result.amountMsats : 0);
+  return results.slice().sort((a, b) => price(a) - price(b) || a.createdAt - b.createdAt)[0];
+}
+
+/**
+ * Follow NIP-90 jobs we requested through feedback (kind 7000) and
+ * results (kind 6xxx) from any number of providers
+ *
+ * Feedback and results are matched to a job by their `e` tag (results fall
+ * back to the `request` tag). Each update moves the job to the sender's
+ * status (`payment-required`, `processing`, `partial`, `error`, `success`,
+ * `result`) and is reported through `emit`.
+ *
+ * @param {Object} opts
+ * @param {Function} opts.emit - Called with `{ jobId, state, previous, provider, notification }` per update
+ */
+function createJobTracker({ emit }) {
+  const jobs = new Map(); // jobId -> job
+
+  function snapshot(job) {
+    return {
+      jobId: job.jobId,
+      state: job.state,
+      result: job.result,
+      results: job.results.slice(),
+      feedback: job.feedback.slice(),
+      partials: job.partials.slice(),
+      providers: { ...job.providers }
+    };
+  }
+
+  function finish(job, state, error = null) {
+    if (!jobs.has(job.jobId)) return;
+    jobs.delete(job.jobId);
+    clearTimeout(job.timer);
+    clearTimeout(job.waitTimer);
+
+    const previous = job.state;
+    job.state = state;
+    if (state === 'completed') job.result = job.select(job.results) || job.results[0];
+    report(job, { jobId: job.jobId, state, previous, provider: job.result ? job.result.from : null, notification: job.result });
+
+    if (error) {
+      error.job = snapshot(job);
+      job.reject(error);
+    } else {
+      job.resolve(snapshot(job));
+    }
+  }
+
+  function report(job, info) {
+    emit(info);
+    if (job.onUpdate) {
+      try { job.onUpdate(info); } catch (e) { /* user error */ }
+    }
+  }
+
+  function update(job, state, notification) {
+    const previous = job.state;
+    job.state = state;
+    job.providers[notification.from] = state;
+    report(job, { jobId: job.jobId, state, previous, provider: notification.from, notification });
+  }
+
+  /**
+   * Start following a job
+   *
+   * @param {string} jobId - ID of the job request event we published
+   * @param {Object} [opts]
+   * @param {number} [opts.timeoutMs] - Give up after this long without a result (default: 60000)
+   * @param {number} [opts.waitMs] - After the first result, wait this long for competing ones (default: 0)
+   * @param {Function} [opts.select] - Pick the best of the collected result notifications (default: cheapest, then earliest)
+   * @param {Function} [opts.onUpdate] - Called with each update for this job
+   * @returns {Promise<Object>} The finished job; rejects on timeout or cancel, with the job so far as `err.job`
+   */
+  function track(jobId, { timeoutMs = 60000, waitMs = 0, select = cheapestFirst, onUpdate = null } = {}) {
+    if (!jobId) return Promise.reject(new Error('jobId is required'));
+    if (jobs.has(jobId)) return jobs.get(jobId).promise;
+
+    const job = {
+      jobId,
+      state: 'pending',
+      result: null,
+      results: [],
+      feedback: [],
+      partials: [],
+      providers: {},
+      waitMs,
+      select,
+      onUpdate,
+      waitTimer: null
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    job.timer = setTimeout(() => {
+      // Results still being collected count; otherwise it's a timeout
+      if (job.results.length > 0) finish(job, 'completed');
+      else finish(job, 'timeout', new Error(`Job ${jobId} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+    jobs.set(jobId, job);
+    return job.promise;
+  }
+
+  /**
+   * The tracked job a feedback / result notification belongs to, if any
+   */
+  function jobFor(notification) {
+    // The pipeline attaches these by event kind, before rules can rename the type
+    const info = notification.feedback || notification.result || null;
+    return info && info.jobId ? jobs.get(info.jobId) || null : null;
+  }
+
+  /**
+   * Feed a notification; returns whether it belonged to a tracked job
+   */
+  function handle(notification) {
+    const job = jobFor(notification);
+    if (!job) return false;
+    const info = notification.feedback || notification.result;
+
+    if (notification.feedback) {
+      job.feedback.push(notification);
+      if (info.status === 'partial') job.partials.push(notification);
+      update(job, info.status || 'pending', notification);
+      return true;
+    }
+
+    job.results.push(notification);
+    update(job, 'result', notification);
+    if (job.waitMs <= 0) finish(job, 'completed');
+    else if (!job.waitTimer) job.waitTimer = setTimeout(() => finish(job, 'completed'), job.waitMs);
+    return true;
+  }
+
+  /**
+   * Stop following a job (or all jobs), rejecting their promises
+   */
+  function cancel(jobId = null) {
+    const targets = jobId ? [jobs.get(jobId)].filter(Boolean) : Array.from(jobs.values());
+    for (const job of targets) finish(job, 'cancelled', new Error(`Job ${job.jobId} cancelled`));
+  }
+
+  return { track, handle, cancel, tracks: (notification) => Boolean(jobFor(notification)), pending: () => jobs.size };
+}
+
+module.exports = { createJobTracker };
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Nostr event kinds we care about
+ */
+const KINDS = {
+  // Core
+  TEXT_NOTE: 1,
+  CONTACT_LIST: 3,       // NIP-02 follows
+  DM_ENCRYPTED: 4,       // NIP-04 encrypted DM
+  DELETION: 5,           // NIP-09
+  REPOST: 6,             // NIP-18
+  REACTION: 7,
+  GENERIC_REPOST: 16,    // NIP-18 repost of non-kind-1 events
+  
+  // DVM (NIP-90)
+  DVM_REQUEST_BASE: 5000, // 5000-5999
+  DVM_RESULT_BASE: 6000,  // 6000-6999
+  DVM_FEEDBACK: 7000,
+
+  // Zaps (NIP-57)
+  ZAP_RECEIPT: 9735,
+  ZAP_REQUEST: 9734,
+
+  // Trust (ai.wot)
+  LABEL: 1985,            // NIP-32
+
+  // Gift wrap DM (NIP-17)
+  GIFT_WRAP: 1059,
+  SEAL: 13,
+  CHAT_MESSAGE: 14,       // NIP-17 rumor inside the seal
+
+  // Lists
+  MUTE_LIST: 10000,       // NIP-51
+  RELAY_LIST: 10002,      // NIP-65
+  DM_RELAY_LIST: 10050,   // NIP-17 DM inbox relays
+
+  // Agent discovery
+  AGENT_SERVICE: 38990,   // agent-discovery kind
+  HANDLER_INFO: 31990,    // NIP-89 handler announcement
+
+  // Marketplace (agent-escrow)
+  TASK: 30950,
+  BID: 950,
+  DELIVERY: 951,
+  RESOLUTION: 952,
+
+  // Clawstr (NIP-22)
+  COMMENT: 1111
+};
+
+module.exports = { KINDS };
@@ -0,0 +1,283 @@
+'use strict';
+
+const { KINDS } = require('./kinds.cjs');
+
+// Escrow lifecycle; a task only moves forward (a resolution can still flip
+// between resolved and disputed)
+const TASK_STATES = ['open', 'bidding', 'awarded', 'delivered', 'resolved', 'disputed'];
+const STATE_RANK = { open: 0, bidding: 1, awarded: 2, delivered: 3, resolved: 4, disputed: 4 };
+
+// Resolution statuses that close a task as done; anything else is a dispute
+const RESOLVED = ['approved', 'accepted', 'resolved', 'completed', 'paid'];
+
+// Tasks we only know from activity, and activity per task waiting until we
+// know who may send it — both bounded, since anyone can reference a task
+const MAX_ORPHANS = 1000;
+const MAX_PENDING = 50;
+
+function tagValue(event, name) {
+  const tag = event.tags.find(t => t[0] === name && t[1]);
+  return tag ? tag[1] : null;
+}
+
+function parseSats(value) {
+  if (value == null || !/^\d+$/.test(String(value))) return null;
+  const sats = Number(value);
+  return Number.isSafeInteger(sats) ? sats : null;
+}
+
+/**
+ * Address (`30950:<poster>:<d>`) of a task event
+ */
+function taskAddress(event) {
+  return `${KINDS.TASK}:${event.pubkey}:${tagValue(event, 'd') || ''}`;
+}
+
+/**
+ * Parse a marketplace task (kind 30950)
+ *
+ * The assignee is the first `p` tag; the arbiter comes from an `arbiter`
+ * tag or a `p` tag marked `arbiter`. Before an award, the `p` tag only says
+ * who the task is addressed to.
+ *
+ * @param {Object} event - Kind 30950 event
+ * @returns {{ id: string, eventId: string, poster: string, title: string|null, budgetSats: number|null,
+ *   assignee: string|null, arbiter: string|null, status: string|null, content: string }}
+ */
+function parseTask(event) {
+  const pTags = event.tags.filter(t => t[0] === 'p' && t[1]);
+  const arbiterTag = pTags.find(t => t[3] === 'arbiter');
+  const assignee = pTags.find(t => t[3] !== 'arbiter');
+  return {
+    id: taskAddress(event),
+    eventId: event.id,
+    poster: event.pubkey,
+    title: tagValue(event, 'title'),
+    budgetSats: parseSats(tagValue(event, 'amount') || tagValue(event, 'budget')),
+    assignee: assignee ? assignee[1] : null,
+    arbiter: tagValue(event, 'arbiter') || (arbiterTag ? arbiterTag[1] : null),
+    status: tagValue(event, 'status'),
+    content: event.content || ''
+  };
+}
+
+/**
+ * Parse a bid (950), delivery (951) or resolution (952)
+ *
+ * The task is referenced by an `a` tag (its address) or an `e` tag (the
+ * task event id).
+ *
+ * @param {Object} event
+ * @returns {{ task: string|null, taskEventId: string|null, counterparty: string|null,
+ *   amountSats: number|null, status: string|null }}
+ */
+function parseMarketplaceEvent(event) {
+  const address = event.tags.find(t => t[0] === 'a' && typeof t[1] === 'string' && t[1].startsWith(`${KINDS.TASK}:`));
+  const taskEventId = tagValue(event, 'e');
+  return {
+    task: address ? address[1] : taskEventId,
+    taskEventId,
+    counterparty: tagValue(event, 'p'),
+    amountSats: parseSats(tagValue(event, 'amount')),
+    status: event.kind === KINDS.RESOLUTION ? tagValue(event, 'status') : null
+  };
+}
+
+/**
+ * Follow marketplace tasks through their escrow states
+ *
+ * Tasks are keyed by address. Bids, deliveries and resolutions that arrive
+ * before their task (or only name its event id) are kept under what they
+ * reference and merged once the task shows up.
+ *
+ * Anyone may bid, but only the assignee of an awarded task can deliver and
+ * only the poster or arbiter can resolve. Activity we can't check yet (no
+ * task, or not awarded yet) waits for the task and is dropped if the
+ * sender turns out not to be allowed.
+ *
+ * @param {Object} opts
+ * @param {Function} [opts.emit] - Called with `{ task, state, previous, event }` whenever a task changes
+ */
+function createTaskBook({ emit = null } = {}) {
+  const tasks = new Map();    // address (or task event id) -> task
+  const byEventId = new Map(); // task event id -> address
+  const orphans = new Set();   // ids of tasks only known from activity, oldest first
+
+  function blank(id) {
+    return {
+      id,
+      eventId: null,
+      poster: null,
+      title: null,
+      budgetSats: null,
+      assignee: null,
+      arbiter: null,
+      content: '',
+      state: 'open',
+      bids: [],
+      deliveries: [],
+      resolution: null,
+      createdAt: null,
+      updatedAt: null,
+      pending: [] // activity waiting until we know who may send it
+    };
+  }
+
+  /**
+   * Placeholder for a task we've only seen activity for; the oldest is
+   * evicted past MAX_ORPHANS
+   */
+  function orphan(id) {
+    const task = blank(id);
+    tasks.set(id, task);
+    orphans.add(id);
+    if (orphans.size > MAX_ORPHANS) {
+      const oldest = orphans.values().next().value;
+      orphans.delete(oldest);
+      tasks.delete(oldest);
+    }
+    return task;
+  }
+
+  function snapshot(task) {
+    const { pending, ...fields } = task;
+    return { ...fields, bids: task.bids.slice(), deliveries: task.deliveries.slice() };
+  }
+
+  function posterOf(task) {
+    if (task.poster) return task.poster;
+    return task.id.startsWith(`${KINDS.TASK}:`) ? task.id.split(':')[1] : null;
+  }
+
+  /**
+   * May this event change the task? null: can't tell until the task (or its award) shows up
+   */
+  function authorized(task, event) {
+    if (event.kind === KINDS.BID) return true;
+    if (event.kind === KINDS.DELIVERY) {
+      // A task `p`-tags whoever it is addressed to; only the award makes them the assignee
+      if (!task.assignee || STATE_RANK[task.state] < STATE_RANK.awarded) return null;
+      return event.pubkey === task.assignee;
+    }
+    if (event.pubkey === posterOf(task)) return true;
+    if (task.arbiter) return event.pubkey === task.arbiter;
+    return task.eventId ? false : null;
+  }
+
+  function advance(task, state) {
+    if (STATE_RANK[state] >= STATE_RANK[task.state]) task.state = state;
+  }
+
+  function applyTask(event) {
+    const parsed = parseTask(event);
+    let task = tasks.get(parsed.id);
+    // Activity that only knew the task event id
+    const orphan = tasks.get(event.id);
+    if (!task) {
+      task = orphan || blank(parsed.id);
+      task.id = parsed.id;
+      tasks.set(parsed.id, task);
+    } else if (orphan && orphan !== task) {
+      task.bids.push(...orphan.bids);
+      task.deliveries.push(...orphan.deliveries);
+      task.pending.push(...orphan.pending);
+      task.resolution = task.resolution || orphan.resolution;
+      advance(task, orphan.state);
+    }
+    if (orphan) tasks.delete(event.id);
+    orphans.delete(event.id);
+    orphans.delete(parsed.id);
+
+    // Addressable: the same or an older version changes nothing
+    if (task.eventId === event.id || (task.createdAt && task.createdAt > event.created_at)) return null;
+    const previous = task.updatedAt ? task.state : null;
+    const { status, ...fields } = parsed;
+    Object.assign(task, fields, { createdAt: event.created_at });
+    byEventId.set(event.id, task.id);
+    if (TASK_STATES.includes(status)) advance(task, status);
+
+    // Now we may know who can deliver and resolve
+    for (const waiting of task.pending.splice(0)) applyActivity(waiting, task);
+    return { task, previous };
+  }
+
+  function applyActivity(event, known = null) {
+    let task = known;
+    if (!task) {
+      const info = parseMarketplaceEvent(event);
+      if (!info.task) return null;
+      const id = tasks.has(info.task) ? info.task : (byEventId.get(info.task) || info.task);
+      task = tasks.get(id) || orphan(id);
+    }
+
+    const allowed = authorized(task, event);
+    if (allowed === false) return null;
+    if (allowed === null) {
+      if (!task.pending.some(e => e.id === event.id)) {
+        task.pending.push(event);
+        if (task.pending.length > MAX_PENDING) task.pending.shift();
+      }
+      return null;
+    }
+
+    const info = parseMarketplaceEvent(event);
+    const previous = task.updatedAt ? task.state : null;
+
+    const entry = { id: event.id, from: event.pubkey, amountSats: info.amountSats, content: event.content || '', createdAt: event.created_at };
+    if (event.kind === KINDS.BID) {
+      if (task.bids.some(b => b.id === event.id)) return null;
+      task.bids.push(entry);
+      advance(task, 'bidding');
+    } else if (event.kind === KINDS.DELIVERY) {
+      if (task.deliveries.some(d => d.id === event.id)) return null;
+      task.deliveries.push(entry);
+      advance(task, 'delivered');
+    } else {
+      if (task.resolution && task.resolution.createdAt > event.created_at) return null;
+      task.resolution = { ...entry, status: info.status };
+      task.state = RESOLVED.includes(info.status) ? 'resolved' : 'disputed';
+    }
+    return { task, previous };
+  }
+
+  /**
+   * Apply a task, bid, delivery or resolution event
+   *
+   * @returns {Object|null} Snapshot of the updated task, or null if nothing changed
+   */
+  function handle(event) {
+    let applied = null;
+    if (event.kind === KINDS.TASK) applied = applyTask(event);
+    else if ([KINDS.BID, KINDS.DELIVERY, KINDS.RESOLUTION].includes(event.kind)) applied = applyActivity(event);
+    if (!applied) return null;
+
+    const { task, previous } = applied;
+    task.updatedAt = Math.max(task.updatedAt || 0, event.created_at);
+    const update = { task: snapshot(task), state: task.state, previous, event };
+    if (emit) emit(update);
+    return update.task;
+  }
+
+  /**
+   * Known tasks, newest activity first
+   *
+   * @param {Object} [filter]
+   * @param {string|string[]} [filter.state] - Only tasks in this state
+   */
+  function list({ state = null } = {}) {
+    const states = state ? [].concat(state) : null;
+    return Array.from(tasks.values())
+      .filter(t => !states || states.includes(t.state))
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+      .map(snapshot);
+  }
+
+  function get(id) {
+    const task = tasks.get(id) || tasks.get(byEventId.get(id));
+    return task ? snapshot(task) : null;
+  }
+
+  return { handle, list, get };
+}
+
+module.exports = { TASK_STATES, taskAddress, parseTask, parseMarketplaceEvent, createTaskBook };
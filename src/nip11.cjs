@@ -0,0 +1,56 @@
+'use strict';
+
+// Rough size of one kind in a REQ (`5123,`) and of everything around the kinds
+const BYTES_PER_KIND = 5;
+const REQ_OVERHEAD = 1024;
+
+/**
+ * Subscription limits from a NIP-11 relay information document
+ *
+ * NIP-11 has no "kinds per filter" limit, so it's derived from
+ * `max_message_length`; `max_filters` is taken as-is.
+ *
+ * @param {Object} info - Relay information document
+ * @returns {{ maxKinds?: number, maxFilters?: number }}
+ */
+function parseRelayLimits(info) {
+  const limitation = info && typeof info.limitation === 'object' && info.limitation ? info.limitation : {};
+  const limits = {};
+  if (Number.isInteger(limitation.max_filters) && limitation.max_filters > 0) {
+    limits.maxFilters = limitation.max_filters;
+  }
+  if (Number.isInteger(limitation.max_message_length) && limitation.max_message_length > REQ_OVERHEAD) {
+    limits.maxKinds = Math.floor((limitation.max_message_length - REQ_OVERHEAD) / BYTES_PER_KIND);
+  }
+  return limits;
+}
+
+/**
+ * Fetch a relay's NIP-11 document and turn it into subscription limits
+ *
+ * Never throws — relays without a (valid) document get `{}`.
+ *
+ * @param {string} url - Relay URL (ws:// or wss://)
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs] - Request timeout (default: 5000)
+ * @returns {Promise<{ maxKinds?: number, maxFilters?: number }>}
+ */
+async function fetchRelayLimits(url, { timeoutMs = 5000 } = {}) {
+  if (typeof fetch !== 'function') return {};
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url.replace(/^ws/, 'http'), {
+      headers: { Accept: 'application/nostr+json' },
+      signal: controller.signal
+    });
+    if (!res.ok) return {};
+    return parseRelayLimits(await res.json());
+  } catch (e) {
+    return {};
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { parseRelayLimits, fetchRelayLimits };
@@ -0,0 +1,156 @@
+'use strict';
+
+const { KINDS } = require('./filters.cjs');
+const { queryRelays, latestEvent } = require('./query.cjs');
+
+// Where to look for relay lists before we know anything else
+const DEFAULT_BOOTSTRAP_RELAYS = ['wss://purplepag.es', 'wss://relay.damus.io', 'wss://nos.lol'];
+
+const DM_KINDS = [KINDS.DM_ENCRYPTED, KINDS.GIFT_WRAP];
+
+/**
+ * Normalize a relay URL so lists from different clients compare equal
+ *
+ * @returns {string|null} null for anything that isn't a ws(s) URL
+ */
+function normalizeRelayUrl(url) {
+  try {
+    const u = new URL(String(url).trim());
+    if (u.protocol !== 'wss:' && u.protocol !== 'ws:') return null;
+    const path = u.pathname.replace(/\/+$/, '');
+    return `${u.protocol}//${u.host}${path}${u.search}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function uniqueUrls(urls) {
+  return Array.from(new Set(urls.map(normalizeRelayUrl).filter(Boolean)));
+}
+
+/**
+ * Parse a NIP-65 relay list (kind 10002)
+ *
+ * `r` tags without a marker are both read and write.
+ *
+ * @returns {{ read: string[], write: string[] }}
+ */
+function parseRelayList(event) {
+  const read = [];
+  const write = [];
+  for (const tag of (event && event.tags) || []) {
+    if (tag[0] !== 'r' || !tag[1]) continue;
+    if (!tag[2] || tag[2] === 'read') read.push(tag[1]);
+    if (!tag[2] || tag[2] === 'write') write.push(tag[1]);
+  }
+  return { read: uniqueUrls(read), write: uniqueUrls(write) };
+}
+
+/**
+ * Parse a NIP-17 DM inbox relay list (kind 10050)
+ *
+ * @returns {string[]}
+ */
+function parseDmRelayList(event) {
+  return uniqueUrls(((event && event.tags) || []).filter(t => t[0] === 'relay' && t[1]).map(t => t[1]));
+}
+
+/**
+ * Is this a DM filter (kind 4 / gift wrap only)?
+ */
+function isDmFilter(filter) {
+  return Array.isArray(filter.kinds) && filter.kinds.length > 0 && filter.kinds.every(k => DM_KINDS.includes(k));
+}
+
+/**
+ * Is this a filter for events we wrote (`authors`: our pubkeys)?
+ * buildFilters only uses `authors` for our own events
+ */
+function isOwnFilter(filter) {
+  return Array.isArray(filter.authors) && filter.authors.length > 0;
+}
+
+/**
+ * Route filters to relays: DM filters go to DM relays, filters for our own
+ * events to write (outbox) relays, everything else to read relays
+ *
+ * @param {Object[]} filters - From buildFilters
+ * @param {Object} relays
+ * @param {string[]} relays.read - Read (inbox) relays
+ * @param {string[]} relays.dm - DM inbox relays
+ * @param {string[]} [relays.write] - Write (outbox) relays (default: read)
+ * @returns {Map<string, Object[]>} url -> filters
+ */
+function routeFilters(filters, { read, dm, write = read }) {
+  const routes = new Map();
+  for (const filter of filters) {
+    for (const url of isDmFilter(filter) ? dm : (isOwnFilter(filter) ? write : read)) {
+      if (!routes.has(url)) routes.set(url, []);
+      routes.get(url).push(filter);
+    }
+  }
+  return routes;
+}
+
+/**
+ * Filter that keeps our relay lists fresh while the inbox runs
+ */
+function relayListFilter(pubkey) {
+  return { kinds: [KINDS.RELAY_LIST, KINDS.DM_RELAY_LIST], authors: [pubkey] };
+}
+
+/**
+ * Is this one of our own relay lists?
+ */
+function isRelayListEvent(event, pubkey) {
+  return event.pubkey === pubkey && (event.kind === KINDS.RELAY_LIST || event.kind === KINDS.DM_RELAY_LIST);
+}
+
+/**
+ * Work out which relays to use from our relay lists
+ *
+ * Falls back to the bootstrap relays when we have no read relays, and to
+ * the read relays when we have no DM or write relays.
+ *
+ * @param {Object} lists
+ * @param {Object|null} lists.relayList - Latest kind 10002
+ * @param {Object|null} lists.dmRelayList - Latest kind 10050
+ * @param {string[]} bootstrapRelays
+ * @returns {{ read: string[], write: string[], dm: string[], all: string[] }}
+ */
+function resolveOutboxRelays({ relayList = null, dmRelayList = null }, bootstrapRelays) {
+  const bootstrap = uniqueUrls(bootstrapRelays);
+  const listed = parseRelayList(relayList);
+  const read = listed.read.length ? listed.read : bootstrap;
+  const write = listed.write.length ? listed.write : read;
+  const dmListed = parseDmRelayList(dmRelayList);
+  const dm = dmListed.length ? dmListed : read;
+  return { read, write, dm, all: Array.from(new Set([...bootstrap, ...read, ...write, ...dm])) };
+}
+
+/**
+ * Fetch our latest relay lists from the bootstrap relays
+ *
+ * @returns {Promise<{ relayList: Object|null, dmRelayList: Object|null }>}
+ */
+async function fetchRelayLists(pubkey, bootstrapRelays, { timeoutMs = 5000 } = {}) {
+  const events = await queryRelays(uniqueUrls(bootstrapRelays), [relayListFilter(pubkey)], { timeoutMs });
+  return {
+    relayList: latestEvent(events, KINDS.RELAY_LIST, pubkey),
+    dmRelayList: latestEvent(events, KINDS.DM_RELAY_LIST, pubkey)
+  };
+}
+
+module.exports = {
+  DEFAULT_BOOTSTRAP_RELAYS,
+  normalizeRelayUrl,
+  parseRelayList,
+  parseDmRelayList,
+  isDmFilter,
+  isOwnFilter,
+  routeFilters,
+  relayListFilter,
+  isRelayListEvent,
+  resolveOutboxRelays,
+  fetchRelayLists
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const { KINDS, classifyEvent, classifyNote, classifyForIdentities } = require('./filters.cjs');
+const { decryptDm, unwrapGiftWrap } = require('./dm.cjs');
+const { parseZapReceipt } = require('./zaps.cjs');
+const { resolveRules } = require('./rules.cjs');
+const { parseThread } = require('./thread.cjs');
+const { parseReaction } = require('./reactions.cjs');
+const { parseJobRequest, parseJobFeedback, parseJobResult } = require('./dvm.cjs');
+const { parseTask, parseMarketplaceEvent } = require('./marketplace.cjs');
+const { parseAttestation } = require('./trust.cjs');
+const { parseAgentService } = require('./agents.cjs');
+
+/**
+ * Turn a raw event into a notification object (with `identities` when
+ * given several pubkeys)
+ */
+function toNotification(event, myPubkey) {
+  const classification = classifyEvent(event, myPubkey);
+
+  return {
+    id: event.id,
+    type: classification.type,
+    priority: classification.priority,
+    from: event.pubkey,
+    content: event.content,
+    kind: event.kind,
+    tags: event.tags,
+    createdAt: event.created_at * 1000,
+    raw: event,
+    ...classification
+  };
+}
+
+/**
+ * Create the processing pipeline shared by createInbox and poll
+ *
+ * Classifies an event, then runs the enrichment steps (decryption,
+ * gift-wrap unwrapping, zap validation, thread / reaction / job / task parsing, ...) that apply to
+ * its type, then the mute list / social distance check, the parent lookup
+ * for replies and finally the user's classification rules. Events that
+ * `exempt` claims (feedback and results for jobs we track) skip the social
+ * check and the rules: DVM providers are usually strangers.
+ *
+ * @param {Object} opts
+ * @param {string|string[]} opts.pubkey - Your hex pubkey, or every identity you watch (the first is the primary)
+ * @param {Object} [opts.signer] - Signer used to decrypt DMs and unwrap gift wraps (for the primary identity)
+ * @param {Map<string, Object>} [opts.signers] - Signers for the other identities
+ * @param {string[]|Function} [opts.zapProviders] - Expected LNURL provider pubkeys for zap receipts
+ * @param {Object[]|string} [opts.rules] - Classification rules (or a JSON file path)
+ * @param {Object} [opts.social] - Social graph from createSocialGraph
+ * @param {Function} [opts.onSuppressed] - Called with `{ id, from, type, reason }` for muted / out-of-network events
+ * @param {Function} [opts.fetchEvent] - Pointer lookup (from createEventFetcher) used to attach reply parents
+ * @param {Function} [opts.exempt] - (notification) => true to skip the social check and rules
+ * @returns {(event: Object) => Promise<Object|null>} Resolves to null when the event is suppressed or dropped by a rule
+ */
+function createPipeline({
+  pubkey,
+  signer = null,
+  signers = new Map(),
+  zapProviders = null,
+  rules = null,
+  social = null,
+  onSuppressed = null,
+  fetchEvent = null,
+  exempt = null
+}) {
+  const applyRules = resolveRules(rules);
+  const primary = [].concat(pubkey)[0];
+
+  function signerFor(identity) {
+    return signers.get(identity) || (identity === primary ? signer : null);
+  }
+
+  return async function processEvent(event) {
+    const notification = toNotification(event, pubkey);
+    // The identity this event is for, as far as decryption and "for me" go
+    const me = notification.identities && notification.identities.length ? notification.identities[0] : primary;
+
+    if (event.kind === KINDS.DM_ENCRYPTED) {
+      Object.assign(notification, await decryptDm(event, signerFor(me)));
+    } else if (event.kind === KINDS.GIFT_WRAP) {
+      Object.assign(notification, await unwrapGiftWrap(event, signerFor(me)));
+    } else if (event.kind === KINDS.ZAP_RECEIPT) {
+      const { zap, errors } = await parseZapReceipt(event, { zapProviders });
+      notification.zap = { ...zap, valid: errors.length === 0, errors };
+      if (errors.length === 0) {
+        notification.from = zap.sender;
+      } else {
+        // Fake or broken receipts shouldn't look like money arriving
+        notification.unverified = true;
+        notification.priority = 'low';
+      }
+    } else if (event.kind === KINDS.TEXT_NOTE || event.kind === KINDS.COMMENT) {
+      notification.thread = parseThread(event);
+    } else if (event.kind === KINDS.REACTION) {
+      notification.reaction = parseReaction(event);
+    } else if (event.kind === KINDS.DVM_FEEDBACK) {
+      notification.feedback = parseJobFeedback(event);
+    } else if (notification.type === 'dvm_request') {
+      let job = parseJobRequest(event, me);
+      // Encrypted requests are NIP-04 to the provider, like a DM
+      if (job.encrypted && job.forMe) {
+        Object.assign(notification, await decryptDm(event, signerFor(me)));
+        job = parseJobRequest(event, me, notification.plaintext);
+      }
+      notification.job = job;
+      // Someone else's customer: don't page us to do unpaid work
+      if (!job.forMe) notification.priority = 'low';
+    } else if (notification.type === 'dvm_result') {
+      notification.result = parseJobResult(event);
+    } else if (event.kind === KINDS.TASK) {
+      notification.task = parseTask(event);
+    } else if (event.kind === KINDS.BID || event.kind === KINDS.DELIVERY || event.kind === KINDS.RESOLUTION) {
+      notification.marketplace = parseMarketplaceEvent(event);
+    } else if (event.kind === KINDS.AGENT_SERVICE) {
+      notification.agent = parseAgentService(event);
+    } else if (event.kind === KINDS.LABEL) {
+      notification.attestation = parseAttestation(event);
+      // Someone vouching against us is worth a look now
+      if (notification.type === 'trust' && notification.attestation && notification.attestation.negative) {
+        notification.priority = 'high';
+      }
+    }
+
+    if (exempt && exempt(notification)) return notification;
+
+    if (social) {
+      const reason = social.check(notification);
+      if (reason) {
+        if (onSuppressed) onSuppressed({ id: notification.id, from: notification.from, type: notification.type, reason });
+        return null;
+      }
+    }
+
+    const thread = notification.thread;
+    if (thread) {
+      // Only after the social check, so spam never costs a relay query
+      if (fetchEvent && thread.replyTo) {
+        const parent = await fetchEvent(thread.replyTo);
+        notification.parent = parent;
+        if (parent) {
+          // The fetched author beats tag guesswork
+          thread.replyTo.pubkey = parent.pubkey;
+          Object.assign(notification, Array.isArray(pubkey)
+            ? classifyForIdentities(event, pubkey, pk => classifyNote(event, pk, parent.pubkey))
+            : classifyNote(event, pubkey, parent.pubkey));
+        }
+      }
+      thread.replyToMe = notification.type === 'reply';
+    }
+
+    return applyRules ? applyRules(notification) : notification;
+  };
+}
+
+module.exports = { toNotification, createPipeline };
@@ -1,7 +1,21 @@
 'use strict';
 
 const { Relay, useWebSocketImplementation } = require('nostr-tools/relay');
-const { buildFilters, classifyEvent } = require('./filters.cjs');
+const { buildFilters } = require('./filters.cjs');
+const { createPipeline } = require('./pipeline.cjs');
+const { resolveSigner } = require('./signer.cjs');
+const { checkEvent, acceptAll } = require('./verify.cjs');
+const { resolveStore } = require('./state.cjs');
+const { attachAuth, canAuth, isAuthRequired, isRelayRefusal } = require('./auth.cjs');
+const { DEFAULT_BOOTSTRAP_RELAYS, fetchRelayLists, resolveOutboxRelays, routeFilters } = require('./outbox.cjs');
+const { createSocialGraph } = require('./social.cjs');
+const { createEventFetcher, queryRelays } = require('./query.cjs');
+const { fetchRelayLimits } = require('./nip11.cjs');
+const { latestHandlers, handlerKinds } = require('./dvm.cjs');
+const { KINDS } = require('./kinds.cjs');
+const { createTaskBook } = require('./marketplace.cjs');
+const { createAgentDirectory } = require('./agents.cjs');
+const { summarizeReactions } = require('./reactions.cjs');
 
 // Use ws in Node.js
 try {
@@ -9,6 +23,9 @@ try {
   useWebSocketImplementation(WebSocket);
 } catch (e) {}
 
+// Seen IDs written to the state store — enough to cover the cursor overlap
+const MAX_SAVED_IDS = 2000;
+
 /**
  * One-shot poll: connect, fetch events since timestamp, disconnect
  *
@@ -16,72 +33,195 @@ try {
  *
  * @param {Object} opts
  * @param {string} opts.pubkey - Your hex pubkey
- * @param {string[]} [opts.relays] - Relay URLs
- * @param {Object} [opts.channels] - Which notification types to check
- * @param {number} [opts.since] - Unix timestamp
+ * @param {string[]} [opts.relays] - Relay URLs (ignored with `outbox`)
+ * @param {boolean} [opts.outbox] - Discover relays from our kind 10002 / 10050 lists instead (default: false)
+ * @param {string[]} [opts.bootstrapRelays] - Where to look up those lists
+ * @param {Object} [opts.channels] - Which notification types to check (`dvmKinds`: a list, `'all'` or `'nip89'`; `agents`: which service announcements to watch)
+ * @param {Object} [opts.relayLimits] - Per-relay `{ maxKinds, maxFilters }` for `dvmKinds: 'all'` (default: from NIP-11)
+ * @param {number} [opts.since] - Unix timestamp (default: stored cursor, else last hour)
+ * @param {Object|string} [opts.store] - State store (or JSON file path); resumes from and updates its cursor
  * @param {number} [opts.timeoutMs] - Query timeout
+ * @param {string|Uint8Array} [opts.secretKey] - Secret key used to decrypt DMs
+ * @param {Object} [opts.signer] - Pluggable signer with `decrypt(pubkey, ciphertext, scheme)` and/or `signEvent(template)` (for NIP-42 AUTH)
+ * @param {boolean} [opts.verify] - Check event ids and signatures (default: true)
+ * @param {string[]|Function} [opts.zapProviders] - LNURL provider pubkeys allowed to sign zap receipts
+ * @param {Object[]|string} [opts.rules] - Classification rules (or a JSON file path)
+ * @param {boolean} [opts.mute] - Drop events matching our NIP-51 mute list (default: false)
+ * @param {boolean} [opts.follows] - Annotate notifications with the sender's social `distance` (default: false)
+ * @param {number|Object} [opts.maxDistance] - Only keep senders within this distance, for all channels or per channel
+ * @param {boolean} [opts.fetchParents] - Attach the event a reply or comment answers as `parent` (default: false)
+ * @param {boolean|Object} [opts.aggregateReactions] - Merge reactions on the same event into a `reactions_summary` (`{ minCount }`; default: false)
  */
 async function poll(opts) {
   const {
     pubkey,
-    relays: relayUrls = ['wss://relay.damus.io', 'wss://nos.lol'],
-    channels = {},
-    since = Math.floor(Date.now() / 1000) - 3600, // default: last hour
-    timeoutMs = 10000
+    relays = ['wss://relay.damus.io', 'wss://nos.lol'],
+    outbox = false,
+    bootstrapRelays = DEFAULT_BOOTSTRAP_RELAYS,
+    channels: channelsOpt = {},
+    relayLimits = {},
+    since: sinceOpt = null,
+    store: storeOpt = null,
+    timeoutMs = 10000,
+    secretKey = null,
+    signer = null,
+    verify = true,
+    zapProviders = null,
+    rules = null,
+    mute = false,
+    follows = false,
+    maxDistance = null,
+    fetchParents = false,
+    aggregateReactions = false
   } = opts;
 
   if (!pubkey) throw new Error('pubkey is required');
 
+  // Resume from the stored cursor unless the caller asked for a window
+  const store = resolveStore(storeOpt);
+  const state = store ? await store.load() : null;
+  const seen = new Set(state && Array.isArray(state.seen) ? state.seen : []);
+  const since = sinceOpt
+    || (state && Number.isInteger(state.cursor) ? Math.min(state.cursor, Math.floor(Date.now() / 1000)) : null)
+    || Math.floor(Date.now() / 1000) - 3600; // default: last hour
+
   const events = new Map();
-  const filters = buildFilters(pubkey, channels, since);
+  const rejected = [];
+  const relayErrors = [];
+
+  // Outbox model: send each filter only to the relays that should have it
+  let relayUrls = relays;
+  let outboxRelays = null;
+  if (outbox) {
+    outboxRelays = resolveOutboxRelays(await fetchRelayLists(pubkey, bootstrapRelays, { timeoutMs }), bootstrapRelays);
+  }
+
+  // dvmKinds: 'nip89' — the request kinds we announce handling
+  let channels = channelsOpt;
+  if (channels.dvmKinds === 'nip89') {
+    const lookup = outboxRelays ? outboxRelays.all : relays;
+    const events = await queryRelays(lookup, [{ kinds: [KINDS.HANDLER_INFO], authors: [pubkey] }], { timeoutMs, verify });
+    const kinds = handlerKinds(latestHandlers(events, pubkey));
+    channels = { ...channels, dvmKinds: kinds.length > 0 ? kinds : undefined };
+  }
+
+  if (outboxRelays) relayUrls = Array.from(routeFilters(buildFilters(pubkey, channels, since), outboxRelays).keys());
+
+  // With dvmKinds: 'all', filters are sized per relay
+  const filtersFor = async (url) => {
+    let limits = {};
+    if (channels.dvmKinds === 'all') limits = { ...(await fetchRelayLimits(url, { timeoutMs })), ...(relayLimits[url] || {}) };
+    const own = buildFilters(pubkey, channels, since, limits);
+    return outboxRelays ? (routeFilters(own, outboxRelays).get(url) || []) : own;
+  };
+
+  const activeSigner = resolveSigner({ secretKey, signer });
+  const suppressed = [];
+  const social = mute || follows || maxDistance != null
+    ? createSocialGraph({ pubkey, signer: activeSigner, mute, follows, maxDistance, relays: () => relayUrls, timeoutMs })
+    : null;
+  const processEvent = createPipeline({
+    pubkey,
+    signer: activeSigner,
+    zapProviders,
+    rules,
+    social,
+    onSuppressed: (info) => suppressed.push(info),
+    fetchEvent: fetchParents ? createEventFetcher({ relays: () => relayUrls, timeoutMs, verify }) : null
+  });
 
   // Connect to relays and collect events
   const relayPromises = relayUrls.map(async (url) => {
     try {
+      const relayFilters = await filtersFor(url);
       const relay = await Promise.race([
-        Relay.connect(url),
+        Relay.connect(url, { verifyEvent: acceptAll }),
         new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), timeoutMs))
       ]);
 
+      const auth = canAuth(activeSigner) ? attachAuth(relay, activeSigner, { timeoutMs }) : null;
+
       await new Promise((resolve) => {
         const timer = setTimeout(resolve, timeoutMs);
-        relay.subscribe(filters, {
-          onevent(event) {
-            events.set(event.id, event);
-          },
-          oneose() {
-            clearTimeout(timer);
-            resolve();
-          }
-        });
+        const done = (error) => {
+          if (error) relayErrors.push({ relay: url, error });
+          clearTimeout(timer);
+          resolve();
+        };
+
+        // Resubscribe once after AUTH if the relay closes us with auth-required
+        const subscribe = (retried) => {
+          let closed = false;
+          relay.subscribe(relayFilters, {
+            onevent(event) {
+              const reason = verify ? checkEvent(event) : null;
+              if (reason) {
+                rejected.push({ id: event && event.id, relay: url, reason });
+                return;
+              }
+              if (seen.has(event.id)) return;
+              events.set(event.id, event);
+            },
+            oneose() {
+              if (!closed) done();
+            },
+            onclose(reason) {
+              closed = true;
+              if (!isRelayRefusal(reason)) return;
+              if (!isAuthRequired(reason)) return done(`subscription refused: ${reason}`);
+              if (!auth) return done(`${reason} (relay requires NIP-42 AUTH — pass a secretKey or a signer with signEvent)`);
+              if (retried) return done(`${reason} (still refused after AUTH)`);
+              auth.authenticate().then(() => subscribe(true), (err) => done(`auth failed: ${err.message}`));
+            }
+          });
+        };
+        subscribe(false);
       });
 
       try { relay.close(); } catch (e) {}
     } catch (e) {
       // Relay unavailable — skip
+      relayErrors.push({ relay: url, error: e && e.message ? e.message : String(e) });
     }
   });
 
-  await Promise.allSettled(relayPromises);
-
-  // Classify and sort
-  const notifications = Array.from(events.values())
-    .map(event => {
-      const classification = classifyEvent(event, pubkey);
-      return {
-        id: event.id,
-        type: classification.type,
-        priority: classification.priority,
-        from: event.pubkey,
-        content: event.content,
-        kind: event.kind,
-        tags: event.tags,
-        createdAt: event.created_at * 1000,
-        raw: event,
-        ...classification
-      };
-    })
+  // Load mute list / follows alongside the fetch
+  await Promise.all([Promise.allSettled(relayPromises), social && social.load()]);
+
+  // Tasks we posted only feed the task book and deletions only matter to a
+  // live trust score; everything else is classified, enriched and sorted
+  // (rules may drop some)
+  const taskBook = createTaskBook();
+  const isOwnTask = (event) => event.pubkey === pubkey && event.kind === KINDS.TASK;
+  const fetched = Array.from(events.values())
+    .filter(e => e.kind !== KINDS.DELETION)
+    .sort((a, b) => a.created_at - b.created_at);
+  for (const event of fetched.filter(isOwnTask)) taskBook.handle(event);
+  const directory = createAgentDirectory({ criteria: channels.agents });
+  let notifications = (await Promise.all(fetched.filter(e => !isOwnTask(e)).map(processEvent)))
+    .filter(Boolean)
     .sort((a, b) => b.createdAt - a.createdAt);
+  const stale = new Set(); // announcements replaced or not matching `channels.agents`
+  for (const n of notifications.slice().reverse()) {
+    if (n.task || n.marketplace) taskBook.handle(n.raw);
+    if (n.agent) {
+      const agent = directory.handle(n.raw);
+      if (agent) n.agent = agent;
+      else stale.add(n);
+    }
+  }
+  if (stale.size > 0) notifications = notifications.filter(n => !stale.has(n));
+  if (aggregateReactions) {
+    notifications = summarizeReactions(notifications, typeof aggregateReactions === 'object' ? aggregateReactions : {});
+  }
+
+  // Save the new cursor and seen IDs for next time (dropped events count as seen)
+  if (store) {
+    // Future-dated events (anyone can tag us) must not push the cursor past now
+    const cursor = Math.min(Math.max(since, ...Array.from(events.values(), e => e.created_at)), Math.floor(Date.now() / 1000));
+    for (const id of events.keys()) seen.add(id);
+    await store.save({ cursor, seen: Array.from(seen).slice(-MAX_SAVED_IDS) });
+  }
 
   // Group by type
   const byType = {};
@@ -97,6 +237,13 @@ async function poll(opts) {
     total: notifications.length,
     urgent: urgent.length,
     notifications,
+    decryptErrors: notifications.filter(n => n.decryptError).map(n => n.decryptError),
+    rejected,
+    suppressed,
+    relayErrors,
+    outbox: outboxRelays ? { read: outboxRelays.read, write: outboxRelays.write, dm: outboxRelays.dm } : null,
+    tasks: taskBook.list(),
+    agents: directory.list(),
     byType,
     since,
     queriedAt: Date.now()
@@ -0,0 +1,186 @@
+'use strict';
+
+const { Relay, useWebSocketImplementation } = require('nostr-tools/relay');
+const { checkEvent, acceptAll } = require('./verify.cjs');
+
+// Use ws in Node.js
+try {
+  const WebSocket = require('ws');
+  useWebSocketImplementation(WebSocket);
+} catch (e) {}
+
+/**
+ * One-shot query: fetch stored events matching `filters` from several relays
+ *
+ * Used for lookups around the notification stream (relay lists, mute lists,
+ * parent events, ...). Events are verified and deduplicated by id; relays
+ * that fail or time out are skipped.
+ *
+ * @param {string[]} relayUrls - Relays to ask
+ * @param {Object[]} filters - Nostr filters
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs] - Per-relay connect + EOSE timeout (default: 5000)
+ * @param {boolean} [opts.verify] - Drop events that fail id/signature checks (default: true)
+ * @returns {Promise<Object[]>}
+ */
+async function queryRelays(relayUrls, filters, { timeoutMs = 5000, verify = true } = {}) {
+  const events = new Map();
+
+  await Promise.allSettled(relayUrls.map(async (url) => {
+    let relay = null;
+    let connectTimer;
+    let timedOut = false;
+    try {
+      const connecting = Relay.connect(url, { verifyEvent: acceptAll });
+      // Connected after the timeout: nobody closes it otherwise
+      connecting.then((late) => {
+        if (timedOut) {
+          try { late.close(); } catch (e) {}
+        }
+      }, () => {});
+      relay = await Promise.race([
+        connecting,
+        new Promise((_, rej) => {
+          connectTimer = setTimeout(() => {
+            timedOut = true;
+            rej(new Error('timeout'));
+          }, timeoutMs);
+        })
+      ]);
+      clearTimeout(connectTimer);
+
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, timeoutMs);
+        relay.subscribe(filters, {
+          onevent(event) {
+            if (verify && checkEvent(event)) return;
+            events.set(event.id, event);
+          },
+          oneose() {
+            clearTimeout(timer);
+            resolve();
+          },
+          onclose() {
+            clearTimeout(timer);
+            resolve();
+          }
+        });
+      });
+    } catch (e) {
+      // Relay unavailable — skip
+      clearTimeout(connectTimer);
+    } finally {
+      if (relay) {
+        try { relay.close(); } catch (e) {}
+      }
+    }
+  }));
+
+  return Array.from(events.values());
+}
+
+/**
+ * One-shot publish: send a signed event to several relays
+ *
+ * @param {string[]} relayUrls - Relays to publish to
+ * @param {Object} event - Signed event
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs] - Per-relay connect + OK timeout (default: 5000)
+ * @returns {Promise<{ ok: string[], failed: { relay: string, error: string }[] }>}
+ */
+async function publishToRelays(relayUrls, event, { timeoutMs = 5000 } = {}) {
+  const ok = [];
+  const failed = [];
+
+  await Promise.all(relayUrls.map(async (url) => {
+    let relay = null;
+    let done = false;
+    let timer;
+    try {
+      await Promise.race([
+        (async () => {
+          relay = await Relay.connect(url, { verifyEvent: acceptAll });
+          // Connected after the timeout: nobody closes it otherwise
+          if (done) return relay.close();
+          await relay.publish(event);
+        })(),
+        new Promise((_, rej) => { timer = setTimeout(() => rej(new Error('timeout')), timeoutMs); })
+      ]);
+      ok.push(url);
+    } catch (e) {
+      failed.push({ relay: url, error: e && e.message ? e.message : String(e) });
+    } finally {
+      done = true;
+      clearTimeout(timer);
+      if (relay) {
+        try { relay.close(); } catch (e) {}
+      }
+    }
+  }));
+
+  return { ok, failed };
+}
+
+/**
+ * Newest event of a (replaceable) kind by an author
+ */
+function latestEvent(events, kind, author) {
+  let latest = null;
+  for (const event of events) {
+    if (event.kind !== kind || (author && event.pubkey !== author)) continue;
+    if (!latest || event.created_at > latest.created_at) latest = event;
+  }
+  return latest;
+}
+
+/**
+ * Filter for an event pointer: `{ id }` or `{ address: 'kind:pubkey:d' }`
+ */
+function pointerFilter(pointer) {
+  if (pointer.id) return { ids: [pointer.id] };
+  const [kind, author, ...d] = String(pointer.address).split(':');
+  return { kinds: [Number(kind)], authors: [author], '#d': [d.join(':')] };
+}
+
+/**
+ * Fetch single events by pointer, with caching
+ *
+ * Lookups go to the pointer's relay hint plus `relays()`. Results (including
+ * misses) are cached up to `maxSize` entries, and concurrent lookups of the
+ * same pointer share one query.
+ *
+ * @param {Object} opts
+ * @param {Function} opts.relays - () => relay URLs to ask
+ * @param {number} [opts.timeoutMs] - Query timeout (default: 5000)
+ * @param {number} [opts.maxSize] - Cached entries (default: 500)
+ * @param {boolean} [opts.verify] - Drop events that fail id/signature checks (default: true)
+ * @returns {(pointer: { id?: string, address?: string, relay?: string }) => Promise<Object|null>}
+ */
+function createEventFetcher({ relays, timeoutMs = 5000, maxSize = 500, verify = true }) {
+  const cache = new Map(); // key -> Promise<event|null>
+
+  return function fetchEvent(pointer) {
+    if (!pointer || (!pointer.id && !pointer.address)) return Promise.resolve(null);
+    const key = pointer.id || pointer.address;
+
+    if (cache.has(key)) {
+      // Refresh recency
+      const hit = cache.get(key);
+      cache.delete(key);
+      cache.set(key, hit);
+      return hit;
+    }
+
+    const urls = Array.from(new Set([...(pointer.relay ? [pointer.relay] : []), ...relays()]));
+    const pending = queryRelays(urls, [pointerFilter(pointer)], { timeoutMs, verify }).then((events) => {
+      if (pointer.id) return events.find(e => e.id === pointer.id) || null;
+      return events.sort((a, b) => b.created_at - a.created_at)[0] || null;
+    });
+
+    cache.set(key, pending);
+    if (cache.size > maxSize) cache.delete(cache.keys().next().value);
+    return pending;
+  };
+}
+
+module.exports = { queryRelays, publishToRelays, latestEvent, createEventFetcher };
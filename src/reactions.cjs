@@ -0,0 +1,182 @@
+'use strict';
+
+// NIP-25: "+" (or empty) is a like, "-" a dislike
+const LIKE = '👍';
+const DISLIKE = '👎';
+const SHORTCODE = /^:([a-zA-Z0-9_-]+):$/;
+
+/**
+ * What a reaction (kind 7) reacts to, and with what
+ *
+ * The target is the last `e` tag (NIP-25), its author the last `p` tag.
+ * Custom emoji (`:shortcode:`, NIP-30) are resolved through the event's
+ * `emoji` tags.
+ *
+ * @param {Object} event - Kind 7 event
+ * @returns {{ eventId: string|null, author: string|null, kind: number|null, address: string|null,
+ *   emoji: string, sentiment: 'like'|'dislike'|'emoji', shortcode: string|null, url: string|null }}
+ */
+function parseReaction(event) {
+  const last = (name) => {
+    const tags = event.tags.filter(t => t[0] === name && t[1]);
+    return tags.length ? tags[tags.length - 1] : null;
+  };
+  const e = last('e');
+  const p = last('p');
+  const k = last('k');
+  const a = last('a');
+
+  const content = (event.content || '').trim();
+  let emoji = content;
+  let sentiment = 'emoji';
+  let shortcode = null;
+  let url = null;
+
+  if (content === '' || content === '+') {
+    emoji = LIKE;
+    sentiment = 'like';
+  } else if (content === '-') {
+    emoji = DISLIKE;
+    sentiment = 'dislike';
+  } else {
+    const match = SHORTCODE.exec(content);
+    if (match) {
+      shortcode = match[1];
+      const tag = event.tags.find(t => t[0] === 'emoji' && t[1] === shortcode && t[2]);
+      url = tag ? tag[2] : null;
+    }
+  }
+
+  return {
+    eventId: e ? e[1] : null,
+    author: p ? p[1] : null,
+    kind: k && /^\d+$/.test(k[1]) ? Number(k[1]) : null,
+    address: a ? a[1] : null,
+    emoji,
+    sentiment,
+    shortcode,
+    url
+  };
+}
+
+function targetKey(notification) {
+  // The parsed reaction, not the type: rules may rename it
+  const { eventId, address } = notification.reaction || {};
+  return eventId || address || null;
+}
+
+/**
+ * Merge reaction notifications on the same event into one
+ * `reactions_summary` notification
+ */
+function summarize(target, reactions) {
+  const sorted = reactions.slice().sort((a, b) => a.createdAt - b.createdAt);
+  const latest = sorted[sorted.length - 1];
+  const emojis = {};
+  for (const n of sorted) emojis[n.reaction.emoji] = (emojis[n.reaction.emoji] || 0) + 1;
+  const reactors = Array.from(new Set(sorted.map(n => n.from)));
+  const top = Object.entries(emojis).sort((a, b) => b[1] - a[1]).map(([emoji]) => emoji).slice(0, 3).join(' ');
+
+  return {
+    id: `reactions:${target}:${latest.id}`,
+    type: 'reactions_summary',
+    priority: sorted.some(n => n.priority === 'high') ? 'high' : sorted.some(n => n.priority === 'medium') ? 'medium' : 'low',
+    from: latest.from,
+    content: `${sorted.length} reactions on your note ${top}`,
+    kind: latest.kind,
+    tags: [['e', target]],
+    createdAt: latest.createdAt,
+    raw: latest.raw,
+    summary: {
+      target,
+      count: sorted.length,
+      emojis,
+      reactors,
+      firstAt: sorted[0].createdAt,
+      lastAt: latest.createdAt
+    },
+    reactions: sorted
+  };
+}
+
+/**
+ * Batch version for poll results: group reactions per target and replace
+ * groups of at least `minCount` with a summary
+ *
+ * @param {Object[]} notifications
+ * @param {Object} [opts]
+ * @param {number} [opts.minCount] - Smallest group worth summarizing (default: 2)
+ * @returns {Object[]} Notifications in the original order, summaries at their latest reaction's position
+ */
+function summarizeReactions(notifications, { minCount = 2 } = {}) {
+  const groups = new Map();
+  for (const n of notifications) {
+    const key = targetKey(n);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(n);
+  }
+
+  const summaries = new Map(); // notification -> summary to put in its place
+  const merged = new Set();
+  for (const [key, group] of groups) {
+    if (group.length < minCount) continue;
+    const summary = summarize(key, group);
+    summaries.set(summary.reactions[summary.reactions.length - 1], summary);
+    for (const n of group) merged.add(n);
+  }
+
+  const result = [];
+  for (const n of notifications) {
+    if (summaries.has(n)) result.push(summaries.get(n));
+    else if (!merged.has(n)) result.push(n);
+  }
+  return result;
+}
+
+/**
+ * Streaming version for the inbox: hold reactions for `windowMs` after the
+ * first one on a target, then emit either a summary (if at least `minCount`
+ * arrived) or the individual reactions
+ *
+ * @param {Object} opts
+ * @param {Function} opts.emit - Called with each notification to deliver
+ * @param {number} [opts.windowMs] - How long to collect a burst (default: 60000)
+ * @param {number} [opts.minCount] - Smallest burst worth summarizing (default: 2)
+ */
+function createReactionAggregator({ emit, windowMs = 60000, minCount = 2 }) {
+  const pending = new Map(); // target -> { reactions, timer }
+
+  function flush(key) {
+    const group = pending.get(key);
+    if (!group) return;
+    pending.delete(key);
+    clearTimeout(group.timer);
+    if (group.reactions.length >= minCount) emit(summarize(key, group.reactions));
+    else for (const n of group.reactions) emit(n);
+  }
+
+  /**
+   * @returns {boolean} Whether the notification was taken (emitted later)
+   */
+  function add(notification) {
+    const key = targetKey(notification);
+    if (!key) return false;
+
+    let group = pending.get(key);
+    if (!group) {
+      group = { reactions: [], timer: setTimeout(() => flush(key), windowMs) };
+      pending.set(key, group);
+    }
+    group.reactions.push(notification);
+    return true;
+  }
+
+  function flushAll() {
+    for (const key of Array.from(pending.keys())) flush(key);
+  }
+
+  return { add, flushAll, pending: () => pending.size };
+}
+
+module.exports = { parseReaction, summarizeReactions, createReactionAggregator };
@@ -0,0 +1,166 @@
+'use strict';
+
+const fs = require('fs');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const MATCH_KEYS = ['kind', 'type', 'from', 'tags', 'content', 'dvmKind'];
+const RULE_KEYS = ['name', 'match', 'priority', 'type', 'labels', 'drop', 'stop'];
+
+/**
+ * Rules adjust classification after the built-in pipeline has run:
+ *
+ *   {
+ *     "name": "boost translation jobs",      // optional, for error messages
+ *     "match": {                             // every given condition must hold
+ *       "kind": 5002,                        // number or list
+ *       "type": "dvm_request",               // string or list (current type)
+ *       "from": "<hex pubkey>",              // string or list (resolved sender)
+ *       "tags": { "t": ["urgent", "ops"] },  // tag name -> value or list of values
+ *       "content": "deploy|outage",          // regex (or { pattern, flags }) on plaintext / content
+ *       "dvmKind": [5000, 5002]              // number or list
+ *     },
+ *     "priority": "high",                    // set priority
+ *     "type": "job",                         // rename the type
+ *     "labels": ["ops"],                     // add labels
+ *     "drop": true,                          // discard the event
+ *     "stop": true                           // skip the remaining rules
+ *   }
+ *
+ * Rules run in order and every matching rule applies, so a later rule sees
+ * the type and priority set by an earlier one.
+ */
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+function compileContent(content, where) {
+  const { pattern, flags = 'i' } = typeof content === 'string' ? { pattern: content } : (content || {});
+  if (typeof pattern !== 'string') throw new Error(`${where}: content must be a regex string or { pattern, flags }`);
+  try {
+    // `g` / `y` would make test() resume from lastIndex on the next event
+    return new RegExp(pattern, String(flags).replace(/[gy]/g, ''));
+  } catch (err) {
+    throw new Error(`${where}: invalid content regex: ${err.message}`);
+  }
+}
+
+/**
+ * Turn one match object into a predicate
+ */
+function compileMatch(match = {}, where) {
+  if (typeof match !== 'object' || Array.isArray(match)) throw new Error(`${where}: match must be an object`);
+  for (const key of Object.keys(match)) {
+    if (!MATCH_KEYS.includes(key)) throw new Error(`${where}: unknown match key "${key}"`);
+  }
+
+  const checks = [];
+  if (match.kind !== undefined) {
+    const kinds = asList(match.kind);
+    checks.push(n => kinds.includes(n.kind));
+  }
+  if (match.type !== undefined) {
+    const types = asList(match.type);
+    checks.push(n => types.includes(n.type));
+  }
+  if (match.from !== undefined) {
+    const senders = asList(match.from);
+    checks.push(n => senders.includes(n.from));
+  }
+  if (match.dvmKind !== undefined) {
+    const kinds = asList(match.dvmKind);
+    checks.push(n => kinds.includes(n.dvmKind));
+  }
+  if (match.tags !== undefined) {
+    if (typeof match.tags !== 'object' || Array.isArray(match.tags)) throw new Error(`${where}: tags must be an object`);
+    for (const [name, values] of Object.entries(match.tags)) {
+      const wanted = asList(values).map(String);
+      checks.push(n => (n.tags || []).some(t => t[0] === name && wanted.includes(t[1])));
+    }
+  }
+  if (match.content !== undefined) {
+    const regex = compileContent(match.content, where);
+    checks.push(n => regex.test(typeof n.plaintext === 'string' ? n.plaintext : (n.content || '')));
+  }
+
+  return (notification) => checks.every(check => check(notification));
+}
+
+/**
+ * Validate and compile a rule list
+ *
+ * @param {Object[]} rules
+ * @returns {(notification: Object) => Object|null} Applies the rules; null means drop
+ */
+function compileRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('rules must be an array');
+
+  const compiled = rules.map((rule, i) => {
+    const where = `rules[${i}]${rule && rule.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where}: must be an object`);
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) throw new Error(`${where}: unknown key "${key}"`);
+    }
+    if (rule.priority !== undefined && !PRIORITIES.includes(rule.priority)) {
+      throw new Error(`${where}: priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (rule.type !== undefined && (typeof rule.type !== 'string' || !rule.type)) {
+      throw new Error(`${where}: type must be a non-empty string`);
+    }
+    if (rule.labels !== undefined && !asList(rule.labels).every(l => typeof l === 'string')) {
+      throw new Error(`${where}: labels must be strings`);
+    }
+    return { ...rule, test: compileMatch(rule.match, where) };
+  });
+
+  return function apply(notification) {
+    let result = notification;
+    for (const rule of compiled) {
+      if (!rule.test(result)) continue;
+      if (rule.drop) return null;
+
+      result = { ...result };
+      if (rule.priority) result.priority = rule.priority;
+      if (rule.type) result.type = rule.type;
+      if (rule.labels !== undefined) {
+        result.labels = Array.from(new Set([...(result.labels || []), ...asList(rule.labels)]));
+      }
+      if (rule.stop) break;
+    }
+    return result;
+  };
+}
+
+/**
+ * Apply rules to a single notification (handy for testing a rule set)
+ *
+ * @returns {Object|null} The adjusted notification, or null if a rule dropped it
+ */
+function applyRules(rules, notification) {
+  return compileRules(rules)(notification);
+}
+
+/**
+ * Load a rule list from a JSON file
+ */
+function loadRules(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`cannot read rules file ${file}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`rules file ${file} is not valid JSON`);
+  }
+}
+
+/**
+ * Accept a rule list or a JSON file path; returns a compiled rule set or null
+ */
+function resolveRules(rules) {
+  if (!rules) return null;
+  return compileRules(typeof rules === 'string' ? loadRules(rules) : rules);
+}
+
+module.exports = { compileRules, applyRules, loadRules, resolveRules };
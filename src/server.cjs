@@ -0,0 +1,216 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { WebSocketServer } = require('ws');
+
+/**
+ * `?types=dm,mention&priority=high,medium` → notification predicate
+ */
+function parseFilter(params) {
+  const list = (name) => {
+    const value = params.get(name);
+    return value ? value.split(',').map(s => s.trim()).filter(Boolean) : null;
+  };
+  const types = list('types');
+  const priorities = list('priority');
+  return (n) => (!types || types.includes(n.type)) && (!priorities || priorities.includes(n.priority));
+}
+
+function parseSince(params) {
+  const since = params.get('since');
+  if (since == null) return null;
+  if (!/^\d+$/.test(since)) throw new Error('since must be a unix timestamp');
+  return Number(since) * 1000;
+}
+
+/**
+ * Constant-time comparison on digests, so inputs of any length (or encoding) are safe
+ */
+function tokenMatches(given, expected) {
+  if (typeof given !== 'string') return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Share one inbox with several local agents over HTTP
+ *
+ * - `GET /events` — Server-Sent Events (`notification` and `digest` events)
+ * - `GET /ws` — WebSocket, one `{ type, notification | digest }` JSON message each
+ * - `GET /notifications` — Recent history, newest first
+ * - `GET /status` — `inbox.status()`
+ *
+ * Streams and history take `types`, `priority` (comma-separated) and
+ * `since` (unix seconds; streams replay history after it first). With a
+ * `token`, requests need `Authorization: Bearer <token>` (or `?token=`
+ * where headers can't be set, as with EventSource).
+ *
+ * @param {Object} opts
+ * @param {Object} opts.inbox - Inbox to serve (started separately)
+ * @param {string} [opts.token] - Bearer token required on every request
+ * @param {number} [opts.historySize] - Notifications kept for `/notifications` and replays (default: 500)
+ * @param {number} [opts.heartbeatMs] - SSE keep-alive comment / WebSocket ping interval (default: 30000)
+ */
+function createServer({ inbox, token = null, historySize = 500, heartbeatMs = 30000 }) {
+  if (!inbox) throw new Error('inbox is required');
+
+  const history = [];
+  const clients = new Set(); // { filter, send(kind, payload), close() }
+  const wss = new WebSocketServer({ noServer: true });
+  let heartbeat = null;
+
+  function onNotification(notification) {
+    history.push(notification);
+    if (history.length > historySize) history.splice(0, history.length - historySize);
+    for (const client of clients) {
+      if (client.filter(notification)) client.send('notification', notification);
+    }
+  }
+
+  function onDigest(digest) {
+    for (const client of clients) client.send('digest', digest);
+  }
+
+  function authorized(req, params) {
+    if (!token) return true;
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+    return tokenMatches(bearer, token) || tokenMatches(params.get('token'), token);
+  }
+
+  function recent(filter, since) {
+    return history.filter(n => filter(n) && (since == null || n.createdAt > since));
+  }
+
+  function json(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+    res.end(payload);
+  }
+
+  function openEventStream(req, res, filter, since) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const client = {
+      filter,
+      send(kind, payload) {
+        const id = kind === 'notification' ? `id: ${payload.id}\n` : '';
+        res.write(`event: ${kind}\n${id}data: ${JSON.stringify(payload)}\n\n`);
+      },
+      ping() { res.write(': ping\n\n'); },
+      close() { res.end(); }
+    };
+    if (since != null) for (const n of recent(filter, since)) client.send('notification', n);
+    clients.add(client);
+    req.on('close', () => clients.delete(client));
+  }
+
+  function openWebSocket(socket, filter, since) {
+    const client = {
+      filter,
+      send(kind, payload) {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ type: kind, [kind]: payload }));
+      },
+      ping() { socket.ping(); },
+      close() { socket.terminate(); }
+    };
+    if (since != null) for (const n of recent(filter, since)) client.send('notification', n);
+    clients.add(client);
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = url.searchParams;
+
+    if (!authorized(req, params)) return json(res, 401, { error: 'unauthorized' });
+    if (req.method !== 'GET') return json(res, 405, { error: 'method not allowed' });
+
+    let since;
+    try {
+      since = parseSince(params);
+    } catch (err) {
+      return json(res, 400, { error: err.message });
+    }
+    const filter = parseFilter(params);
+
+    switch (url.pathname) {
+      case '/status':
+        return json(res, 200, inbox.status());
+      case '/notifications': {
+        const limit = /^\d+$/.test(params.get('limit') || '') ? Number(params.get('limit')) : historySize;
+        return json(res, 200, { notifications: recent(filter, since).reverse().slice(0, limit) });
+      }
+      case '/events':
+        return openEventStream(req, res, filter, since);
+      default:
+        return json(res, 404, { error: 'not found' });
+    }
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    let since;
+    try {
+      since = parseSince(url.searchParams);
+    } catch (err) {
+      since = undefined;
+    }
+    const status = !authorized(req, url.searchParams) ? '401 Unauthorized'
+      : url.pathname !== '/ws' ? '404 Not Found'
+        : since === undefined ? '400 Bad Request'
+          : null;
+    if (status) {
+      socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => openWebSocket(ws, parseFilter(url.searchParams), since));
+  });
+
+  /**
+   * Start listening (loopback only unless `host` says otherwise)
+   *
+   * @returns {Promise<{ url: string, port: number, host: string }>}
+   */
+  function listen(port = 7777, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        inbox.on('notification', onNotification);
+        inbox.on('digest', onDigest);
+        heartbeat = setInterval(() => {
+          for (const client of clients) client.ping();
+        }, heartbeatMs);
+        const address = server.address();
+        resolve({ url: `http://${host}:${address.port}`, port: address.port, host });
+      });
+    });
+  }
+
+  /**
+   * Disconnect every client and stop listening (the inbox keeps running)
+   */
+  function close() {
+    clearInterval(heartbeat);
+    heartbeat = null;
+    inbox.off('notification', onNotification);
+    inbox.off('digest', onDigest);
+    for (const client of clients) client.close();
+    clients.clear();
+    if (server.closeAllConnections) server.closeAllConnections();
+    return new Promise(resolve => wss.close(() => server.close(() => resolve())));
+  }
+
+  return { listen, close, clients: () => clients.size, server };
+}
+
+module.exports = { createServer };
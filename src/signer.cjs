@@ -0,0 +1,88 @@
+'use strict';
+
+const { getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+const nip04 = require('nostr-tools/nip04');
+const nip44 = require('nostr-tools/nip44');
+
+/**
+ * Detect which encryption scheme a DM payload uses
+ *
+ * NIP-04 payloads are `<base64>?iv=<base64>`; everything else is
+ * treated as NIP-44.
+ *
+ * @param {string} ciphertext
+ * @returns {'nip04'|'nip44'}
+ */
+function detectScheme(ciphertext) {
+  return typeof ciphertext === 'string' && ciphertext.includes('?iv=') ? 'nip04' : 'nip44';
+}
+
+function toSecretBytes(secretKey) {
+  if (secretKey instanceof Uint8Array) return secretKey;
+  if (typeof secretKey === 'string' && /^[0-9a-f]{64}$/i.test(secretKey)) {
+    return Uint8Array.from(Buffer.from(secretKey, 'hex'));
+  }
+  throw new Error('secretKey must be a 64-char hex string or Uint8Array');
+}
+
+/**
+ * Create a local signer from a secret key
+ *
+ * The returned object has the same shape as a pluggable `signer` option:
+ * `decrypt(pubkey, ciphertext, scheme)`, `encrypt(pubkey, plaintext, scheme)`
+ * and `signEvent(template)`.
+ *
+ * @param {string|Uint8Array} secretKey - Hex or raw secret key
+ */
+function createSigner(secretKey) {
+  const sk = toSecretBytes(secretKey);
+  const pubkey = getPublicKey(sk);
+  const conversationKeys = new Map(); // NIP-44 keys per peer
+
+  function conversationKey(peer) {
+    let key = conversationKeys.get(peer);
+    if (!key) {
+      key = nip44.getConversationKey(sk, peer);
+      conversationKeys.set(peer, key);
+    }
+    return key;
+  }
+
+  return {
+    pubkey,
+
+    async getPublicKey() {
+      return pubkey;
+    },
+
+    async signEvent(template) {
+      return finalizeEvent(template, sk);
+    },
+
+    async decrypt(peer, ciphertext, scheme = detectScheme(ciphertext)) {
+      if (scheme === 'nip04') return nip04.decrypt(sk, peer, ciphertext);
+      return nip44.decrypt(ciphertext, conversationKey(peer));
+    },
+
+    async encrypt(peer, plaintext, scheme = 'nip44') {
+      if (scheme === 'nip04') return nip04.encrypt(sk, peer, plaintext);
+      return nip44.encrypt(plaintext, conversationKey(peer));
+    }
+  };
+}
+
+/**
+ * Pick the signer to use from inbox/poll options
+ *
+ * @param {Object} opts
+ * @param {string|Uint8Array} [opts.secretKey] - Build a local signer from this key
+ * @param {Object} [opts.signer] - Pluggable signer (takes precedence)
+ * @returns {Object|null}
+ */
+function resolveSigner({ secretKey = null, signer = null } = {}) {
+  if (signer) return signer;
+  if (secretKey) return createSigner(secretKey);
+  return null;
+}
+
+module.exports = { detectScheme, createSigner, resolveSigner };
@@ -0,0 +1,254 @@
+'use strict';
+
+const { KINDS } = require('./filters.cjs');
+const { detectScheme } = require('./signer.cjs');
+const { queryRelays, latestEvent } = require('./query.cjs');
+
+const HEX_PUBKEY = /^[0-9a-f]{64}$/;
+
+// Authors per kind 3 query when loading follows-of-follows
+const AUTHORS_PER_QUERY = 250;
+
+// Channel (as in `channels` / `maxDistance`) each notification type belongs to
+const CHANNEL_BY_TYPE = {
+  mention: 'mentions',
+  reply: 'mentions',
+  quote: 'mentions',
+  thread_participation: 'mentions',
+  repost: 'reposts',
+  dm: 'dms',
+  dvm_request: 'dvmRequests',
+  dvm_result: 'dvmResults',
+  dvm_feedback: 'dvmResults',
+  zap: 'zaps',
+  reaction: 'reactions',
+  trust: 'trust',
+  trust_network: 'trust',
+  marketplace_task: 'marketplace',
+  marketplace_bid: 'marketplace',
+  marketplace_delivery: 'marketplace',
+  marketplace_resolution: 'marketplace',
+  agent_service: 'agents'
+};
+
+/**
+ * Pubkeys followed in a contact list (kind 3)
+ *
+ * @returns {string[]}
+ */
+function parseContactList(event) {
+  const tags = (event && event.tags) || [];
+  return Array.from(new Set(tags.filter(t => t[0] === 'p' && HEX_PUBKEY.test(t[1] || '')).map(t => t[1])));
+}
+
+function collectMutes(tags, into) {
+  for (const [name, value] of tags) {
+    if (typeof value !== 'string' || !value) continue;
+    if (name === 'p' && HEX_PUBKEY.test(value)) into.pubkeys.push(value);
+    else if (name === 'word') into.words.push(value.toLowerCase());
+    else if (name === 't') into.hashtags.push(value.toLowerCase());
+    else if (name === 'e') into.threads.push(value);
+  }
+  return into;
+}
+
+/**
+ * Parse a NIP-51 mute list (kind 10000)
+ *
+ * Public items are tags; private items are a JSON tag array encrypted to
+ * ourselves in `content`, read when a signer that can decrypt is given.
+ * Undecryptable private items are skipped, not fatal.
+ *
+ * @param {Object} event - Kind 10000 event
+ * @param {Object} [signer] - Anything with `decrypt(pubkey, ciphertext, scheme)`
+ * @returns {Promise<{ pubkeys: string[], words: string[], hashtags: string[], threads: string[] }>}
+ */
+async function parseMuteList(event, signer = null) {
+  const mutes = collectMutes((event && event.tags) || [], { pubkeys: [], words: [], hashtags: [], threads: [] });
+
+  if (event && event.content && signer && typeof signer.decrypt === 'function') {
+    try {
+      const plaintext = await signer.decrypt(event.pubkey, event.content, detectScheme(event.content));
+      const tags = JSON.parse(plaintext);
+      if (Array.isArray(tags)) collectMutes(tags.filter(Array.isArray), mutes);
+    } catch (e) {
+      // Private items unavailable — public ones still apply
+    }
+  }
+
+  return mutes;
+}
+
+/**
+ * Why a notification is muted, or null
+ */
+function muteReason(notification, mutes) {
+  const raw = notification.raw || {};
+  if (mutes.pubkeys.has(notification.from) || mutes.pubkeys.has(raw.pubkey)) return 'muted pubkey';
+
+  const tags = notification.tags || [];
+  if (tags.some(t => t[0] === 't' && mutes.hashtags.has(String(t[1]).toLowerCase()))) return 'muted hashtag';
+  if (tags.some(t => t[0] === 'e' && mutes.threads.has(t[1]))) return 'muted thread';
+
+  const text = String(typeof notification.plaintext === 'string' ? notification.plaintext : (notification.content || '')).toLowerCase();
+  const word = mutes.words.find(w => text.includes(w));
+  if (word) return `muted word "${word}"`;
+
+  return null;
+}
+
+/**
+ * Mute list + follow graph for one pubkey
+ *
+ * Loads our kind 10000 / kind 3 (and our follows' kind 3s) from relays,
+ * keeps them current via `update(event)`, and decides per notification
+ * whether it is muted or outside the allowed social distance.
+ *
+ * @param {Object} opts
+ * @param {string} opts.pubkey - Your hex pubkey
+ * @param {Object} [opts.signer] - Used to read private mute list items
+ * @param {boolean} [opts.mute] - Honor the mute list (default: false)
+ * @param {boolean} [opts.follows] - Load follows and follows-of-follows to annotate `distance` (default: false)
+ * @param {number|Object} [opts.maxDistance] - Drop senders further away than this (1 = follows, 2 = follows-of-follows), for all channels or per channel;
+ *   until a contact list is loaded distance is unknown and every sender passes
+ * @param {Function} opts.relays - () => relay URLs to load lists from
+ * @param {number} [opts.timeoutMs] - Query timeout (default: 5000)
+ */
+function createSocialGraph({ pubkey, signer = null, mute = false, follows = false, maxDistance = null, relays, timeoutMs = 5000 }) {
+  const useFollows = follows || maxDistance != null;
+  const lists = { muteList: null, contactList: null };
+  let mutes = { pubkeys: new Set(), words: [], hashtags: new Set(), threads: new Set() };
+  let followSet = null;            // null until we have a contact list
+  let followsOfFollows = new Set();
+
+  if (maxDistance != null && typeof maxDistance !== 'number' && typeof maxDistance !== 'object') {
+    throw new Error('maxDistance must be a number or an object of channel -> number');
+  }
+
+  /**
+   * Our own list kinds to watch for changes
+   */
+  function kinds() {
+    return [...(mute ? [KINDS.MUTE_LIST] : []), ...(useFollows ? [KINDS.CONTACT_LIST] : [])];
+  }
+
+  /**
+   * Whether `event` is newer than the list of its kind we have
+   */
+  function isNewer(key, event) {
+    return !lists[key] || lists[key].created_at < event.created_at;
+  }
+
+  async function applyMuteList(event) {
+    const parsed = await parseMuteList(event, signer);
+    // A newer list may have been applied while we were decrypting
+    if (!isNewer('muteList', event)) return false;
+    lists.muteList = event;
+    mutes = {
+      pubkeys: new Set(parsed.pubkeys),
+      words: parsed.words,
+      hashtags: new Set(parsed.hashtags),
+      threads: new Set(parsed.threads)
+    };
+    return true;
+  }
+
+  async function applyContactList(event) {
+    const follows = new Set(parseContactList(event));
+    const authors = Array.from(follows);
+    const next = new Set();
+    for (let i = 0; i < authors.length; i += AUTHORS_PER_QUERY) {
+      const chunk = authors.slice(i, i + AUTHORS_PER_QUERY);
+      const events = await queryRelays(relays(), [{ kinds: [KINDS.CONTACT_LIST], authors: chunk }], { timeoutMs });
+      for (const author of chunk) {
+        for (const pk of parseContactList(latestEvent(events, KINDS.CONTACT_LIST, author))) next.add(pk);
+      }
+    }
+    // A newer list may have been applied while we were fetching
+    if (!isNewer('contactList', event)) return false;
+    lists.contactList = event;
+    followSet = follows;
+    followsOfFollows = next;
+    return true;
+  }
+
+  /**
+   * Initial load from relays
+   */
+  async function load() {
+    if (!kinds().length) return;
+    const events = await queryRelays(relays(), [{ kinds: kinds(), authors: [pubkey] }], { timeoutMs });
+    const muteList = mute ? latestEvent(events, KINDS.MUTE_LIST, pubkey) : null;
+    const contactList = useFollows ? latestEvent(events, KINDS.CONTACT_LIST, pubkey) : null;
+    if (muteList) await update(muteList);
+    if (contactList) await update(contactList);
+  }
+
+  /**
+   * Apply one of our own lists if it is newer than what we have
+   *
+   * @returns {Promise<boolean>} Whether anything changed
+   */
+  async function update(event) {
+    if (event.pubkey !== pubkey || !kinds().includes(event.kind)) return false;
+    const key = event.kind === KINDS.MUTE_LIST ? 'muteList' : 'contactList';
+    if (!isNewer(key, event)) return false;
+    return key === 'muteList' ? applyMuteList(event) : applyContactList(event);
+  }
+
+  /**
+   * Sender's distance from us: 0 self, 1 follow, 2 follow-of-follow, null further / unknown
+   */
+  function distance(pk) {
+    if (pk === pubkey) return 0;
+    if (!followSet) return null;
+    if (followSet.has(pk)) return 1;
+    if (followsOfFollows.has(pk)) return 2;
+    return null;
+  }
+
+  function limitFor(type) {
+    if (maxDistance == null) return null;
+    if (typeof maxDistance === 'number') return maxDistance;
+    const limit = maxDistance[CHANNEL_BY_TYPE[type]];
+    return typeof limit === 'number' ? limit : null;
+  }
+
+  /**
+   * Annotate a notification with `distance`, or say why it should be dropped
+   *
+   * @returns {string|null} Reason to suppress, or null to keep
+   */
+  function check(notification) {
+    if (mute) {
+      const reason = muteReason(notification, mutes);
+      if (reason) return reason;
+    }
+
+    if (useFollows && followSet) {
+      const d = distance(notification.from);
+      notification.distance = d;
+      const limit = limitFor(notification.type);
+      if (limit != null && (d == null || d > limit)) return `outside social distance ${limit}`;
+    }
+
+    return null;
+  }
+
+  function status() {
+    return {
+      muted: {
+        pubkeys: mutes.pubkeys.size,
+        words: mutes.words.length,
+        hashtags: mutes.hashtags.size,
+        threads: mutes.threads.size
+      },
+      follows: followSet ? followSet.size : null,
+      followsOfFollows: followsOfFollows.size
+    };
+  }
+
+  return { kinds, load, update, distance, check, status };
+}
+
+module.exports = { CHANNEL_BY_TYPE, parseContactList, parseMuteList, createSocialGraph };
@@ -0,0 +1,84 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * State stores persist the inbox cursor and recently seen event IDs so a
+ * restarted inbox (or the next poll) picks up exactly where it stopped.
+ *
+ * A store is any object with:
+ *   load(): Promise<Object|null>   — last saved state, or null if none
+ *   save(state): Promise<void>     — persist `{ cursor, seen, ... }`
+ */
+
+/**
+ * JSON file store
+ *
+ * Writes go to a temp file that is renamed into place, so a crash mid-write
+ * never leaves a truncated state file behind.
+ *
+ * @param {string} file - Path to the JSON state file
+ */
+function createFileStore(file) {
+  if (!file) throw new Error('file is required');
+  const resolved = path.resolve(file);
+  let writing = Promise.resolve();
+
+  async function load() {
+    let text;
+    try {
+      text = await fs.promises.readFile(resolved, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`state file ${resolved} is not valid JSON`);
+    }
+  }
+
+  function save(state) {
+    // Serialize writes so an older snapshot can't land after a newer one
+    writing = writing.catch(() => {}).then(async () => {
+      const tmp = `${resolved}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(resolved), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify({ ...state, updatedAt: Date.now() }, null, 2));
+      await fs.promises.rename(tmp, resolved);
+    });
+    return writing;
+  }
+
+  return { load, save, file: resolved };
+}
+
+/**
+ * In-memory store (for tests, or sharing state between inboxes in one process)
+ */
+function createMemoryStore(initial = null) {
+  let state = initial;
+  return {
+    async load() {
+      return state ? JSON.parse(JSON.stringify(state)) : null;
+    },
+    async save(next) {
+      state = JSON.parse(JSON.stringify(next));
+    }
+  };
+}
+
+/**
+ * Accept a store object or a file path
+ */
+function resolveStore(store) {
+  if (!store) return null;
+  if (typeof store === 'string') return createFileStore(store);
+  if (typeof store.load !== 'function' || typeof store.save !== 'function') {
+    throw new Error('store must have load() and save() methods');
+  }
+  return store;
+}
+
+module.exports = { createFileStore, createMemoryStore, resolveStore };
@@ -0,0 +1,112 @@
+'use strict';
+
+const nip19 = require('nostr-tools/nip19');
+const { KINDS } = require('./kinds.cjs');
+
+const MARKERS = ['root', 'reply', 'mention'];
+
+function eventPointer(tag, pubkey = null) {
+  return { id: tag[1], relay: tag[2] || null, pubkey: pubkey || null };
+}
+
+/**
+ * NIP-10 threading for kind 1 notes
+ *
+ * Marked `e` tags (`["e", id, relay, "root"|"reply", pubkey]`) win; notes
+ * that use the deprecated positional form are read as first = root,
+ * last = reply.
+ */
+function parseNip10(event) {
+  const eTags = event.tags.filter(t => t[0] === 'e' && t[1]);
+  const marked = eTags.filter(t => MARKERS.includes(t[3]));
+
+  let rootTag = null;
+  let replyTag = null;
+  if (marked.length) {
+    rootTag = marked.find(t => t[3] === 'root') || null;
+    replyTag = marked.find(t => t[3] === 'reply') || rootTag;
+  } else if (eTags.length) {
+    rootTag = eTags[0];
+    replyTag = eTags[eTags.length - 1];
+  }
+
+  const root = rootTag ? eventPointer(rootTag, rootTag[4]) : null;
+  let replyTo = replyTag ? eventPointer(replyTag, replyTag[4]) : null;
+  if (replyTo && root && replyTo.id === root.id) replyTo = root;
+
+  return { nip: 10, root, replyTo };
+}
+
+/**
+ * NIP-22 threading for kind 1111 comments
+ *
+ * Uppercase `E`/`A`/`I` + `K` + `P` tags point at the root scope, lowercase
+ * ones at the direct parent.
+ */
+function parseNip22(event) {
+  const pointer = (upper) => {
+    const find = (name) => event.tags.find(t => t[0] === (upper ? name.toUpperCase() : name) && t[1]);
+    const e = find('e');
+    const a = find('a');
+    const i = find('i');
+    const k = find('k');
+    const p = find('p');
+    if (!e && !a && !i) return null;
+
+    const kind = k && /^\d+$/.test(k[1]) ? Number(k[1]) : (k ? k[1] : null);
+    return {
+      id: e ? e[1] : null,
+      address: a ? a[1] : null,
+      external: i ? i[1] : null,
+      relay: (e && e[2]) || (a && a[2]) || null,
+      pubkey: (p && p[1]) || (e && e[3]) || null,
+      kind
+    };
+  };
+
+  return { nip: 22, root: pointer(true), replyTo: pointer(false) };
+}
+
+/**
+ * Where does a note or comment sit in its thread?
+ *
+ * @param {Object} event - Kind 1 or kind 1111 event
+ * @returns {{ nip: 10|22, root: Object|null, replyTo: Object|null }|null} null for other kinds
+ */
+function parseThread(event) {
+  if (event.kind === KINDS.TEXT_NOTE) return parseNip10(event);
+  if (event.kind === KINDS.COMMENT) return parseNip22(event);
+  return null;
+}
+
+/**
+ * Author of the event a note answers, as the reply pointer states it
+ *
+ * The p-tag order is no evidence: clients differ in where they put the
+ * replied-to author, so without a pubkey on the pointer this is unknown.
+ *
+ * @returns {string|null}
+ */
+function parentAuthor(event, thread = parseThread(event)) {
+  if (!thread || !thread.replyTo) return null;
+  return thread.replyTo.pubkey || null;
+}
+
+const NOSTR_URI = /nostr:((?:npub|nprofile)1[02-9ac-hj-np-z]+)/gi;
+
+/**
+ * Does the content reference a pubkey with a `nostr:npub…` / `nostr:nprofile…` URI?
+ */
+function referencesPubkey(content, pubkey) {
+  for (const [, bech32] of String(content || '').matchAll(NOSTR_URI)) {
+    try {
+      const { type, data } = nip19.decode(bech32.toLowerCase());
+      if ((type === 'npub' ? data : data.pubkey) === pubkey) return true;
+    } catch (e) {
+      // Not valid bech32 — ignore
+    }
+  }
+  return false;
+}
+
+module.exports = { parseThread, parentAuthor, referencesPubkey };
@@ -0,0 +1,185 @@
+'use strict';
+
+const { KINDS } = require('./kinds.cjs');
+const { queryRelays } = require('./query.cjs');
+
+const NAMESPACE = 'ai.wot';
+
+// Attestation types that count against the subject
+const NEGATIVE_TYPES = ['dispute', 'warning'];
+
+// Deletions remembered for attestations we haven't seen (yet)
+const MAX_DELETED = 5000;
+
+function parseNumber(value) {
+  if (value == null || !/^-?\d+(\.\d+)?$/.test(String(value).trim())) return null;
+  return Number(value);
+}
+
+/**
+ * Parse an ai.wot attestation (NIP-32 label, kind 1985)
+ *
+ * The type is the `l` value in the `ai.wot` namespace (`service-quality`,
+ * `identity-continuity`, `general-trust`, ...). Its value is the `score`
+ * tag, else the `weight` tag, else 1; `dispute` / `warning` attestations
+ * and negative values count against the subject.
+ *
+ * @param {Object} event - Kind 1985 event
+ * @returns {{ id: string, attester: string, subject: string|null, type: string, score: number,
+ *   negative: boolean, content: string, createdAt: number }|null} Null if it isn't an ai.wot attestation
+ */
+function parseAttestation(event) {
+  if (!event || event.kind !== KINDS.LABEL) return null;
+  const label = event.tags.find(t => t[0] === 'l' && t[1] && t[2] === NAMESPACE);
+  if (!label) return null;
+
+  const value = (name) => {
+    const tag = event.tags.find(t => t[0] === name && t[1] != null);
+    return tag ? parseNumber(tag[1]) : null;
+  };
+  const raw = value('score') != null ? value('score') : (value('weight') != null ? value('weight') : 1);
+  const negative = NEGATIVE_TYPES.includes(label[1]) || raw < 0;
+  const subject = event.tags.find(t => t[0] === 'p' && t[1]);
+
+  return {
+    id: event.id,
+    attester: event.pubkey,
+    subject: subject ? subject[1] : null,
+    type: label[1],
+    score: negative ? -Math.abs(raw) : raw,
+    negative,
+    content: event.content || '',
+    createdAt: event.created_at
+  };
+}
+
+/**
+ * Running trust score for one pubkey
+ *
+ * Only the newest attestation per attester and type counts, and kind 5
+ * deletions by the attester revoke it (an older one counts again). Events
+ * can arrive in any order.
+ *
+ * @param {Object} opts
+ * @param {string} opts.pubkey - Whose trust to follow
+ */
+function createTrustLedger({ pubkey }) {
+  const known = new Map();   // attestation id -> attestation
+  const deleted = new Map(); // attestation id -> pubkeys that deleted it
+  let updatedAt = null;
+
+  function isRevoked(attestation) {
+    const by = deleted.get(attestation.id);
+    return Boolean(by && by.has(attestation.attester));
+  }
+
+  function addAttestation(event) {
+    const attestation = parseAttestation(event);
+    if (!attestation || attestation.subject !== pubkey || known.has(attestation.id)) return false;
+    known.set(attestation.id, attestation);
+    return !isRevoked(attestation);
+  }
+
+  function addDeletion(event) {
+    let changed = false;
+    for (const tag of event.tags) {
+      if (tag[0] !== 'e' || !tag[1]) continue;
+      const by = deleted.get(tag[1]) || new Set();
+      if (by.has(event.pubkey)) continue;
+      deleted.set(tag[1], by.add(event.pubkey));
+      const attestation = known.get(tag[1]);
+      if (attestation && attestation.attester === event.pubkey) changed = true;
+    }
+    if (deleted.size > MAX_DELETED) {
+      const ids = Array.from(deleted.keys()).filter(id => !known.has(id));
+      for (let i = 0; i < ids.length && deleted.size > MAX_DELETED; i++) deleted.delete(ids[i]);
+    }
+    return changed;
+  }
+
+  /**
+   * Newest unrevoked attestation per attester and type
+   */
+  function active() {
+    const latest = new Map();
+    for (const attestation of known.values()) {
+      if (isRevoked(attestation)) continue;
+      const key = `${attestation.attester}:${attestation.type}`;
+      const current = latest.get(key);
+      if (!current || attestation.createdAt > current.createdAt) latest.set(key, attestation);
+    }
+    return Array.from(latest.values());
+  }
+
+  /**
+   * Apply an attestation or deletion; returns whether the score may have changed
+   */
+  function handle(event) {
+    const changed = event.kind === KINDS.DELETION ? addDeletion(event) : addAttestation(event);
+    if (changed) updatedAt = Math.max(updatedAt || 0, event.created_at);
+    return changed;
+  }
+
+  /**
+   * Aggregate over the attestations that still count
+   */
+  function summary() {
+    const counted = active();
+    const types = {};
+    for (const a of counted) {
+      const entry = types[a.type] || (types[a.type] = { count: 0, score: 0 });
+      entry.count++;
+      entry.score += a.score;
+    }
+    return {
+      pubkey,
+      score: counted.reduce((sum, a) => sum + a.score, 0),
+      attestations: counted.length,
+      positive: counted.filter(a => !a.negative).length,
+      negative: counted.filter(a => a.negative).length,
+      attesters: new Set(counted.map(a => a.attester)).size,
+      revoked: Array.from(known.values()).filter(isRevoked).length,
+      types,
+      updatedAt
+    };
+  }
+
+  /**
+   * Attesters whose attestations about us still count — whose deletions to
+   * watch (once all of theirs are revoked, nothing they delete matters)
+   */
+  function attesters() {
+    return Array.from(new Set(active().map(a => a.attester)));
+  }
+
+  return { handle, summary, attesters, attestations: active };
+}
+
+/**
+ * Fetch every ai.wot attestation about a pubkey, and the attesters'
+ * deletions of them, into a ledger
+ *
+ * @param {string} pubkey
+ * @param {string[]} relayUrls
+ * @param {Object} [opts]
+ * @param {Object} [opts.ledger] - Ledger to fill (default: a new one)
+ * @param {number} [opts.timeoutMs] - Per-relay timeout (default: 5000)
+ * @param {boolean} [opts.verify] - Check signatures (default: true)
+ * @returns {Promise<Object>} The ledger
+ */
+async function fetchTrust(pubkey, relayUrls, { ledger = createTrustLedger({ pubkey }), timeoutMs = 5000, verify = true } = {}) {
+  const labels = await queryRelays(relayUrls, [{ kinds: [KINDS.LABEL], '#p': [pubkey], '#L': [NAMESPACE] }], { timeoutMs, verify });
+  const found = labels.map(parseAttestation).filter(a => a && a.subject === pubkey);
+  for (const event of labels) ledger.handle(event);
+  if (found.length === 0) return ledger;
+
+  const deletions = await queryRelays(relayUrls, [{
+    kinds: [KINDS.DELETION],
+    authors: Array.from(new Set(found.map(a => a.attester))),
+    '#e': found.map(a => a.id)
+  }], { timeoutMs, verify });
+  for (const event of deletions) ledger.handle(event);
+  return ledger;
+}
+
+module.exports = { NAMESPACE, parseAttestation, createTrustLedger, fetchTrust };
@@ -0,0 +1,38 @@
+'use strict';
+
+const { getEventHash, verifyEvent } = require('nostr-tools/pure');
+
+const HEX64 = /^[0-9a-f]{64}$/;
+const HEX128 = /^[0-9a-f]{128}$/;
+
+/**
+ * Check that an event is well-formed, has the right id and a valid signature
+ *
+ * Relays are untrusted: without this a relay can hand us a "DVM request" or
+ * "marketplace bid" from any pubkey it likes.
+ *
+ * @param {Object} event - Raw event from a relay
+ * @returns {string|null} Rejection reason, or null if the event is valid
+ */
+function checkEvent(event) {
+  if (!event || typeof event !== 'object') return 'malformed: not an object';
+  if (typeof event.id !== 'string' || !HEX64.test(event.id)) return 'malformed: id';
+  if (typeof event.pubkey !== 'string' || !HEX64.test(event.pubkey)) return 'malformed: pubkey';
+  if (typeof event.sig !== 'string' || !HEX128.test(event.sig)) return 'malformed: sig';
+  if (!Number.isInteger(event.kind) || event.kind < 0) return 'malformed: kind';
+  if (!Number.isInteger(event.created_at) || event.created_at < 0) return 'malformed: created_at';
+  if (typeof event.content !== 'string') return 'malformed: content';
+  if (!Array.isArray(event.tags) || !event.tags.every(t => Array.isArray(t) && t.every(v => typeof v === 'string'))) {
+    return 'malformed: tags';
+  }
+
+  if (getEventHash(event) !== event.id) return 'invalid id';
+  if (!verifyEvent(event)) return 'invalid signature';
+
+  return null;
+}
+
+// Passed to nostr-tools so every event reaches us and we decide (and report)
+const acceptAll = () => true;
+
+module.exports = { checkEvent, acceptAll };
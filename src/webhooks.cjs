@@ -10,7 +10,7 @@ const { URL } = require('url');
  * @param {Object} opts
  * @param {string} opts.url - Webhook endpoint URL
  * @param {string} [opts.secret] - HMAC secret for signing payloads
- * @param {string[]} [opts.events] - Event types to send (default: all)
+ * @param {string[]} [opts.events] - Event types to send, `'digest'` for digests (default: all)
  * @param {boolean} [opts.urgentOnly] - Only send urgent notifications
  * @param {number} [opts.batchMs] - Batch notifications for this many ms (0 = immediate)
  * @param {number} [opts.maxBatchSize] - Max notifications per batch
@@ -188,6 +188,25 @@ function createWebhook(opts) {
     }
   }
 
+  /**
+   * Send a digest (from an inbox with `digest` on) right away
+   */
+  async function sendDigest(digest) {
+    if (events && !events.includes('digest')) return;
+
+    const payload = {
+      event: 'digest',
+      timestamp: Date.now(),
+      digest
+    };
+
+    try {
+      await sendRequest(payload);
+    } catch (e) {
+      // Error already handled
+    }
+  }
+
   /**
    * Create handler function for inbox events
    */
@@ -195,6 +214,10 @@ function createWebhook(opts) {
     send(notification).catch(() => {});
   }
 
+  function digestHandler(digest) {
+    sendDigest(digest).catch(() => {});
+  }
+
   /**
    * Flush any pending batch and clean up
    */
@@ -210,17 +233,20 @@ function createWebhook(opts) {
 
   return {
     send,
+    sendDigest,
     handler,
     close,
     
     // For direct integration with createInbox
     attach(inbox) {
       inbox.on('notification', handler);
+      inbox.on('digest', digestHandler);
       return this;
     },
 
     detach(inbox) {
       inbox.off('notification', handler);
+      inbox.off('digest', digestHandler);
       return this;
     }
   };
@@ -0,0 +1,171 @@
+'use strict';
+
+const { jobFeedbackTemplate, jobResultTemplate } = require('./dvm.cjs');
+
+function errorMessage(err) {
+  return err && err.message ? err.message : String(err);
+}
+
+/**
+ * What a handler returned → result content and options
+ *
+ * Handlers return a string, or `{ content, amountMsats, bolt11, tags }`;
+ * anything else is sent as JSON.
+ */
+function normalizeOutput(output) {
+  if (typeof output === 'string') return { content: output };
+  if (output && typeof output === 'object' && 'content' in output) {
+    const { content, amountMsats = null, bolt11 = null, tags = [] } = output;
+    return { content: typeof content === 'string' ? content : JSON.stringify(content), amountMsats, bolt11, tags };
+  }
+  return { content: output === undefined ? '' : JSON.stringify(output) };
+}
+
+/**
+ * Run NIP-90 jobs addressed to us through registered handlers
+ *
+ * Each registration has its own FIFO queue and concurrency limit. A job
+ * gets `processing` feedback, then its handler runs (retried on failure),
+ * then the kind + 1000 result is published; if the handler keeps failing,
+ * `error` feedback is sent instead. Results of encrypted jobs are
+ * encrypted back to the customer (NIP-04).
+ *
+ * @param {Object} opts
+ * @param {Object} opts.signer - Signs (and for encrypted jobs encrypts) feedback and results
+ * @param {Function} opts.publish - `(event, relays) => Promise`, publishes to our relays plus the job's `relays`
+ * @param {Function} opts.emit - `(name, info)` for `job_completed` / `job_failed`
+ */
+function createJobWorker({ signer, publish, emit }) {
+  const workers = new Map(); // request kind -> worker
+
+  async function send(template, job) {
+    const event = await signer.signEvent(template);
+    await publish(event, job.relays);
+    return event;
+  }
+
+  /**
+   * Start handling jobs of one or more request kinds
+   *
+   * @param {number|number[]} kinds - Request kinds (5000-5999)
+   * @param {Function} handler - `async (job, notification, ctx)` → result; `ctx.feedback(status, opts)` sends extra feedback
+   * @param {Object} [opts]
+   * @param {number} [opts.concurrency] - Jobs run at once (default: 1)
+   * @param {number} [opts.retries] - Extra attempts after the handler throws (default: 0)
+   * @param {number} [opts.retryDelayMs] - Pause between attempts (default: 1000)
+   * @param {boolean} [opts.feedback] - Send `processing` feedback when a job starts (default: true)
+   * @returns {Function} Unregister
+   */
+  function register(kinds, handler, { concurrency = 1, retries = 0, retryDelayMs = 1000, feedback = true } = {}) {
+    if (!signer || typeof signer.signEvent !== 'function') {
+      throw new Error('handleJobs needs a secretKey or a signer with signEvent');
+    }
+    if (typeof handler !== 'function') throw new Error('handleJobs needs a handler function');
+    if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('concurrency must be a positive integer');
+    if (!Number.isInteger(retries) || retries < 0) throw new Error('retries must be a non-negative integer');
+
+    const list = [].concat(kinds);
+    for (const kind of list) {
+      if (!Number.isInteger(kind) || kind < 5000 || kind > 5999) {
+        throw new Error(`invalid job kind ${kind} (expected 5000-5999)`);
+      }
+    }
+
+    const worker = { handler, concurrency, retries, retryDelayMs, feedback, queue: [], active: 0 };
+    for (const kind of list) workers.set(kind, worker);
+
+    return () => {
+      for (const kind of list) {
+        if (workers.get(kind) === worker) workers.delete(kind);
+      }
+      worker.queue.length = 0;
+    };
+  }
+
+  /**
+   * Queue a notification if a handler takes it; returns whether it did
+   */
+  function handle(notification) {
+    // `job` is attached by the pipeline before rules can rename the type
+    if (!notification.job) return false;
+    const worker = workers.get(notification.kind);
+    if (!worker || !notification.job.forMe) return false;
+
+    if (notification.decryptError) {
+      emit('job_failed', {
+        id: notification.id, kind: notification.kind, from: notification.from, attempts: 0,
+        error: `could not decrypt job: ${notification.decryptError.error}`
+      });
+      return true;
+    }
+
+    worker.queue.push(notification);
+    pump(worker);
+    return true;
+  }
+
+  function pump(worker) {
+    while (worker.active < worker.concurrency && worker.queue.length > 0) {
+      const notification = worker.queue.shift();
+      worker.active++;
+      run(worker, notification).finally(() => {
+        worker.active--;
+        pump(worker);
+      });
+    }
+  }
+
+  async function run(worker, notification) {
+    const request = notification.raw;
+    const { job } = notification;
+    const info = { id: notification.id, kind: notification.kind, from: notification.from };
+    const ctx = {
+      attempt: 0,
+      feedback: (status, opts) => send(jobFeedbackTemplate(request, status, opts), job)
+    };
+
+    try {
+      if (worker.feedback) {
+        // Best effort — a relay hiccup here shouldn't cost the job
+        await ctx.feedback('processing').catch(() => {});
+      }
+
+      let output;
+      for (;;) {
+        ctx.attempt++;
+        try {
+          output = await worker.handler(job, notification, ctx);
+          break;
+        } catch (err) {
+          if (ctx.attempt > worker.retries) throw err;
+          await new Promise(resolve => setTimeout(resolve, worker.retryDelayMs));
+        }
+      }
+
+      const { content, ...opts } = normalizeOutput(output);
+      let payload = content;
+      if (job.encrypted) {
+        if (typeof signer.encrypt !== 'function') throw new Error('encrypted job needs a signer with encrypt');
+        payload = await signer.encrypt(request.pubkey, content, 'nip04');
+      }
+      const result = await send(jobResultTemplate(request, payload, { ...opts, encrypted: job.encrypted }), job);
+      emit('job_completed', { ...info, attempts: ctx.attempt, result });
+    } catch (err) {
+      await ctx.feedback('error', { info: errorMessage(err) }).catch(() => {});
+      emit('job_failed', { ...info, attempts: ctx.attempt, error: errorMessage(err) });
+    }
+  }
+
+  /**
+   * Queued / running jobs per request kind
+   */
+  function status() {
+    const result = {};
+    for (const [kind, worker] of workers) result[kind] = { queued: worker.queue.length, active: worker.active };
+    return result;
+  }
+
+  return { register, handle, status };
+}
+
+module.exports = { createJobWorker };
@@ -0,0 +1,139 @@
+'use strict';
+
+const crypto = require('crypto');
+const { KINDS } = require('./filters.cjs');
+const { decodeBolt11 } = require('./bolt11.cjs');
+const { checkEvent } = require('./verify.cjs');
+
+function tagValue(tags, name) {
+  const tag = (tags || []).find(t => t[0] === name);
+  return tag ? tag[1] : null;
+}
+
+/**
+ * Work out which LNURL provider pubkeys may sign receipts for a recipient
+ *
+ * @param {string[]|Function|null} zapProviders - Allowed pubkeys, or
+ *   `async (recipientPubkey) => pubkey | pubkey[] | null` (e.g. an LNURL lookup)
+ * @returns {Promise<string[]|null>} null when there's nothing to check the signer against
+ */
+async function resolveProviders(zapProviders, recipient) {
+  if (!zapProviders) return null;
+  if (Array.isArray(zapProviders)) return zapProviders;
+  const resolved = await zapProviders(recipient);
+  if (!resolved) return null;
+  return Array.isArray(resolved) ? resolved : [resolved];
+}
+
+/**
+ * Parse and validate a zap receipt (kind 9735)
+ *
+ * Runs the NIP-57 Appendix F checks: the embedded zap request is a valid,
+ * signed kind 9734 for the same recipient; the invoice's description hash
+ * is the hash of that request; the invoice amount matches the request's
+ * `amount` tag; and, when `zapProviders` names them, the receipt is signed
+ * by the recipient's LNURL provider. Anyone can self-sign a receipt that
+ * passes the other checks, so without `zapProviders` a well-formed receipt
+ * is valid but `providerChecked` is false. (The invoice signature isn't
+ * checked: it only names the node that issued the invoice, which a forger
+ * can be too.)
+ *
+ * @param {Object} event - Raw kind 9735 event
+ * @param {Object} [opts]
+ * @param {string[]|Function} [opts.zapProviders] - Expected provider pubkeys (see resolveProviders)
+ * @returns {Promise<Object>} `{ zap, errors }` — `errors` is empty for a valid receipt
+ */
+async function parseZapReceipt(event, { zapProviders = null } = {}) {
+  const errors = [];
+  const recipient = tagValue(event.tags, 'p');
+  const bolt11 = tagValue(event.tags, 'bolt11');
+  const description = tagValue(event.tags, 'description');
+
+  const zap = {
+    amountMsats: null,
+    amountSats: null,
+    sender: null,
+    recipient,
+    comment: '',
+    eventId: tagValue(event.tags, 'e'),
+    address: tagValue(event.tags, 'a'),
+    provider: event.pubkey,
+    bolt11,
+    preimage: tagValue(event.tags, 'preimage'),
+    request: null,
+    providerChecked: false
+  };
+
+  // Invoice
+  let invoice = null;
+  if (!bolt11) {
+    errors.push('missing bolt11 tag');
+  } else {
+    try {
+      invoice = decodeBolt11(bolt11);
+      if (invoice.amountMsats === null) errors.push('invoice has no amount');
+      zap.amountMsats = invoice.amountMsats;
+      zap.amountSats = invoice.amountMsats === null ? null : Math.floor(invoice.amountMsats / 1000);
+    } catch (err) {
+      errors.push(`invalid bolt11: ${err.message}`);
+    }
+  }
+
+  // Embedded zap request
+  let request = null;
+  if (!description) {
+    errors.push('missing description tag');
+  } else {
+    try {
+      request = JSON.parse(description);
+    } catch (e) {
+      errors.push('description is not a zap request');
+    }
+  }
+
+  if (request) {
+    zap.request = request;
+    zap.sender = typeof request.pubkey === 'string' ? request.pubkey : null;
+    zap.comment = typeof request.content === 'string' ? request.content : '';
+    if (!zap.eventId) zap.eventId = tagValue(request.tags, 'e');
+    if (!zap.address) zap.address = tagValue(request.tags, 'a');
+
+    if (request.kind !== KINDS.ZAP_REQUEST) {
+      errors.push('description is not a kind 9734 zap request');
+    } else {
+      const reason = checkEvent(request);
+      if (reason) errors.push(`zap request ${reason}`);
+
+      const requestRecipients = (request.tags || []).filter(t => t[0] === 'p');
+      if (requestRecipients.length !== 1 || requestRecipients[0][1] !== recipient) {
+        errors.push('zap request recipient does not match receipt');
+      }
+
+      const requestAmount = tagValue(request.tags, 'amount');
+      if (requestAmount && invoice && invoice.amountMsats !== null &&
+          Number(requestAmount) !== invoice.amountMsats) {
+        errors.push('invoice amount does not match zap request');
+      }
+    }
+
+    if (invoice) {
+      const hash = crypto.createHash('sha256').update(description, 'utf8').digest('hex');
+      if (invoice.descriptionHash !== hash) errors.push('description hash does not match invoice');
+    }
+  }
+
+  // Receipt signer
+  try {
+    const providers = await resolveProviders(zapProviders, recipient);
+    if (providers) {
+      zap.providerChecked = true;
+      if (!providers.includes(event.pubkey)) errors.push('receipt not signed by the recipient\'s LNURL provider');
+    }
+  } catch (err) {
+    errors.push(`could not resolve LNURL provider: ${err.message}`);
+  }
+
+  return { zap, errors };
+}
+
+module.exports = { parseZapReceipt };
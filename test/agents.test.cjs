@@ -0,0 +1,144 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, buildFilters, classifyEvent, parseAgentService, KINDS } = require('../src/index.cjs');
+const { matchesAgent, createAgentDirectory } = require('../src/agents.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const myPk = getPublicKey(generateSecretKey());
+const agentSk = generateSecretKey();
+const agentPk = getPublicKey(agentSk);
+
+const NO_DEFAULTS = {
+  mentions: false, dms: false, dvmRequests: false, dvmResults: false,
+  zaps: false, reactions: false, trust: false, marketplace: false
+};
+
+let clock = Math.floor(Date.now() / 1000) - 100;
+
+function announce(tags, content = '', sk = agentSk) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind: KINDS.AGENT_SERVICE, created_at: clock++, content,
+    tags: tags.some(t => t[0] === 'd') ? tags : [['d', 'translator'], ...tags]
+  }, sk)));
+}
+
+const translator = (price = '50') => announce([
+  ['name', 'Babel'], ['c', 'translation'], ['k', '5002'], ['price', price, 'sats', 'request']
+]);
+
+describe('parseAgentService', () => {
+  it('parses capabilities, kinds and prices from tags', () => {
+    const event = translator();
+    assert.deepEqual(parseAgentService(event), {
+      id: `38990:${agentPk}:translator`, pubkey: agentPk, name: 'Babel', about: null,
+      capabilities: ['translation'], kinds: [5002],
+      prices: [{ amount: 50, unit: 'sats', per: 'request', sats: 50 }],
+      lud16: null, status: null, createdAt: event.created_at
+    });
+  });
+
+  it('falls back to JSON content', () => {
+    const agent = parseAgentService(announce([], JSON.stringify({
+      name: 'Summarizer', capabilities: ['summarization'], price: { amount: 2000, unit: 'msats' }
+    })));
+    assert.equal(agent.name, 'Summarizer');
+    assert.deepEqual(agent.capabilities, ['summarization']);
+    assert.equal(agent.prices[0].sats, 2);
+  });
+});
+
+describe('agents channel', () => {
+  it('is opt-in and filters by capability or kind', () => {
+    assert.ok(!buildFilters(myPk).some(f => f.kinds.includes(KINDS.AGENT_SERVICE)));
+    assert.deepEqual(buildFilters(myPk, { ...NO_DEFAULTS, agents: true }, 100), [{ kinds: [KINDS.AGENT_SERVICE], since: 100 }]);
+    assert.deepEqual(buildFilters(myPk, { ...NO_DEFAULTS, agents: { capabilities: ['translation'], kinds: [5002] } }), [
+      { kinds: [KINDS.AGENT_SERVICE], '#c': ['translation'] },
+      { kinds: [KINDS.AGENT_SERVICE], '#k': ['5002'] }
+    ]);
+    assert.deepEqual(classifyEvent(translator(), myPk), { type: 'agent_service', priority: 'low' });
+  });
+
+  it('matches price ranges locally', () => {
+    const agent = parseAgentService(translator('50'));
+    assert.equal(matchesAgent(agent, { maxPriceSats: 100 }), true);
+    assert.equal(matchesAgent(agent, { minPriceSats: 60 }), false);
+    assert.equal(matchesAgent(agent, { capabilities: ['image-generation'] }), false);
+    const usd = parseAgentService(announce([['price', '0.05', 'usd']]));
+    assert.equal(matchesAgent(usd, true), true);
+    assert.equal(matchesAgent(usd, { maxPriceSats: 100 }), false);
+  });
+});
+
+describe('createAgentDirectory', () => {
+  it('reports new and updated announcements, ignores older versions', () => {
+    const directory = createAgentDirectory({ criteria: { maxPriceSats: 100 } });
+    const first = translator('50');
+    const second = translator('80');
+    assert.equal(directory.handle(first).updated, false);
+    assert.equal(directory.handle(second).updated, true);
+    assert.equal(directory.handle(first), null);
+    assert.deepEqual(directory.list().map(a => a.prices[0].sats), [80]);
+
+    // Priced out of range: dropped from the directory
+    assert.equal(directory.handle(translator('500')), null);
+    assert.equal(directory.size(), 0);
+    assert.equal(directory.handle(second), null);
+  });
+
+  it('keeps at most 1000 announcements, dropping the least recently announced', () => {
+    const directory = createAgentDirectory();
+    const spam = (d, createdAt) => ({
+      kind: KINDS.AGENT_SERVICE, pubkey: agentPk, created_at: createdAt, content: '', tags: [['d', d], ['name', d]]
+    });
+    directory.handle(spam('keeper', 1));
+    for (let i = 0; i < 1100; i++) {
+      directory.handle(spam(`spam-${i}`, 2));
+      if (i === 500) directory.handle(spam('keeper', 3)); // announced again: recently seen
+    }
+    assert.equal(directory.size(), 1000);
+    assert.ok(directory.list().some(a => a.name === 'keeper'));
+    assert.ok(!directory.list().some(a => a.name === 'spam-0'));
+  });
+
+  it('answers queries', () => {
+    const directory = createAgentDirectory();
+    directory.handle(translator());
+    directory.handle(announce([['d', 'art'], ['c', 'image-generation'], ['price', '1000', 'sats']]));
+    assert.equal(directory.list().length, 2);
+    assert.deepEqual(directory.list({ capability: 'translation' }).map(a => a.name), ['Babel']);
+    assert.deepEqual(directory.list({ kind: 5002, maxPriceSats: 100 }).map(a => a.name), ['Babel']);
+    assert.deepEqual(directory.list({ maxPriceSats: 10 }), []);
+  });
+});
+
+describe('inbox agents', () => {
+  it('fills the directory from history and notifies about new announcements', async () => {
+    const relay = await startMockRelay();
+    relay.publish(announce([['d', 'old'], ['name', 'Veteran'], ['c', 'translation']]));
+    const since = clock;
+    const inbox = createInbox({
+      pubkey: myPk, relays: [relay.url], since, channels: { ...NO_DEFAULTS, agents: { capabilities: ['translation'] } }
+    });
+    const seen = [];
+    inbox.on('agent_service', (n) => seen.push([n.agent.name, n.agent.updated]));
+    try {
+      await inbox.start();
+      assert.deepEqual(inbox.agents().map(a => a.name), ['Veteran']);
+
+      relay.publish(translator());
+      relay.publish(announce([['d', 'art'], ['c', 'image-generation']]));
+      relay.publish(announce([['name', 'Babel 2'], ['c', 'translation']]));
+      await waitUntil(() => seen.length === 2);
+      assert.deepEqual(seen, [['Babel', false], ['Babel 2', true]]);
+      assert.deepEqual(inbox.agents({ capability: 'translation' }).map(a => a.name), ['Babel 2', 'Veteran']);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, poll } = require('../src/index.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const senderSk = generateSecretKey();
+
+function dm(content) {
+  return finalizeEvent({
+    kind: 4,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', myPk]],
+    content
+  }, senderSk);
+}
+
+const DMS_ONLY = {
+  mentions: false, dms: true, dvmRequests: false, dvmResults: false,
+  zaps: false, reactions: false, trust: false, marketplace: false
+};
+
+/**
+ * A relay that refuses REQs with `auth-required` and only sends its
+ * challenge a little later
+ */
+function startLateChallengeRelay() {
+  return startMockRelay({
+    onMessage(msg, socket, send) {
+      if (msg[0] !== 'REQ' || socket.authed) return false;
+      send(socket, ['CLOSED', msg[1], 'auth-required: we only serve DMs to their recipient']);
+      if (!socket.challenged) {
+        socket.challenged = true;
+        setTimeout(() => send(socket, ['AUTH', socket.challenge]), 100);
+      }
+      return true;
+    }
+  });
+}
+
+describe('NIP-42 AUTH', () => {
+  it('answers the challenge and resubscribes', async () => {
+    const relay = await startMockRelay({ requireAuth: true });
+    relay.publish(dm('abc?iv=def'));
+
+    const inbox = createInbox({ pubkey: myPk, relays: [relay.url], channels: DMS_ONLY, secretKey: mySk, since: 1 });
+    const received = [];
+    const authenticated = [];
+    inbox.on('dm', (n) => received.push(n));
+    inbox.on('authenticated', (info) => authenticated.push(info));
+
+    try {
+      await inbox.start();
+      await waitUntil(() => received.length === 1);
+
+      assert.deepEqual(authenticated, [{ relay: relay.url }]);
+      assert.equal(inbox.status().relays.states[relay.url].auth, 'authenticated');
+      assert.equal([...relay.sockets][0].authed, myPk);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('resubscribes when the challenge comes after the CLOSED', async () => {
+    const relay = await startLateChallengeRelay();
+    relay.publish(dm('abc?iv=def'));
+
+    const inbox = createInbox({ pubkey: myPk, relays: [relay.url], channels: DMS_ONLY, secretKey: mySk, since: 1 });
+    const received = [];
+    const errors = [];
+    inbox.on('dm', (n) => received.push(n));
+    inbox.on('error', (e) => errors.push(e));
+
+    try {
+      await inbox.start();
+      await waitUntil(() => received.length === 1);
+
+      assert.equal(inbox.status().relays.states[relay.url].auth, 'authenticated');
+      assert.deepEqual(errors, []);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('reports auth-required as a relay error without a signer', async () => {
+    const relay = await startMockRelay({ requireAuth: true });
+    const inbox = createInbox({ pubkey: myPk, relays: [relay.url], channels: DMS_ONLY });
+    const errors = [];
+    inbox.on('error', (e) => errors.push(e));
+
+    try {
+      await inbox.start();
+      await waitUntil(() => errors.length === 1);
+
+      assert.equal(errors[0].relay, relay.url);
+      assert.match(errors[0].error, /^auth-required:/);
+      const state = inbox.status().relays.states[relay.url];
+      assert.equal(state.auth, 'required');
+      assert.match(state.lastError, /NIP-42/);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('authenticates during poll', async () => {
+    const relay = await startMockRelay({ requireAuth: true });
+    relay.publish(dm('abc?iv=def'));
+
+    try {
+      const withKey = await poll({ pubkey: myPk, relays: [relay.url], channels: DMS_ONLY, secretKey: mySk, since: 1, timeoutMs: 2000 });
+      assert.equal(withKey.total, 1);
+      assert.deepEqual(withKey.relayErrors, []);
+
+      const withoutKey = await poll({ pubkey: myPk, relays: [relay.url], channels: DMS_ONLY, since: 1, timeoutMs: 2000 });
+      assert.equal(withoutKey.total, 0);
+      assert.equal(withoutKey.relayErrors.length, 1);
+      assert.match(withoutKey.relayErrors[0].error, /auth-required/);
+    } finally {
+      await relay.close();
+    }
+  });
+
+  it('waits for a late challenge during poll', async () => {
+    const relay = await startLateChallengeRelay();
+    relay.publish(dm('abc?iv=def'));
+
+    try {
+      const result = await poll({ pubkey: myPk, relays: [relay.url], channels: DMS_ONLY, secretKey: mySk, since: 1, timeoutMs: 2000 });
+      assert.equal(result.total, 1);
+      assert.deepEqual(result.relayErrors, []);
+    } finally {
+      await relay.close();
+    }
+  });
+});
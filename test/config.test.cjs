@@ -0,0 +1,147 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { generateSecretKey, getPublicKey } = require('nostr-tools/pure');
+const nip19 = require('nostr-tools/nip19');
+
+const {
+  defaultConfigPath, loadConfig, validateConfig, resolveProfile, normalizePubkey
+} = require('../src/index.cjs');
+
+const pk = getPublicKey(generateSecretKey());
+const npub = nip19.npubEncode(pk);
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'nostr-inbox-config-'));
+}
+
+describe('loadConfig', () => {
+  it('returns null for a missing optional file and throws otherwise', () => {
+    const dir = tmpDir();
+    const file = path.join(dir, 'config.json');
+    assert.equal(loadConfig(file), null);
+    assert.throws(() => loadConfig(file, { required: true }), /cannot read config file/);
+
+    fs.writeFileSync(file, '{ "profiles": ');
+    assert.throws(() => loadConfig(file), /not valid JSON/);
+    fs.writeFileSync(file, JSON.stringify({ profiles: { main: { pubkey: npub } } }));
+    assert.deepEqual(loadConfig(file), { profiles: { main: { pubkey: npub } } });
+  });
+
+  it('looks under XDG_CONFIG_HOME first', () => {
+    assert.equal(defaultConfigPath({ XDG_CONFIG_HOME: '/etc/xdg' }), path.join('/etc/xdg', 'nostr-inbox', 'config.json'));
+    assert.equal(defaultConfigPath({}), path.join(os.homedir(), '.config', 'nostr-inbox', 'config.json'));
+  });
+});
+
+describe('validateConfig', () => {
+  it('accepts a complete profile', () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, 'rules.json'), JSON.stringify([{ match: { type: 'dm' }, priority: 'high' }]));
+    assert.deepEqual(validateConfig({
+      defaultProfile: 'bot',
+      profiles: {
+        bot: {
+          pubkey: npub,
+          relays: ['wss://relay.example'],
+          channels: ['mentions', 'dvmRequests'],
+          dvmKinds: [5000, 5002],
+          rules: 'rules.json',
+          webhooks: [{ url: 'https://hooks.example/nostr', secret: 's', events: ['dm'] }],
+          maxDistance: { mentions: 2 },
+          mute: true,
+          digest: { intervalMs: 60000 }
+        },
+        reader: { pubkey: pk, channels: { agents: { capabilities: ['translation'] }, dvmKinds: 'nip89' } }
+      }
+    }, { baseDir: dir }), []);
+  });
+
+  it('lists every problem', () => {
+    const errors = validateConfig({
+      defaultProfile: 'missing',
+      extra: true,
+      profiles: {
+        bad: {
+          pubkey: 'alice',
+          relays: ['https://relay.example'],
+          channels: ['mentions', 'mentionz'],
+          dvmKinds: [42],
+          webhooks: [{ url: 'ftp://x', retry: 3 }],
+          rules: [{ priority: 'urgent' }],
+          mute: 'yes',
+          colour: 'blue'
+        }
+      }
+    });
+    assert.deepEqual(errors, [
+      'unknown key "extra" (expected profiles, defaultProfile)',
+      'profiles.bad: unknown key "colour"',
+      'profiles.bad.pubkey: invalid pubkey "alice" (expected 64 hex characters or an npub)',
+      'profiles.bad.relays: "https://relay.example" is not a ws:// or wss:// URL',
+      'profiles.bad.channels: unknown channel "mentionz" (expected mentions, dms, dvmRequests, dvmResults, zaps, reactions, reposts, trust, marketplace, agents)',
+      'profiles.bad.dvmKinds: 42 is not a DVM request kind (5000-5999)',
+      'profiles.bad.webhooks[0]: unknown key "retry"',
+      'profiles.bad.webhooks[0].url must be an http(s) URL',
+      'profiles.bad.rules: rules[0]: priority must be one of high, medium, low',
+      'profiles.bad.mute must be true or false',
+      'defaultProfile "missing" is not one of the profiles'
+    ]);
+    assert.deepEqual(validateConfig([]), ['config must be a JSON object']);
+    assert.deepEqual(validateConfig({}), ['profiles must be an object of named profiles']);
+  });
+});
+
+describe('resolveProfile', () => {
+  const config = {
+    defaultProfile: 'main',
+    profiles: {
+      main: { pubkey: npub, relays: ['wss://main.example'] },
+      bot: { pubkey: pk, channels: ['dms', 'dvmRequests'], dvmKinds: [5002], rules: 'rules.json', state: 'bot-state.json' }
+    }
+  };
+
+  it('picks the default profile and decodes npubs', () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, 'rules.json'), '[]');
+    const { name, options } = resolveProfile(config, null, { baseDir: dir });
+    assert.equal(name, 'main');
+    assert.deepEqual(options, { pubkey: pk, relays: ['wss://main.example'] });
+    assert.deepEqual(resolveProfile({ profiles: {} }), { name: null, options: {} });
+  });
+
+  it('turns a channel list into createInbox channels and resolves paths', () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, 'rules.json'), '[]');
+    const { name, options } = resolveProfile(config, 'bot', { baseDir: dir });
+    assert.equal(name, 'bot');
+    assert.equal(options.channels.dms, true);
+    assert.equal(options.channels.dvmRequests, true);
+    assert.equal(options.channels.mentions, false);
+    assert.deepEqual(options.channels.dvmKinds, [5002]);
+    assert.equal(options.rules, path.join(dir, 'rules.json'));
+    assert.equal(options.state, path.join(dir, 'bot-state.json'));
+    assert.equal(options.dvmKinds, undefined);
+  });
+
+  it('fails loudly on unknown profiles and invalid configs', () => {
+    const dir = tmpDir();
+    fs.writeFileSync(path.join(dir, 'rules.json'), '[]');
+    assert.throws(() => resolveProfile(config, 'trading-bot', { baseDir: dir }), /unknown profile "trading-bot" \(expected main, bot\)/);
+    assert.throws(() => resolveProfile({ profiles: { main: { relays: 'wss://x' } } }, 'main'), /invalid config:\n {2}profiles\.main\.relays must be a list/);
+  });
+});
+
+describe('normalizePubkey', () => {
+  it('accepts hex and npub', () => {
+    assert.equal(normalizePubkey(pk.toUpperCase()), pk);
+    assert.equal(normalizePubkey(npub), pk);
+    assert.throws(() => normalizePubkey('npub1nope'), /invalid npub/);
+    assert.throws(() => normalizePubkey(undefined), /invalid pubkey/);
+  });
+});
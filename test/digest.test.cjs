@@ -0,0 +1,99 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, buildDigest } = require('../src/index.cjs');
+
+const myPk = getPublicKey(generateSecretKey());
+const aliceSk = generateSecretKey();
+const alicePk = getPublicKey(aliceSk);
+const bobSk = generateSecretKey();
+
+let clock = Math.floor(Date.now() / 1000) - 100;
+
+function note(n) {
+  return { id: `id${clock}`, from: 'x', kind: 1, content: '', createdAt: clock++ * 1000, ...n };
+}
+
+function event(kind, sk, content = '', tags = [['p', myPk]]) {
+  return JSON.parse(JSON.stringify(finalizeEvent({ kind, created_at: clock++, content, tags }, sk)));
+}
+
+describe('buildDigest', () => {
+  it('counts types and senders, totals zaps, picks highlights', () => {
+    const notifications = [
+      note({ type: 'reaction', priority: 'low', from: 'alice' }),
+      note({ type: 'reaction', priority: 'low', from: 'bob' }),
+      note({ type: 'reactions_summary', priority: 'low', from: 'carol', reactions: [{ from: 'carol' }, { from: 'alice' }] }),
+      note({ type: 'zap', priority: 'medium', from: 'bob', zap: { amountSats: 21 } }),
+      note({ type: 'zap', priority: 'medium', from: 'dave', zap: { amountSats: 1000 } }),
+      note({ type: 'zap', priority: 'medium', from: 'eve', zap: { amountSats: 5000 }, unverified: true }),
+      note({ type: 'dm', priority: 'high', from: 'alice', content: 'ping', plaintext: 'are you up?' })
+    ];
+    const digest = buildDigest(notifications, { since: 100, until: 200, topSenders: 2, highlights: 3 });
+
+    assert.equal(digest.total, 7);
+    assert.deepEqual(digest.byType, { reaction: 2, reactions_summary: 1, zap: 3, dm: 1 });
+    assert.equal(digest.senders, 5);
+    assert.deepEqual(digest.topSenders, [{ pubkey: 'alice', count: 3 }, { pubkey: 'bob', count: 2 }]);
+    assert.deepEqual(digest.zaps, { count: 3, sats: 1021 });
+    assert.deepEqual(digest.highlights.map(h => [h.type, h.from, h.sats]), [['dm', 'alice', null], ['zap', 'dave', 1000], ['zap', 'bob', 21]]);
+    assert.equal(digest.highlights[0].content, 'are you up?');
+    assert.deepEqual([digest.since, digest.until], [100, 200]);
+  });
+
+  it('handles an empty period', () => {
+    const digest = buildDigest([]);
+    assert.equal(digest.total, 0);
+    assert.deepEqual(digest.highlights, []);
+  });
+});
+
+describe('inbox digest', () => {
+  it('holds low-signal types and emits them in a digest', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [], digest: true });
+    const delivered = [];
+    const digests = [];
+    inbox.on('notification', (n) => delivered.push(n.type));
+    inbox.on('digest', (d) => digests.push(d));
+
+    await inbox.ingest(event(7, aliceSk, '+', [['p', myPk], ['e', 'aa'.repeat(32)]]));
+    await inbox.ingest(event(7, bobSk, '🔥', [['p', myPk], ['e', 'aa'.repeat(32)]]));
+    await inbox.ingest(event(1, aliceSk, 'hello'));
+
+    assert.deepEqual(delivered, ['mention']);
+    const digest = inbox.flushDigest();
+    assert.deepEqual(digests, [digest]);
+    assert.equal(digest.total, 3);
+    assert.equal(digest.held, 2);
+    assert.deepEqual(digest.byType, { reaction: 2, mention: 1 });
+    assert.deepEqual(digest.topSenders[0], { pubkey: alicePk, count: 2 });
+    assert.equal(digest.highlights[0].type, 'mention');
+
+    // Nothing since: no digest
+    assert.equal(inbox.flushDigest(), null);
+    assert.equal(digests.length, 1);
+  });
+
+  it('emits on its schedule and when stopped', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [], digest: { intervalMs: 30, types: ['mention'] } });
+    const digests = [];
+    const delivered = [];
+    inbox.on('digest', (d) => digests.push(d));
+    inbox.on('notification', (n) => delivered.push(n.type));
+
+    await inbox.start();
+    await inbox.ingest(event(1, aliceSk, 'first'));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(digests.length, 1);
+
+    await inbox.ingest(event(1, aliceSk, 'second'));
+    await inbox.stop();
+    assert.equal(digests.length, 2);
+    assert.deepEqual(digests.map(d => d.held), [1, 1]);
+    assert.deepEqual(delivered, []);
+  });
+});
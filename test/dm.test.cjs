@@ -0,0 +1,191 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+const nip04 = require('nostr-tools/nip04');
+const nip44 = require('nostr-tools/nip44');
+const nip59 = require('nostr-tools/nip59');
+
+const { createInbox, createSigner, detectScheme } = require('../src/index.cjs');
+const { decryptDm, unwrapGiftWrap, conversationId } = require('../src/dm.cjs');
+const { createPipeline } = require('../src/pipeline.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const senderSk = generateSecretKey();
+const senderPk = getPublicKey(senderSk);
+
+function dm(content) {
+  return finalizeEvent({
+    kind: 4,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', myPk]],
+    content
+  }, senderSk);
+}
+
+// ── Scheme Detection ───────────────────────────────────
+
+describe('detectScheme', () => {
+  it('detects NIP-04 payloads', () => {
+    assert.equal(detectScheme(nip04.encrypt(senderSk, myPk, 'hi')), 'nip04');
+  });
+
+  it('treats everything else as NIP-44', () => {
+    const key = nip44.getConversationKey(senderSk, myPk);
+    assert.equal(detectScheme(nip44.encrypt('hi', key)), 'nip44');
+  });
+});
+
+// ── Decryption ─────────────────────────────────────────
+
+describe('decryptDm', () => {
+  const signer = createSigner(mySk);
+
+  it('decrypts NIP-04 messages', async () => {
+    const result = await decryptDm(dm(nip04.encrypt(senderSk, myPk, 'hello 04')), signer);
+    assert.equal(result.encryption, 'nip04');
+    assert.equal(result.plaintext, 'hello 04');
+  });
+
+  it('decrypts NIP-44 messages', async () => {
+    const key = nip44.getConversationKey(senderSk, myPk);
+    const result = await decryptDm(dm(nip44.encrypt('hello 44', key)), signer);
+    assert.equal(result.encryption, 'nip44');
+    assert.equal(result.plaintext, 'hello 44');
+  });
+
+  it('accepts a hex secret key', async () => {
+    const hexSigner = createSigner(Buffer.from(mySk).toString('hex'));
+    assert.equal(hexSigner.pubkey, myPk);
+    const result = await decryptDm(dm(nip04.encrypt(senderSk, myPk, 'hex')), hexSigner);
+    assert.equal(result.plaintext, 'hex');
+  });
+
+  it('reports a decryptError instead of throwing', async () => {
+    const event = dm('not-a-real-payload');
+    const result = await decryptDm(event, signer);
+    assert.equal(result.plaintext, undefined);
+    assert.equal(result.decryptError.id, event.id);
+    assert.equal(result.decryptError.from, senderPk);
+    assert.equal(result.decryptError.scheme, 'nip44');
+    assert.ok(result.decryptError.error);
+  });
+
+  it('uses a pluggable signer', async () => {
+    const calls = [];
+    const result = await decryptDm(dm('abc?iv=def'), {
+      async decrypt(pubkey, ciphertext, scheme) {
+        calls.push({ pubkey, ciphertext, scheme });
+        return 'from signer';
+      }
+    });
+    assert.equal(result.plaintext, 'from signer');
+    assert.deepEqual(calls, [{ pubkey: senderPk, ciphertext: 'abc?iv=def', scheme: 'nip04' }]);
+  });
+
+  it('leaves content alone without a signer', async () => {
+    const result = await decryptDm(dm('abc?iv=def'), null);
+    assert.deepEqual(result, { encryption: 'nip04' });
+  });
+});
+
+// ── Gift Wraps (NIP-17) ────────────────────────────────
+
+describe('unwrapGiftWrap', () => {
+  const signer = createSigner(mySk);
+  const thirdPk = getPublicKey(generateSecretKey());
+
+  it('reports the real sender, time, subject and participants', async () => {
+    const sentAt = Math.floor(Date.now() / 1000) - 30;
+    const wrap = nip59.wrapEvent({
+      kind: 14,
+      created_at: sentAt,
+      content: 'group hello',
+      tags: [['p', myPk], ['p', thirdPk], ['subject', 'planning']]
+    }, senderSk, myPk);
+
+    const result = await unwrapGiftWrap(wrap, signer);
+    assert.equal(result.decryptError, undefined);
+    assert.equal(result.from, senderPk);
+    assert.notEqual(result.from, wrap.pubkey);
+    assert.equal(result.plaintext, 'group hello');
+    assert.equal(result.createdAt, sentAt * 1000);
+    assert.equal(result.subject, 'planning');
+    assert.deepEqual(result.participants.sort(), [senderPk, myPk, thirdPk].sort());
+    assert.equal(result.conversation, conversationId([thirdPk, myPk, senderPk]));
+    assert.equal(result.rumor.kind, 14);
+  });
+
+  it('gives the same conversation to every message in a thread', async () => {
+    const a = await unwrapGiftWrap(nip59.wrapEvent({ kind: 14, content: '1', tags: [['p', myPk]] }, senderSk, myPk), signer);
+    const b = await unwrapGiftWrap(nip59.wrapEvent({ kind: 14, content: '2', tags: [['p', myPk]] }, senderSk, myPk), signer);
+    assert.equal(a.conversation, b.conversation);
+    assert.equal(a.subject, null);
+  });
+
+  it('rejects a seal whose author does not match the rumor', async () => {
+    const attackerSk = generateSecretKey();
+    const rumor = nip59.createRumor({ kind: 14, content: 'trust me', tags: [['p', myPk]] }, senderSk);
+    const seal = nip59.createSeal(rumor, attackerSk, myPk);
+    const wrap = nip59.createWrap(seal, myPk);
+
+    const result = await unwrapGiftWrap(wrap, signer);
+    assert.equal(result.plaintext, undefined);
+    assert.match(result.decryptError.error, /seal author does not match/);
+  });
+
+  it('reports a decryptError for wraps addressed to someone else', async () => {
+    const wrap = nip59.wrapEvent({ kind: 14, content: 'x', tags: [] }, senderSk, thirdPk);
+    const result = await unwrapGiftWrap(wrap, signer);
+    assert.ok(result.decryptError);
+    assert.equal(result.decryptError.id, wrap.id);
+  });
+
+  it('leaves the wrap alone without a signer', async () => {
+    const wrap = nip59.wrapEvent({ kind: 14, content: 'x', tags: [] }, senderSk, myPk);
+    assert.deepEqual(await unwrapGiftWrap(wrap, null), { encryption: 'nip44', wrapped: true });
+  });
+});
+
+// ── Pipeline / Inbox ───────────────────────────────────
+
+describe('DM decryption in the pipeline', () => {
+  it('adds plaintext to dm notifications', async () => {
+    const processEvent = createPipeline({ pubkey: myPk, signer: createSigner(mySk) });
+    const n = await processEvent(dm(nip04.encrypt(senderSk, myPk, 'secret')));
+    assert.equal(n.type, 'dm');
+    assert.equal(n.plaintext, 'secret');
+    assert.notEqual(n.content, 'secret');
+  });
+
+  it('unwraps gift wraps into dm notifications', async () => {
+    const processEvent = createPipeline({ pubkey: myPk, signer: createSigner(mySk) });
+    const wrap = nip59.wrapEvent({ kind: 14, content: 'sealed', tags: [['p', myPk]] }, senderSk, myPk);
+    const n = await processEvent(wrap);
+    assert.equal(n.type, 'dm');
+    assert.equal(n.id, wrap.id);
+    assert.equal(n.from, senderPk);
+    assert.equal(n.plaintext, 'sealed');
+  });
+
+  it('emits decrypt_error from the inbox', async () => {
+    const inbox = createInbox({ pubkey: myPk, secretKey: mySk });
+    const errors = [];
+    const notifications = [];
+    inbox.on('decrypt_error', (e) => errors.push(e));
+    inbox.on('dm', (n) => notifications.push(n));
+
+    await inbox.ingest(dm('garbage'));
+
+    assert.equal(errors.length, 1);
+    assert.equal(notifications.length, 1);
+    assert.deepEqual(notifications[0].decryptError, errors[0]);
+  });
+
+  it('rejects an invalid secret key', () => {
+    assert.throws(() => createInbox({ pubkey: myPk, secretKey: 'nope' }), /secretKey/);
+  });
+});
@@ -0,0 +1,394 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+const nip04 = require('nostr-tools/nip04');
+
+const {
+  createInbox, buildFilters, classifyEvent, parseJobRequest, parseJobFeedback, parseJobResult, KINDS
+} = require('../src/index.cjs');
+const { parseRelayLimits } = require('../src/nip11.cjs');
+const { latestHandlers, handlerKinds } = require('../src/dvm.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const dvmSk = generateSecretKey();
+const dvmPk = getPublicKey(dvmSk);
+
+const JOB = 'aa'.repeat(32);
+
+function feedback(tags, content = '', sk = dvmSk, job = JOB) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind: 7000,
+    created_at: Math.floor(Date.now() / 1000),
+    content,
+    tags: [['e', job, 'wss://relay.example'], ['p', myPk], ...tags]
+  }, sk)));
+}
+
+function result(content, sk = dvmSk, tags = [['e', JOB], ['p', myPk]]) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind: 6050, created_at: Math.floor(Date.now() / 1000), content, tags
+  }, sk)));
+}
+
+describe('parseJobRequest', () => {
+  const customerSk = generateSecretKey();
+  const request = (tags, content = '') => JSON.parse(JSON.stringify(finalizeEvent({
+    kind: 5050, created_at: Math.floor(Date.now() / 1000), content, tags
+  }, customerSk)));
+
+  it('reads inputs, params, output, bid, relays and providers', () => {
+    const job = parseJobRequest(request([
+      ['i', 'What is Nostr?', 'text'],
+      ['i', 'https://example.com/a.txt', 'url'],
+      ['i', JOB, 'job', 'wss://relay.example', 'context'],
+      ['param', 'model', 'llama3'],
+      ['param', 'stop', 'a'],
+      ['param', 'stop', 'b'],
+      ['param', 'range', '1', '10'],
+      ['output', 'text/plain'],
+      ['bid', '5000'],
+      ['relays', 'wss://a.example', 'wss://b.example'],
+      ['p', myPk]
+    ]), myPk);
+
+    assert.equal(job.kind, 5050);
+    assert.deepEqual(job.inputs, [
+      { value: 'What is Nostr?', type: 'text', relay: null, marker: null },
+      { value: 'https://example.com/a.txt', type: 'url', relay: null, marker: null },
+      { value: JOB, type: 'job', relay: 'wss://relay.example', marker: 'context' }
+    ]);
+    assert.deepEqual(job.params, { model: 'llama3', stop: ['a', 'b'], range: ['1', '10'] });
+    assert.equal(job.output, 'text/plain');
+    assert.equal(job.bidMsats, 5000);
+    assert.deepEqual(job.relays, ['wss://a.example', 'wss://b.example']);
+    assert.deepEqual(job.providers, [myPk]);
+    assert.equal(job.encrypted, false);
+    assert.equal(job.forMe, true);
+  });
+
+  it('flags jobs addressed to other providers', () => {
+    assert.equal(parseJobRequest(request([['i', 'x', 'text']]), myPk).forMe, true);
+    assert.equal(parseJobRequest(request([['i', 'x', 'text'], ['p', dvmPk]]), myPk).forMe, false);
+  });
+
+  it('decrypts encrypted requests in the inbox', async () => {
+    const hidden = JSON.stringify([['i', 'secret prompt', 'text'], ['param', 'model', 'llama3']]);
+    const event = request([['p', myPk], ['encrypted']], nip04.encrypt(customerSk, myPk, hidden));
+
+    const inbox = createInbox({ pubkey: myPk, relays: [], secretKey: mySk });
+    const urgent = [];
+    inbox.on('urgent', (n) => urgent.push(n));
+    await inbox.ingest(event);
+
+    assert.equal(urgent.length, 1);
+    assert.equal(urgent[0].job.encrypted, true);
+    assert.deepEqual(urgent[0].job.inputs.map(i => i.value), ['secret prompt']);
+    assert.deepEqual(urgent[0].job.params, { model: 'llama3' });
+  });
+
+  it('does not page us for someone else\'s customer', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [] });
+    const received = [];
+    inbox.on('dvm_request', (n) => received.push(n));
+    await inbox.ingest(request([['i', 'x', 'text'], ['p', dvmPk]]));
+    assert.equal(received[0].priority, 'low');
+    assert.equal(received[0].job.forMe, false);
+  });
+});
+
+describe('parseJobFeedback', () => {
+  it('reads status, amount and the job reference', () => {
+    const parsed = parseJobFeedback(feedback([
+      ['status', 'payment-required', 'pay first'],
+      ['amount', '21000', 'lnbc210n1...']
+    ]));
+    assert.deepEqual(parsed, {
+      status: 'payment-required',
+      statusInfo: 'pay first',
+      jobId: JOB,
+      jobRelay: 'wss://relay.example',
+      customer: myPk,
+      provider: dvmPk,
+      amountMsats: 21000,
+      bolt11: 'lnbc210n1...',
+      content: ''
+    });
+  });
+
+  it('tolerates missing or malformed tags', () => {
+    const parsed = parseJobFeedback(feedback([['status', 'processing'], ['amount', 'lots']], 'working on it'));
+    assert.equal(parsed.statusInfo, null);
+    assert.equal(parsed.amountMsats, null);
+    assert.equal(parsed.bolt11, null);
+    assert.equal(parsed.content, 'working on it');
+    assert.equal(parseJobFeedback({ pubkey: dvmPk, tags: [], content: '' }).status, null);
+  });
+});
+
+describe('DVM feedback', () => {
+  it('is subscribed to with DVM results', () => {
+    const filters = buildFilters(myPk, {
+      mentions: false, dms: false, dvmRequests: false, zaps: false, reactions: false, trust: false, marketplace: false
+    });
+    assert.equal(filters.length, 1);
+    assert.ok(filters[0].kinds.includes(KINDS.DVM_FEEDBACK));
+    assert.deepEqual(filters[0]['#p'], [myPk]);
+  });
+
+  it('takes its priority from the status', () => {
+    const priority = (status) => classifyEvent(feedback([['status', status]]), myPk).priority;
+    assert.equal(priority('payment-required'), 'high');
+    assert.equal(priority('error'), 'medium');
+    assert.equal(priority('success'), 'medium');
+    assert.equal(priority('processing'), 'low');
+    assert.equal(priority('something-new'), 'low');
+  });
+
+  it('attaches the parsed feedback to notifications', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [] });
+    const urgent = [];
+    inbox.on('urgent', (n) => urgent.push(n));
+
+    await inbox.ingest(feedback([['status', 'payment-required'], ['amount', '5000', 'lnbc50n1...']]));
+    assert.equal(urgent.length, 1);
+    assert.equal(urgent[0].type, 'dvm_feedback');
+    assert.equal(urgent[0].feedback.jobId, JOB);
+    assert.equal(urgent[0].feedback.bolt11, 'lnbc50n1...');
+  });
+});
+
+describe('parseJobResult', () => {
+  it('reads the job reference, falling back to the request tag', () => {
+    const request = { id: JOB, kind: 5050, pubkey: myPk, tags: [], content: '' };
+    const parsed = parseJobResult(result('answer', dvmSk, [['request', JSON.stringify(request)], ['p', myPk], ['amount', '1000']]));
+    assert.equal(parsed.jobId, JOB);
+    assert.deepEqual(parsed.request, request);
+    assert.equal(parsed.provider, dvmPk);
+    assert.equal(parsed.amountMsats, 1000);
+    assert.equal(parseJobResult(result('x', dvmSk, [['request', '{broken']])).request, null);
+  });
+});
+
+describe('trackJob', () => {
+  const otherDvmSk = generateSecretKey();
+
+  it('follows feedback to the result', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [] });
+    const updates = [];
+    inbox.on('job_update', (u) => updates.push(u.state));
+
+    const tracked = inbox.trackJob(JOB, { timeoutMs: 1000 });
+    await inbox.ingest(feedback([['status', 'payment-required'], ['amount', '1000', 'lnbc10n1...']]));
+    await inbox.ingest(feedback([['status', 'processing']]));
+    await inbox.ingest(feedback([['status', 'processing']], '', dvmSk, 'cc'.repeat(32))); // someone else's job
+    await inbox.ingest(result('done'));
+
+    const job = await tracked;
+    assert.equal(job.state, 'completed');
+    assert.equal(job.result.content, 'done');
+    assert.equal(job.feedback.length, 2);
+    assert.deepEqual(updates, ['payment-required', 'processing', 'result', 'completed']);
+    assert.equal(inbox.status().jobs, 0);
+  });
+
+  it('follows jobs whose notifications were renamed by rules', async () => {
+    const inbox = createInbox({
+      pubkey: myPk, relays: [],
+      rules: [{ match: { kind: [7000, 6050] }, type: 'translation' }]
+    });
+    const updates = [];
+    inbox.on('job_update', (u) => updates.push(u.state));
+
+    const tracked = inbox.trackJob(JOB, { timeoutMs: 1000 });
+    await inbox.ingest(feedback([['status', 'processing']]));
+    await inbox.ingest(result('done'));
+
+    assert.equal((await tracked).result.content, 'done');
+    assert.deepEqual(updates, ['processing', 'result', 'completed']);
+  });
+
+  it('follows tracked jobs past maxDistance and dropping rules', async () => {
+    const inbox = createInbox({
+      pubkey: myPk, relays: [], maxDistance: 1,
+      rules: [{ match: { type: ['dvm_feedback', 'dvm_result'] }, drop: true }]
+    });
+    const suppressed = [];
+    inbox.on('suppressed', (info) => suppressed.push(info.id));
+    // We follow nobody, so the provider is a stranger
+    await inbox.ingest(JSON.parse(JSON.stringify(finalizeEvent({
+      kind: 3, created_at: Math.floor(Date.now() / 1000), content: '', tags: []
+    }, mySk))));
+
+    const tracked = inbox.trackJob(JOB, { timeoutMs: 1000 });
+    await inbox.ingest(feedback([['status', 'processing']]));
+    await inbox.ingest(result('done'));
+    assert.equal((await tracked).result.content, 'done');
+
+    // Untracked jobs from strangers are still filtered
+    const stray = result('stray', dvmSk, [['e', 'ee'.repeat(32)], ['p', myPk]]);
+    await inbox.ingest(stray);
+    assert.deepEqual(suppressed, [stray.id]);
+  });
+
+  it('collects competing results and picks one', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [] });
+    const tracked = inbox.trackJob(JOB, { timeoutMs: 1000, waitMs: 50 });
+
+    await inbox.ingest(result('pricey', dvmSk, [['e', JOB], ['amount', '5000']]));
+    await inbox.ingest(result('cheap', otherDvmSk, [['e', JOB], ['amount', '100']]));
+
+    const job = await tracked;
+    assert.equal(job.results.length, 2);
+    assert.equal(job.result.content, 'cheap');
+    assert.deepEqual(Object.values(job.providers), ['result', 'result']);
+
+    const picked = inbox.trackJob('dd'.repeat(32), { timeoutMs: 1000, waitMs: 50, select: (results) => results[0] });
+    await inbox.ingest(result('first', dvmSk, [['e', 'dd'.repeat(32)]]));
+    await inbox.ingest(result('second', otherDvmSk, [['e', 'dd'.repeat(32)]]));
+    assert.equal((await picked).result.content, 'first');
+  });
+
+  it('times out without a result', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [] });
+    const tracked = inbox.trackJob(JOB, { timeoutMs: 30 });
+    await inbox.ingest(feedback([['status', 'error', 'out of credits']]));
+
+    await assert.rejects(tracked, (err) => {
+      assert.match(err.message, /timed out/);
+      assert.equal(err.job.state, 'timeout');
+      assert.equal(err.job.providers[dvmPk], 'error');
+      return true;
+    });
+  });
+
+  it('rejects tracked jobs on stop', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [] });
+    const tracked = inbox.trackJob(JOB);
+    await inbox.stop();
+    await assert.rejects(tracked, /cancelled/);
+  });
+});
+
+describe('full DVM kind range', () => {
+  const DVM_ONLY = {
+    mentions: false, dms: false, dvmRequests: true, dvmResults: true,
+    zaps: false, reactions: false, trust: false, marketplace: false
+  };
+  const kindsOf = (filters) => filters.flatMap(f => f.kinds);
+
+  it('covers 5000-5999 and 6000-6999 in chunks', () => {
+    const filters = buildFilters(myPk, { ...DVM_ONLY, dvmKinds: 'all' });
+    assert.equal(filters.length, 9);
+    assert.ok(filters.every(f => f.kinds.length <= 250 && f['#p'][0] === myPk));
+    const kinds = kindsOf(filters);
+    assert.equal(kinds.length, 2001);
+    assert.ok(kinds.includes(5970) && kinds.includes(5600) && kinds.includes(6999) && kinds.includes(KINDS.DVM_FEEDBACK));
+  });
+
+  it('sizes chunks to relay limits', () => {
+    const small = buildFilters(myPk, { ...DVM_ONLY, dvmKinds: 'all' }, null, { maxKinds: 100 });
+    assert.equal(small.length, 21);
+    assert.equal(kindsOf(small).length, 2001);
+
+    // Mentions + 2 ranges into 5 filters: bigger chunks instead
+    const few = buildFilters(myPk, { ...DVM_ONLY, mentions: true, dvmKinds: 'all' }, null, { maxKinds: 100, maxFilters: 5 });
+    assert.ok(few.length <= 5);
+    assert.equal(kindsOf(few).filter(k => k >= 5000).length, 2001);
+  });
+
+  it('merges the two ranges when there is no room for both', () => {
+    const tight = buildFilters(myPk, { dvmKinds: 'all' }, null, { maxFilters: 9 });
+    assert.equal(tight.length, 9);
+    assert.equal(kindsOf(tight).filter(k => k >= 5000 && k <= 7000).length, 2001);
+  });
+
+  it('reads limits from NIP-11 documents', () => {
+    assert.deepEqual(parseRelayLimits({ limitation: { max_filters: 10, max_message_length: 6024 } }), { maxFilters: 10, maxKinds: 1000 });
+    assert.deepEqual(parseRelayLimits({ name: 'no limits' }), {});
+    assert.deepEqual(parseRelayLimits(null), {});
+  });
+
+  it('splits per relay in the inbox', async () => {
+    const relay = await startMockRelay();
+    const inbox = createInbox({
+      pubkey: myPk, relays: [relay.url], channels: { ...DVM_ONLY, dvmResults: false, dvmKinds: 'all' },
+      relayLimits: { [relay.url]: { maxKinds: 500 } }
+    });
+    try {
+      await inbox.start();
+      await waitUntil(() => relay.received.some(m => m[0] === 'REQ'));
+      const [, , ...filters] = relay.received.find(m => m[0] === 'REQ');
+      assert.deepEqual(filters.map(f => f.kinds.length), [500, 500]);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('keeps the whole REQ, own-list filters included, within max_filters', async () => {
+    const relay = await startMockRelay();
+    const inbox = createInbox({
+      pubkey: myPk, relays: [relay.url], channels: { dvmKinds: 'all' }, mute: true,
+      relayLimits: { [relay.url]: { maxFilters: 10 } }
+    });
+    try {
+      await inbox.start();
+      const live = () => relay.received.find(m => m[0] === 'REQ' && m.slice(2).some(f => f.kinds.includes(5000)));
+      await waitUntil(live);
+      const [, , ...filters] = live();
+      assert.ok(filters.length <= 10, `${filters.length} filters`);
+      assert.ok(filters.some(f => f.authors && f.kinds.includes(KINDS.MUTE_LIST)));
+      assert.equal(kindsOf(filters).filter(k => k >= 5000 && k <= 7000).length, 2001);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+});
+
+describe('NIP-89 job kinds', () => {
+  const announce = (kinds, d = 'main', createdAt = Math.floor(Date.now() / 1000)) => JSON.parse(JSON.stringify(finalizeEvent({
+    kind: KINDS.HANDLER_INFO, created_at: createdAt, content: '{}', tags: [['d', d], ...kinds.map(k => ['k', String(k)])]
+  }, mySk)));
+
+  it('takes the newest announcement per d tag', () => {
+    const old = announce([5100], 'main', 100);
+    const current = announce([5970, 5050, 1], 'main', 200);
+    const other = announce([5600], 'images', 150);
+    assert.deepEqual(handlerKinds(latestHandlers([current, old, other], myPk)), [5050, 5600, 5970]);
+    assert.deepEqual(handlerKinds(latestHandlers([current], dvmPk)), []);
+  });
+
+  it('subscribes to announced kinds and follows new announcements', async () => {
+    const relay = await startMockRelay();
+    relay.publish(announce([5970], 'main', Math.floor(Date.now() / 1000) - 10));
+    const inbox = createInbox({
+      pubkey: myPk, relays: [relay.url],
+      channels: { mentions: false, dms: false, dvmResults: false, zaps: false, reactions: false, trust: false, marketplace: false, dvmKinds: 'nip89' }
+    });
+    const updates = [];
+    inbox.on('handlers_updated', (info) => updates.push(info.kinds));
+    const reqs = () => relay.received.filter(m => m[0] === 'REQ' && m[2].kinds.includes(5970));
+
+    try {
+      await inbox.start();
+      await waitUntil(() => reqs().length === 1);
+      assert.deepEqual(reqs()[0][2].kinds, [5970]);
+      // Our own announcements are watched too
+      assert.ok(reqs()[0].slice(2).some(f => f.kinds.includes(KINDS.HANDLER_INFO) && f.authors[0] === myPk));
+
+      relay.publish(announce([5970, 5600]));
+      await waitUntil(() => reqs().length === 2);
+      assert.deepEqual(updates, [[5600, 5970]]);
+      assert.deepEqual(reqs()[1][2].kinds, [5600, 5970]);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const { WebSocketServer } = require('ws');
+const { matchFilters } = require('nostr-tools/filter');
+const { verifyEvent } = require('nostr-tools/pure');
+
+/**
+ * Tiny in-process Nostr relay for tests
+ *
+ * Stores published events, answers REQs (stored events + EOSE), streams new
+ * events to open subscriptions and can drop every connection on demand.
+ *
+ * @param {Object} [opts]
+ * @param {Function} [opts.onMessage] - (msg, socket) => true to swallow a client message
+ * @param {boolean} [opts.requireAuth] - Send a NIP-42 challenge and refuse REQs until authenticated
+ */
+async function startMockRelay({ onMessage = null, requireAuth = false } = {}) {
+  const wss = new WebSocketServer({ port: 0 });
+  await new Promise(resolve => wss.once('listening', resolve));
+
+  const events = [];
+  const received = [];   // every client message, parsed
+  const sockets = new Set();
+
+  function send(socket, msg) {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(msg));
+  }
+
+  wss.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.subs = new Map();
+    socket.challenge = Math.random().toString(36).slice(2);
+    socket.authed = null;
+    socket.on('close', () => sockets.delete(socket));
+    if (requireAuth) send(socket, ['AUTH', socket.challenge]);
+
+    socket.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      received.push(msg);
+      if (onMessage && onMessage(msg, socket, send)) return;
+
+      if (msg[0] === 'AUTH') {
+        const event = msg[1];
+        const challenge = (event.tags.find(t => t[0] === 'challenge') || [])[1];
+        const ok = event.kind === 22242 && verifyEvent(event) && challenge === socket.challenge;
+        if (ok) socket.authed = event.pubkey;
+        send(socket, ['OK', event.id, ok, ok ? '' : 'auth-required: bad auth event']);
+      } else if (msg[0] === 'REQ') {
+        const [, id, ...filters] = msg;
+        if (requireAuth && !socket.authed) {
+          send(socket, ['CLOSED', id, 'auth-required: we only serve DMs to their recipient']);
+          return;
+        }
+        socket.subs.set(id, filters);
+        for (const event of events) {
+          if (matchFilters(filters, event)) send(socket, ['EVENT', id, event]);
+        }
+        send(socket, ['EOSE', id]);
+      } else if (msg[0] === 'CLOSE') {
+        socket.subs.delete(msg[1]);
+      } else if (msg[0] === 'EVENT') {
+        publish(msg[1]);
+        send(socket, ['OK', msg[1].id, true, '']);
+      }
+    });
+  });
+
+  /**
+   * Store an event and push it to matching subscriptions
+   */
+  function publish(event) {
+    events.push(event);
+    for (const socket of sockets) {
+      for (const [id, filters] of socket.subs) {
+        if (matchFilters(filters, event)) send(socket, ['EVENT', id, event]);
+      }
+    }
+  }
+
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    events,
+    received,
+    sockets,
+    send,
+    publish,
+
+    /** Drop every client connection (simulates a relay restart) */
+    dropAll() {
+      for (const socket of sockets) socket.terminate();
+    },
+
+    close() {
+      for (const socket of sockets) socket.terminate();
+      return new Promise(resolve => wss.close(resolve));
+    }
+  };
+}
+
+/**
+ * Resolve once `check()` is truthy (polls every 10ms)
+ */
+async function waitUntil(check, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('waitUntil timed out');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = { startMockRelay, waitUntil };
@@ -0,0 +1,135 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+const nip04 = require('nostr-tools/nip04');
+
+const { createInbox, buildFilters, classifyEvent, KINDS } = require('../src/index.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const aSk = generateSecretKey();
+const aPk = getPublicKey(aSk);
+const bSk = generateSecretKey();
+const bPk = getPublicKey(bSk);
+const carolSk = generateSecretKey();
+
+let clock = Math.floor(Date.now() / 1000) - 100;
+
+function sign(template, sk = carolSk) {
+  return JSON.parse(JSON.stringify(finalizeEvent({ created_at: clock++, content: '', tags: [], ...template }, sk)));
+}
+
+function attest(subject, sk = carolSk) {
+  return sign({ kind: KINDS.LABEL, tags: [['L', 'ai.wot'], ['l', 'service-quality', 'ai.wot'], ['p', subject], ['score', '2']] }, sk);
+}
+
+describe('buildFilters with several pubkeys', () => {
+  it('shares each filter between the identities', () => {
+    const filters = buildFilters([aPk, bPk], { dms: false, dvmRequests: false, dvmResults: false, zaps: false, reactions: false, trust: false });
+    assert.deepEqual(filters.map(f => f['#p'] || f.authors), [[aPk, bPk], [aPk, bPk], [aPk, bPk]]);
+    assert.deepEqual(buildFilters(aPk, { dms: false })[0]['#p'], [aPk]);
+  });
+});
+
+describe('classifyEvent with several pubkeys', () => {
+  it('classifies per identity and keeps the most urgent', () => {
+    const bNote = sign({ kind: 1, content: 'from b' }, bSk);
+    const reply = sign({ kind: 1, content: 'agreed', tags: [['e', bNote.id, '', 'reply', bPk], ['p', aPk], ['p', bPk]] });
+    assert.deepEqual(classifyEvent(reply, [aPk, bPk]), { type: 'reply', priority: 'high', identities: [bPk, aPk] });
+    assert.equal(classifyEvent(reply, aPk).type, 'thread_participation');
+  });
+
+  it('treats attestations about any identity as about us', () => {
+    assert.deepEqual(classifyEvent(attest(bPk), [aPk, bPk]), { type: 'trust', priority: 'medium', identities: [bPk] });
+    assert.equal(classifyEvent(attest(bPk), aPk).type, 'trust_network');
+    assert.deepEqual(classifyEvent(attest(getPublicKey(generateSecretKey())), [aPk, bPk]),
+      { type: 'trust_network', priority: 'low', identities: [] });
+  });
+});
+
+describe('multi-identity inbox', () => {
+  it('watches every identity over one subscription per relay and attributes notifications', async () => {
+    const relay = await startMockRelay();
+    const other = await startMockRelay();
+    const inbox = createInbox({
+      pubkeys: [aPk, bPk],
+      relays: [relay.url, other.url],
+      signers: { [bPk]: bSk },
+      secretKey: aSk,
+      since: clock - 10
+    });
+    const notifications = [];
+    inbox.on('notification', (n) => notifications.push(n));
+    try {
+      await inbox.start();
+      // Live subscriptions carry `since`; the trust history query doesn't
+      const live = (r) => r.received.filter(m => m[0] === 'REQ' && m.slice(2).some(f => f.since));
+      await waitUntil(() => live(relay).length > 0 && live(other).length > 0);
+      const reqs = live(relay);
+      assert.equal(reqs.length, 1);
+      assert.ok(reqs[0].slice(2).filter(f => f['#p']).every(f => f['#p'].join() === [aPk, bPk].join()));
+
+      // Tagging both identities, seen on both relays: delivered once
+      const both = sign({ kind: 1, content: 'hello you two', tags: [['p', aPk], ['p', bPk]] });
+      relay.publish(both);
+      other.publish(both);
+      const toB = sign({ kind: 4, content: await nip04.encrypt(carolSk, bPk, 'psst, b'), tags: [['p', bPk]] });
+      relay.publish(toB);
+      await waitUntil(() => notifications.length === 2);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert.equal(notifications.length, 2);
+      assert.deepEqual(notifications[0].identities, [aPk, bPk]);
+      assert.equal(notifications[1].type, 'dm');
+      assert.deepEqual(notifications[1].identities, [bPk]);
+      assert.equal(notifications[1].plaintext, 'psst, b');
+    } finally {
+      await inbox.stop();
+      await relay.close();
+      await other.close();
+    }
+  });
+
+  it('keeps a trust score per identity', async () => {
+    const relay = await startMockRelay();
+    relay.publish(attest(bPk));
+    const inbox = createInbox({
+      pubkeys: [aPk, bPk],
+      relays: [relay.url],
+      channels: { mentions: false, dms: false, dvmRequests: false, dvmResults: false, zaps: false, reactions: false, marketplace: false },
+      since: clock
+    });
+    const updates = [];
+    const notifications = [];
+    inbox.on('trust_updated', (summary) => updates.push(summary));
+    inbox.on('notification', (n) => notifications.push(n));
+    try {
+      await inbox.start();
+      await waitUntil(() => updates.length === 2);
+      assert.deepEqual(inbox.status().identities.map(i => [i.pubkey, i.trust.score]), [[aPk, 0], [bPk, 2]]);
+      assert.equal(inbox.status().trust.pubkey, aPk);
+
+      relay.publish(attest(aPk));
+      await waitUntil(() => notifications.length === 1);
+      assert.equal(notifications[0].type, 'trust');
+      assert.deepEqual(notifications[0].identities, [aPk]);
+      assert.equal(updates[updates.length - 1].pubkey, aPk);
+      assert.equal(inbox.status().identities[0].trust.score, 2);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('leaves notifications of a single pubkey inbox unattributed', async () => {
+    const inbox = createInbox({ pubkey: aPk, relays: [] });
+    const n = await new Promise((resolve) => {
+      inbox.on('notification', resolve);
+      inbox.ingest(sign({ kind: 1, content: 'hi', tags: [['p', aPk]] }));
+    });
+    assert.equal(n.identities, undefined);
+    assert.throws(() => createInbox({ pubkeys: [aPk], signers: { [bPk]: bSk } }), /not one of the watched pubkeys/);
+  });
+});
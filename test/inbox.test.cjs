@@ -3,7 +3,10 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 
+const { generateSecretKey, finalizeEvent } = require('nostr-tools/pure');
+
 const { createInbox, poll, KINDS, buildFilters, classifyEvent } = require('../src/index.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
 
 const TEST_PUBKEY = 'dc52438efbf965d35738743daf9f7c718976462b010aa4e5ed24e569825bae94';
 
@@ -84,6 +87,18 @@ describe('buildFilters', () => {
     assert.ok(filters[0].kinds.length < 30);
   });
 
+  it('looks back two extra days for gift wraps', () => {
+    const since = 1700000000;
+    const filters = buildFilters(TEST_PUBKEY, {
+      mentions: false, dms: true, dvmRequests: false, dvmResults: false,
+      zaps: false, reactions: false, trust: false, marketplace: false
+    }, since);
+    assert.equal(filters.length, 2);
+    assert.equal(filters[0].since, since);
+    assert.deepEqual(filters[1].kinds, [KINDS.GIFT_WRAP]);
+    assert.equal(filters[1].since, since - 2 * 24 * 60 * 60);
+  });
+
   it('accepts custom DVM kinds', () => {
     const filters = buildFilters(TEST_PUBKEY, {
       mentions: false, dms: false, dvmRequests: true, dvmResults: true,
@@ -92,7 +107,7 @@ describe('buildFilters', () => {
     });
     assert.equal(filters.length, 2);
     assert.deepEqual(filters[0].kinds, [5050, 5100]);
-    assert.deepEqual(filters[1].kinds, [6050, 6100]);
+    assert.deepEqual(filters[1].kinds, [6050, 6100, KINDS.DVM_FEEDBACK]);
   });
 
   it('includes marketplace kinds', () => {
@@ -100,10 +115,13 @@ describe('buildFilters', () => {
       mentions: false, dms: false, dvmRequests: false, dvmResults: false,
       zaps: false, reactions: false, trust: false, marketplace: true
     });
-    assert.equal(filters.length, 1);
+    assert.equal(filters.length, 2);
+    assert.ok(filters[0].kinds.includes(KINDS.TASK));
     assert.ok(filters[0].kinds.includes(KINDS.BID));
     assert.ok(filters[0].kinds.includes(KINDS.DELIVERY));
     assert.ok(filters[0].kinds.includes(KINDS.RESOLUTION));
+    // Our own tasks
+    assert.deepEqual(filters[1], { kinds: [KINDS.TASK], authors: [TEST_PUBKEY] });
   });
 
   it('includes trust filter with ai.wot label', () => {
@@ -263,6 +281,39 @@ describe('createInbox', () => {
   });
 });
 
+describe('listener errors', () => {
+  it('reports a throwing listener as an error instead of an unhandled rejection', async () => {
+    const relay = await startMockRelay();
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, relays: [relay.url] });
+    const errors = [];
+    const received = [];
+    inbox.on('error', (err) => errors.push(err));
+    inbox.on('mention', (n) => {
+      received.push(n.content);
+      if (n.content === 'first') throw new Error('listener broke');
+    });
+    const mention = (content) => finalizeEvent({
+      kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [['p', TEST_PUBKEY]], content
+    }, generateSecretKey());
+
+    try {
+      await inbox.start();
+      relay.publish(mention('first'));
+      await waitUntil(() => errors.length === 1);
+      assert.equal(errors[0].relay, relay.url);
+      assert.match(errors[0].error, /listener broke/);
+
+      // The relay stays healthy and later events still arrive
+      relay.publish(mention('second'));
+      await waitUntil(() => received.length === 2);
+      assert.equal(inbox.status().relays.states[relay.url].lastError, null);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+});
+
 // ── Poll Function ──────────────────────────────────────
 
 describe('poll', () => {
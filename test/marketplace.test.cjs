@@ -0,0 +1,205 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, parseTask, parseMarketplaceEvent, KINDS } = require('../src/index.cjs');
+const { createTaskBook } = require('../src/marketplace.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const agentSk = generateSecretKey();
+const agentPk = getPublicKey(agentSk);
+
+const MARKETPLACE_ONLY = {
+  mentions: false, dms: false, dvmRequests: false, dvmResults: false,
+  zaps: false, reactions: false, trust: false, marketplace: true
+};
+
+let clock = Math.floor(Date.now() / 1000);
+
+function sign(kind, tags, sk, content = '') {
+  return JSON.parse(JSON.stringify(finalizeEvent({ kind, created_at: clock++, content, tags }, sk)));
+}
+
+const task = (tags = [], sk = mySk) => sign(KINDS.TASK, [['d', 'logo'], ['title', 'Design a logo'], ['amount', '5000'], ...tags], sk, 'Vector, please');
+const address = `${KINDS.TASK}:${myPk}:logo`;
+const bid = (sats, sk = agentSk) => sign(KINDS.BID, [['a', address], ['p', myPk], ['amount', String(sats)]], sk);
+const delivery = () => sign(KINDS.DELIVERY, [['a', address], ['p', myPk]], agentSk, 'https://example.com/logo.svg');
+const resolution = (status) => sign(KINDS.RESOLUTION, [['a', address], ['p', agentPk], ['status', status]], mySk);
+
+describe('parseTask / parseMarketplaceEvent', () => {
+  it('parses a task', () => {
+    const event = task([['p', agentPk], ['status', 'awarded']]);
+    assert.deepEqual(parseTask(event), {
+      id: address, eventId: event.id, poster: myPk, title: 'Design a logo', budgetSats: 5000,
+      assignee: agentPk, arbiter: null, status: 'awarded', content: 'Vector, please'
+    });
+    const arbitrated = task([['p', 'cc'.repeat(32), '', 'arbiter'], ['p', agentPk]]);
+    assert.deepEqual([parseTask(arbitrated).assignee, parseTask(arbitrated).arbiter], [agentPk, 'cc'.repeat(32)]);
+  });
+
+  it('links activity by address or event id and parses amounts', () => {
+    assert.deepEqual(parseMarketplaceEvent(bid(1200)), {
+      task: address, taskEventId: null, counterparty: myPk, amountSats: 1200, status: null
+    });
+    const byId = sign(KINDS.RESOLUTION, [['e', 'bb'.repeat(32)], ['status', 'rejected'], ['amount', '1.5']], mySk);
+    assert.deepEqual(parseMarketplaceEvent(byId), {
+      task: 'bb'.repeat(32), taskEventId: 'bb'.repeat(32), counterparty: null, amountSats: null, status: 'rejected'
+    });
+  });
+});
+
+describe('createTaskBook', () => {
+  it('walks a task from open to resolved', () => {
+    const updates = [];
+    const book = createTaskBook({ emit: (u) => updates.push([u.previous, u.state]) });
+
+    book.handle(task());
+    book.handle(bid(4000));
+    book.handle(bid(3000, generateSecretKey()));
+    book.handle(task([['p', agentPk], ['status', 'awarded']]));
+    book.handle(delivery());
+    book.handle(resolution('approved'));
+
+    assert.deepEqual(updates, [
+      [null, 'open'], ['open', 'bidding'], ['bidding', 'bidding'],
+      ['bidding', 'awarded'], ['awarded', 'delivered'], ['delivered', 'resolved']
+    ]);
+    const t = book.get(address);
+    assert.equal(t.assignee, agentPk);
+    assert.deepEqual(t.bids.map(b => b.amountSats), [4000, 3000]);
+    assert.equal(t.resolution.status, 'approved');
+    assert.deepEqual(book.list({ state: 'resolved' }).map(x => x.id), [address]);
+    assert.deepEqual(book.list({ state: 'open' }), []);
+  });
+
+  it('marks other resolutions as disputed and never moves backwards', () => {
+    const book = createTaskBook();
+    book.handle(task([['p', agentPk], ['status', 'awarded']]));
+    book.handle(delivery());
+    assert.equal(book.handle(bid(100)).state, 'delivered');
+    assert.equal(book.handle(resolution('rejected')).state, 'disputed');
+  });
+
+  it('merges activity that arrived before its task', () => {
+    const book = createTaskBook();
+    const original = task();
+    const early = sign(KINDS.BID, [['e', original.id], ['amount', '700']], agentSk);
+    book.handle(early);
+    book.handle(original);
+
+    const t = book.get(original.id);
+    assert.equal(t.id, address);
+    assert.equal(t.state, 'bidding');
+    assert.deepEqual(t.bids.map(b => b.id), [early.id]);
+    assert.equal(book.list().length, 1);
+    // Same event again, or an older version: nothing to report
+    assert.equal(book.handle(original), null);
+    assert.equal(book.handle(early), null);
+  });
+});
+
+describe('createTaskBook permissions', () => {
+  const strangerSk = generateSecretKey();
+
+  it('only takes deliveries from the assignee', () => {
+    const book = createTaskBook();
+    book.handle(task([['p', agentPk], ['status', 'awarded']]));
+    assert.equal(book.handle(sign(KINDS.DELIVERY, [['a', address]], strangerSk)), null);
+    assert.equal(book.get(address).state, 'awarded');
+    assert.deepEqual(book.get(address).deliveries, []);
+    assert.equal(book.handle(delivery()).state, 'delivered');
+  });
+
+  it('holds deliveries until the task is awarded, then checks them', () => {
+    const book = createTaskBook();
+    book.handle(task());
+    const early = delivery();
+    const stranger = sign(KINDS.DELIVERY, [['a', address]], strangerSk);
+    assert.equal(book.handle(early), null);
+    assert.equal(book.handle(stranger), null);
+    assert.equal(book.get(address).state, 'open');
+
+    const t = book.handle(task([['p', agentPk], ['status', 'awarded']]));
+    assert.equal(t.state, 'delivered');
+    assert.deepEqual(t.deliveries.map(d => d.id), [early.id]);
+    assert.equal(t.pending, undefined);
+  });
+
+  it('does not take deliveries from an agent the task is merely addressed to', () => {
+    const book = createTaskBook();
+    book.handle(task([['p', agentPk]]));
+    assert.equal(book.handle(delivery()), null);
+    assert.equal(book.get(address).state, 'open');
+    assert.deepEqual(book.get(address).deliveries, []);
+
+    // The award lets the held delivery through
+    assert.equal(book.handle(task([['p', agentPk], ['status', 'awarded']])).state, 'delivered');
+  });
+
+  it('only takes resolutions from the poster or arbiter', () => {
+    const arbiterSk = generateSecretKey();
+    const book = createTaskBook();
+    book.handle(task([['p', agentPk], ['status', 'awarded'], ['arbiter', getPublicKey(arbiterSk)]]));
+    book.handle(delivery());
+
+    assert.equal(book.handle(sign(KINDS.RESOLUTION, [['a', address], ['status', 'approved']], strangerSk)), null);
+    assert.equal(book.handle(sign(KINDS.RESOLUTION, [['a', address], ['status', 'approved']], agentSk)), null);
+    assert.equal(book.get(address).resolution, null);
+    assert.equal(book.handle(sign(KINDS.RESOLUTION, [['a', address], ['status', 'rejected']], arbiterSk)).state, 'disputed');
+    assert.equal(book.handle(resolution('approved')).state, 'resolved');
+  });
+
+  it('drops early resolutions by event id once the task shows the sender had no say', () => {
+    const book = createTaskBook();
+    const original = task();
+    book.handle(sign(KINDS.RESOLUTION, [['e', original.id], ['status', 'approved']], strangerSk));
+    const t = book.handle(original);
+    assert.equal(t.resolution, null);
+    assert.equal(t.state, 'open');
+  });
+
+  it('keeps a bounded number of tasks it only knows from activity', () => {
+    const book = createTaskBook();
+    // The book trusts its caller with signatures, so unsigned spam will do
+    for (let i = 0; i < 1100; i++) {
+      const ref = i.toString(16).padStart(64, '0');
+      book.handle({ kind: KINDS.BID, id: `b${ref}`, pubkey: 'ee'.repeat(32), created_at: clock, content: '', tags: [['e', ref]] });
+    }
+    assert.equal(book.list().length, 1000);
+  });
+});
+
+describe('inbox tasks', () => {
+  it('tracks own tasks without notifying about them', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [], channels: MARKETPLACE_ONLY });
+    const notifications = [];
+    const updates = [];
+    inbox.on('notification', (n) => notifications.push(n));
+    inbox.on('task_updated', (u) => updates.push(u.state));
+
+    await inbox.ingest(task());
+    await inbox.ingest(bid(2500));
+
+    assert.deepEqual(updates, ['open', 'bidding']);
+    assert.deepEqual(notifications.map(n => n.type), ['marketplace_bid']);
+    assert.equal(notifications[0].marketplace.amountSats, 2500);
+    assert.deepEqual(inbox.tasks().map(t => [t.id, t.state]), [[address, 'bidding']]);
+    assert.equal(inbox.task(address).title, 'Design a logo');
+  });
+
+  it('notifies about tasks addressed to us', async () => {
+    const inbox = createInbox({ pubkey: agentPk, relays: [], channels: MARKETPLACE_ONLY });
+    const notifications = [];
+    inbox.on('notification', (n) => notifications.push(n));
+
+    await inbox.ingest(task([['p', agentPk]]));
+    assert.equal(notifications[0].type, 'marketplace_task');
+    assert.equal(notifications[0].priority, 'high');
+    assert.equal(notifications[0].task.budgetSats, 5000);
+    assert.equal(inbox.tasks()[0].state, 'open');
+  });
+});
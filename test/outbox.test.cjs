@@ -0,0 +1,187 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, poll, buildFilters, parseRelayList, parseDmRelayList, routeFilters } = require('../src/index.cjs');
+const { normalizeRelayUrl, resolveOutboxRelays } = require('../src/outbox.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const otherSk = generateSecretKey();
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function relayList(urls, createdAt = now()) {
+  return finalizeEvent({ kind: 10002, created_at: createdAt, tags: urls.map(u => ['r', u]), content: '' }, mySk);
+}
+
+function dmRelayList(urls, createdAt = now()) {
+  return finalizeEvent({ kind: 10050, created_at: createdAt, tags: urls.map(u => ['relay', u]), content: '' }, mySk);
+}
+
+function mention(content) {
+  return finalizeEvent({ kind: 1, created_at: now(), tags: [['p', myPk]], content }, otherSk);
+}
+
+function dm(content) {
+  return finalizeEvent({ kind: 4, created_at: now(), tags: [['p', myPk]], content }, otherSk);
+}
+
+const MENTIONS_AND_DMS = {
+  mentions: true, dms: true, dvmRequests: false, dvmResults: false,
+  zaps: false, reactions: false, trust: false, marketplace: false
+};
+
+describe('relay lists', () => {
+  it('splits NIP-65 tags into read and write relays', () => {
+    const { read, write } = parseRelayList({
+      kind: 10002,
+      tags: [
+        ['r', 'wss://both.example/'],
+        ['r', 'wss://in.example', 'read'],
+        ['r', 'wss://out.example', 'write'],
+        ['r', 'https://not-a-relay.example'],
+        ['p', 'ignored']
+      ]
+    });
+    assert.deepEqual(read, ['wss://both.example', 'wss://in.example']);
+    assert.deepEqual(write, ['wss://both.example', 'wss://out.example']);
+  });
+
+  it('parses kind 10050 DM relays', () => {
+    const urls = parseDmRelayList({ kind: 10050, tags: [['relay', 'wss://dm.example'], ['relay', 'wss://dm.example/'], ['r', 'wss://x.example']] });
+    assert.deepEqual(urls, ['wss://dm.example']);
+  });
+
+  it('normalizes relay URLs', () => {
+    assert.equal(normalizeRelayUrl(' WSS://Relay.Example/ '), 'wss://relay.example');
+    assert.equal(normalizeRelayUrl('wss://relay.example/path/'), 'wss://relay.example/path');
+    assert.equal(normalizeRelayUrl('not a url'), null);
+  });
+
+  it('falls back to bootstrap relays, and DMs to read relays', () => {
+    const bootstrap = ['wss://boot.example'];
+    assert.deepEqual(resolveOutboxRelays({}, bootstrap), {
+      read: ['wss://boot.example'], write: ['wss://boot.example'], dm: ['wss://boot.example'], all: ['wss://boot.example']
+    });
+
+    const { read, write, dm: dmRelays, all } = resolveOutboxRelays({ relayList: relayList(['wss://read.example']) }, bootstrap);
+    assert.deepEqual(read, ['wss://read.example']);
+    assert.deepEqual(write, ['wss://read.example']);
+    assert.deepEqual(dmRelays, ['wss://read.example']);
+    assert.deepEqual(all, ['wss://boot.example', 'wss://read.example']);
+
+    const marked = finalizeEvent({
+      kind: 10002, created_at: now(), content: '', tags: [['r', 'wss://in.example', 'read'], ['r', 'wss://out.example', 'write']]
+    }, mySk);
+    const split = resolveOutboxRelays({ relayList: marked }, bootstrap);
+    assert.deepEqual([split.read, split.write], [['wss://in.example'], ['wss://out.example']]);
+    assert.ok(split.all.includes('wss://out.example'));
+  });
+});
+
+describe('routeFilters', () => {
+  it('sends DM filters to DM relays and the rest to read relays', () => {
+    const filters = buildFilters(myPk, MENTIONS_AND_DMS, 1);
+    const routes = routeFilters(filters, { read: ['wss://read.example'], dm: ['wss://dm.example'] });
+
+    const readKinds = routes.get('wss://read.example').flatMap(f => f.kinds);
+    const dmKinds = routes.get('wss://dm.example').flatMap(f => f.kinds);
+    assert.ok(readKinds.includes(1));
+    assert.ok(!readKinds.includes(4) && !readKinds.includes(1059));
+    assert.deepEqual(dmKinds.sort((a, b) => a - b), [4, 1059]);
+  });
+
+  it('sends filters for our own events to write relays', () => {
+    const filters = buildFilters(myPk, { ...MENTIONS_AND_DMS, dms: false, marketplace: true }, 1);
+    const routes = routeFilters(filters, { read: ['wss://read.example'], write: ['wss://write.example'], dm: [] });
+
+    const own = routes.get('wss://write.example');
+    assert.ok(own.length > 0 && own.every(f => f.authors && f.authors.includes(myPk)));
+    assert.ok(routes.get('wss://read.example').every(f => !f.authors));
+  });
+});
+
+describe('outbox inbox', () => {
+  it('routes subscriptions and follows relay list updates', async () => {
+    const bootstrap = await startMockRelay();
+    const readRelay = await startMockRelay();
+    const dmRelay = await startMockRelay();
+    const newRelay = await startMockRelay();
+
+    bootstrap.publish(relayList([readRelay.url], now() - 10));
+    bootstrap.publish(dmRelayList([dmRelay.url], now() - 10));
+    readRelay.publish(mention('hello'));
+    dmRelay.publish(dm('abc?iv=def'));
+
+    const inbox = createInbox({
+      pubkey: myPk,
+      outbox: true,
+      bootstrapRelays: [bootstrap.url],
+      channels: MENTIONS_AND_DMS,
+      since: 1
+    });
+    const received = [];
+    const updates = [];
+    inbox.on('notification', (n) => received.push(n));
+    inbox.on('relays_updated', (u) => updates.push(u));
+
+    try {
+      await inbox.start();
+      await waitUntil(() => received.length === 2);
+
+      assert.deepEqual(received.map(n => n.type).sort(), ['dm', 'mention']);
+      assert.deepEqual(inbox.status().relays.outbox, { read: [readRelay.url], write: [readRelay.url], dm: [dmRelay.url] });
+
+      const reqKinds = (relay) => relay.received
+        .filter(m => m[0] === 'REQ')
+        .flatMap(m => m.slice(2).flatMap(f => f.kinds));
+      assert.ok(!reqKinds(readRelay).includes(4));
+      assert.ok(reqKinds(dmRelay).includes(4));
+      assert.ok(!reqKinds(dmRelay).includes(1));
+
+      // Publishing a new list moves the inbox to the new read relay
+      bootstrap.publish(relayList([newRelay.url]));
+      await waitUntil(() => updates.length === 1);
+      assert.deepEqual(updates[0].added, [newRelay.url]);
+      assert.deepEqual(updates[0].removed, [readRelay.url]);
+
+      newRelay.publish(mention('moved'));
+      await waitUntil(() => received.length === 3);
+      assert.equal(received[2].content, 'moved');
+      await waitUntil(() => readRelay.sockets.size === 0);
+      assert.deepEqual(Object.keys(inbox.status().relays.states).sort(), [bootstrap.url, dmRelay.url, newRelay.url].sort());
+    } finally {
+      await inbox.stop();
+      await Promise.all([bootstrap, readRelay, dmRelay, newRelay].map(r => r.close()));
+    }
+  });
+
+  it('routes filters during poll', async () => {
+    const bootstrap = await startMockRelay();
+    const readRelay = await startMockRelay();
+
+    bootstrap.publish(relayList([readRelay.url]));
+    bootstrap.publish(mention('not here'));
+    readRelay.publish(mention('here'));
+
+    try {
+      const result = await poll({
+        pubkey: myPk,
+        outbox: true,
+        bootstrapRelays: [bootstrap.url],
+        channels: MENTIONS_AND_DMS,
+        since: 1,
+        timeoutMs: 2000
+      });
+      assert.deepEqual(result.outbox, { read: [readRelay.url], write: [readRelay.url], dm: [readRelay.url] });
+      assert.deepEqual(result.notifications.map(n => n.content), ['here']);
+    } finally {
+      await Promise.all([bootstrap, readRelay].map(r => r.close()));
+    }
+  });
+});
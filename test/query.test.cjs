@@ -0,0 +1,48 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { WebSocketServer } = require('ws');
+
+const { queryRelays } = require('../src/query.cjs');
+const { waitUntil } = require('./helpers/mock-relay.cjs');
+
+/**
+ * A relay that accepts the WebSocket upgrade only after `delayMs`
+ */
+async function startSlowRelay(delayMs) {
+  const server = http.createServer();
+  const wss = new WebSocketServer({ noServer: true });
+  const sockets = [];
+  server.on('upgrade', (req, socket, head) => {
+    setTimeout(() => wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.closed = false;
+      ws.on('close', () => { ws.closed = true; });
+      sockets.push(ws);
+    }), delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    sockets,
+    close() {
+      for (const ws of sockets) ws.terminate();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+describe('queryRelays', () => {
+  it('closes a connection that completes after the timeout', async () => {
+    const relay = await startSlowRelay(150);
+    try {
+      assert.deepEqual(await queryRelays([relay.url], [{ kinds: [1] }], { timeoutMs: 50 }), []);
+      await waitUntil(() => relay.sockets.length === 1);
+      await waitUntil(() => relay.sockets[0].closed);
+    } finally {
+      await relay.close();
+    }
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, parseReaction, summarizeReactions } = require('../src/index.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+
+const NOTE = 'aa'.repeat(32);
+const OTHER_NOTE = 'bb'.repeat(32);
+
+function react(content, target = NOTE, extraTags = [], createdAt = Math.floor(Date.now() / 1000)) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind: 7,
+    created_at: createdAt,
+    content,
+    tags: [['e', target], ['p', myPk], ['k', '1'], ...extraTags]
+  }, generateSecretKey())));
+}
+
+describe('parseReaction', () => {
+  it('normalizes likes and dislikes', () => {
+    assert.equal(parseReaction(react('+')).emoji, '👍');
+    assert.equal(parseReaction(react('')).sentiment, 'like');
+    assert.deepEqual(
+      [parseReaction(react('-')).emoji, parseReaction(react('-')).sentiment],
+      ['👎', 'dislike']
+    );
+    assert.deepEqual(
+      [parseReaction(react('🔥')).emoji, parseReaction(react('🔥')).sentiment],
+      ['🔥', 'emoji']
+    );
+  });
+
+  it('resolves the target from the last e / p tags', () => {
+    const event = react('+');
+    event.tags = [['e', 'root'.padEnd(64, '0')], ['p', 'someone'], ['e', NOTE], ['p', myPk], ['k', '1111']];
+    const reaction = parseReaction(event);
+    assert.equal(reaction.eventId, NOTE);
+    assert.equal(reaction.author, myPk);
+    assert.equal(reaction.kind, 1111);
+  });
+
+  it('resolves NIP-30 custom emoji', () => {
+    const reaction = parseReaction(react(':soapbox:', NOTE, [['emoji', 'soapbox', 'https://example.com/soapbox.png']]));
+    assert.equal(reaction.shortcode, 'soapbox');
+    assert.equal(reaction.url, 'https://example.com/soapbox.png');
+    assert.equal(reaction.emoji, ':soapbox:');
+
+    assert.equal(parseReaction(react(':unknown:')).url, null);
+  });
+});
+
+describe('summarizeReactions', () => {
+  const notification = (event) => ({
+    id: event.id, type: 'reaction', priority: 'low', from: event.pubkey, content: event.content,
+    kind: 7, tags: event.tags, createdAt: event.created_at * 1000, raw: event, reaction: parseReaction(event)
+  });
+
+  it('merges reactions on the same note and leaves the rest alone', () => {
+    const mention = { id: 'm', type: 'mention', priority: 'medium', createdAt: 0 };
+    const a = notification(react('+', NOTE, [], 100));
+    const b = notification(react('🔥', NOTE, [], 200));
+    const c = notification(react('+', NOTE, [], 300));
+    const lone = notification(react('+', OTHER_NOTE, [], 150));
+
+    const result = summarizeReactions([c, lone, b, mention, a]);
+    assert.equal(result.length, 3);
+    assert.equal(result[0].type, 'reactions_summary');
+    assert.equal(result[1], lone);
+    assert.equal(result[2], mention);
+
+    const { summary, reactions, content } = result[0];
+    assert.equal(summary.target, NOTE);
+    assert.equal(summary.count, 3);
+    assert.deepEqual(summary.emojis, { '👍': 2, '🔥': 1 });
+    assert.equal(summary.firstAt, 100000);
+    assert.equal(summary.lastAt, 300000);
+    assert.deepEqual(reactions, [a, b, c]);
+    assert.match(content, /^3 reactions on your note 👍 🔥$/);
+  });
+
+  it('groups by the parsed reaction, whatever the type', () => {
+    const renamed = [react('+'), react('+')].map(e => ({ ...notification(e), type: 'kudos' }));
+    const result = summarizeReactions(renamed);
+    assert.deepEqual(result.map(n => n.type), ['reactions_summary']);
+  });
+
+  it('respects minCount', () => {
+    const pair = [notification(react('+')), notification(react('+'))];
+    assert.equal(summarizeReactions(pair, { minCount: 3 }).length, 2);
+  });
+});
+
+describe('reaction aggregation in the inbox', () => {
+  it('emits one summary per burst, and singles as-is', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [], aggregateReactions: { windowMs: 50 } });
+    const received = [];
+    inbox.on('notification', (n) => received.push(n));
+
+    for (let i = 0; i < 5; i++) await inbox.ingest(react('+'));
+    await inbox.ingest(react('❤️', OTHER_NOTE));
+    assert.equal(received.length, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(received.map(n => n.type).sort(), ['reaction', 'reactions_summary']);
+    const summary = received.find(n => n.type === 'reactions_summary');
+    assert.equal(summary.summary.count, 5);
+    assert.equal(summary.summary.reactors.length, 5);
+  });
+
+  it('still aggregates reactions a rule renamed', async () => {
+    const inbox = createInbox({
+      pubkey: myPk, relays: [], aggregateReactions: true,
+      rules: [{ match: { type: 'reaction' }, type: 'kudos' }]
+    });
+    const received = [];
+    inbox.on('notification', (n) => received.push(n));
+
+    await inbox.ingest(react('+'));
+    await inbox.ingest(react('🔥'));
+    await inbox.stop();
+    assert.deepEqual(received.map(n => [n.type, n.summary && n.summary.count]), [['reactions_summary', 2]]);
+  });
+
+  it('flushes held reactions on stop', async () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [], aggregateReactions: true });
+    const received = [];
+    inbox.on('notification', (n) => received.push(n));
+
+    await inbox.ingest(react('+'));
+    await inbox.ingest(react('+'));
+    await inbox.stop();
+    assert.equal(received.length, 1);
+    assert.equal(received[0].summary.count, 2);
+  });
+});
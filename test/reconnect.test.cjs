@@ -0,0 +1,149 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox } = require('../src/index.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const TEST_PUBKEY = 'dc52438efbf965d35738743daf9f7c718976462b010aa4e5ed24e569825bae94';
+const sk = generateSecretKey();
+
+function mention(content, createdAt = Math.floor(Date.now() / 1000)) {
+  return finalizeEvent({
+    kind: 1,
+    created_at: createdAt,
+    tags: [['p', TEST_PUBKEY]],
+    content
+  }, sk);
+}
+
+describe('Relay reconnection', () => {
+  it('reconnects and resubscribes after a connection drops', async () => {
+    const relay = await startMockRelay();
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, relays: [relay.url], reconnectMs: 20 });
+    const log = [];
+    const received = [];
+    inbox.on('connected', () => log.push('connected'));
+    inbox.on('disconnected', () => log.push('disconnected'));
+    inbox.on('reconnecting', ({ attempt }) => log.push(`reconnecting:${attempt}`));
+    inbox.on('notification', (n) => received.push(n.content));
+
+    try {
+      await inbox.start();
+      relay.publish(mention('before'));
+      await waitUntil(() => received.length === 1);
+
+      relay.dropAll();
+      await waitUntil(() => log.filter(l => l === 'connected').length === 2);
+      assert.deepEqual(log, ['connected', 'disconnected', 'reconnecting:1', 'connected']);
+
+      // The new subscription starts from the cursor, and dedup drops the replay
+      // (REQs without `since` are the trust history lookup)
+      const subscriptions = () => relay.received.filter(m => m[0] === 'REQ' && m[2].since != null);
+      await waitUntil(() => subscriptions().length === 2);
+      const reqs = subscriptions();
+      assert.ok(reqs[1][2].since >= reqs[0][2].since);
+
+      relay.publish(mention('after'));
+      await waitUntil(() => received.length === 2);
+      assert.deepEqual(received, ['before', 'after']);
+
+      const state = inbox.status().relays.states[relay.url];
+      assert.equal(state.connected, true);
+      assert.equal(state.attempts, 0);
+      assert.equal(state.lastError, 'connection closed');
+      assert.ok(state.lastEventAt);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('resubscribes from now at the latest after a future-dated event', async () => {
+    const relay = await startMockRelay();
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, relays: [relay.url], reconnectMs: 20 });
+    const received = [];
+    inbox.on('notification', (n) => received.push(n.content));
+
+    try {
+      await inbox.start();
+      relay.publish(mention('spoofed', Math.floor(Date.now() / 1000) + 86400));
+      await waitUntil(() => received.length === 1);
+
+      relay.dropAll();
+      const subscriptions = () => relay.received.filter(m => m[0] === 'REQ' && m[2].since != null);
+      await waitUntil(() => subscriptions().length === 2);
+      assert.ok(subscriptions()[1][2].since <= Math.floor(Date.now() / 1000));
+
+      relay.publish(mention('real'));
+      await waitUntil(() => received.length === 2);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('reports subscriptions the relay refuses', async () => {
+    const relay = await startMockRelay({
+      onMessage(msg, socket, send) {
+        if (msg[0] !== 'REQ' || msg[2].since == null) return false;
+        send(socket, ['CLOSED', msg[1], 'rate-limited: slow down']);
+        return true;
+      }
+    });
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, relays: [relay.url] });
+    const errors = [];
+    inbox.on('error', (err) => errors.push(err));
+
+    try {
+      await inbox.start();
+      await waitUntil(() => errors.length === 1);
+      assert.deepEqual(errors[0], { relay: relay.url, error: 'subscription refused: rate-limited: slow down' });
+      assert.equal(inbox.status().relays.states[relay.url].lastError, 'subscription refused: rate-limited: slow down');
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('backs off while a relay stays down', async () => {
+    const relay = await startMockRelay();
+    const url = relay.url;
+    await relay.close();
+
+    const delays = [];
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, relays: [url], reconnectMs: 10, maxReconnectMs: 40 });
+    inbox.on('reconnecting', ({ delayMs }) => delays.push(delayMs));
+
+    try {
+      await inbox.start();
+      await waitUntil(() => delays.length >= 4);
+
+      const state = inbox.status().relays.states[url];
+      assert.equal(state.connected, false);
+      assert.ok(state.lastError);
+      assert.ok(delays[1] >= 10 && delays[1] <= 20, `second delay ${delays[1]}`);
+      assert.ok(delays.every(d => d <= 40), 'delays are capped');
+    } finally {
+      await inbox.stop();
+    }
+  });
+
+  it('does not reconnect after stop()', async () => {
+    const relay = await startMockRelay();
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, relays: [relay.url], reconnectMs: 10 });
+    let reconnecting = 0;
+    inbox.on('reconnecting', () => reconnecting++);
+
+    await inbox.start();
+    await inbox.stop();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(reconnecting, 0);
+    assert.equal(inbox.status().relays.states[relay.url].state, 'idle');
+    await relay.close();
+  });
+});
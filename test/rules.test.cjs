@@ -0,0 +1,121 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, compileRules, applyRules } = require('../src/index.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const otherSk = generateSecretKey();
+const otherPk = getPublicKey(otherSk);
+
+function notification(fields) {
+  return { type: 'mention', priority: 'medium', from: otherPk, kind: 1, content: '', tags: [], ...fields };
+}
+
+describe('applyRules', () => {
+  it('sets priority, renames the type and adds labels', () => {
+    const n = applyRules([
+      { match: { type: 'mention', tags: { t: ['outage', 'deploy'] } }, priority: 'high', labels: ['ops'] },
+      { match: { kind: 1 }, labels: 'seen-by-rules' },
+      { match: { dvmKind: 5100 }, type: 'image_job' }
+    ], notification({ tags: [['p', myPk], ['t', 'outage']] }));
+
+    assert.equal(n.priority, 'high');
+    assert.equal(n.type, 'mention');
+    assert.deepEqual(n.labels, ['ops', 'seen-by-rules']);
+  });
+
+  it('matches content as a case-insensitive regex, preferring plaintext', () => {
+    const rules = [{ match: { content: 'urgent' }, priority: 'high' }];
+    assert.equal(applyRules(rules, notification({ content: 'URGENT: help' })).priority, 'high');
+    assert.equal(applyRules(rules, notification({ content: 'abc?iv=def', plaintext: 'urgent' })).priority, 'high');
+    assert.equal(applyRules(rules, notification({ content: 'fine' })).priority, 'medium');
+    assert.equal(applyRules([{ match: { content: { pattern: 'urgent', flags: '' } }, priority: 'high' }],
+      notification({ content: 'URGENT' })).priority, 'medium');
+  });
+
+  it('ignores the stateful g and y flags', () => {
+    const apply = compileRules([{ match: { content: { pattern: 'urgent', flags: 'gi' } }, priority: 'high' }]);
+    for (let i = 0; i < 3; i++) {
+      assert.equal(apply(notification({ content: 'urgent' })).priority, 'high');
+    }
+  });
+
+  it('requires every condition and accepts lists', () => {
+    const rules = [{ match: { kind: [7, 9735], from: otherPk }, priority: 'high' }];
+    assert.equal(applyRules(rules, notification({ kind: 7 })).priority, 'high');
+    assert.equal(applyRules(rules, notification({ kind: 1 })).priority, 'medium');
+    assert.equal(applyRules(rules, notification({ kind: 7, from: myPk })).priority, 'medium');
+  });
+
+  it('runs in order, later rules see earlier changes, stop ends evaluation', () => {
+    const rules = [
+      { match: { dvmKind: 5100 }, type: 'image_job' },
+      { match: { type: 'image_job' }, priority: 'low', stop: true },
+      { match: {}, priority: 'high' }
+    ];
+    const n = applyRules(rules, notification({ type: 'dvm_request', priority: 'high', kind: 5100, dvmKind: 5100 }));
+    assert.equal(n.type, 'image_job');
+    assert.equal(n.priority, 'low');
+  });
+
+  it('drops events', () => {
+    assert.equal(applyRules([{ match: { from: otherPk }, drop: true }], notification()), null);
+  });
+
+  it('does not mutate the input', () => {
+    const input = notification();
+    applyRules([{ match: {}, priority: 'low', labels: ['x'] }], input);
+    assert.equal(input.priority, 'medium');
+    assert.equal(input.labels, undefined);
+  });
+
+  it('rejects invalid rules up front', () => {
+    assert.throws(() => compileRules({}), /rules must be an array/);
+    assert.throws(() => compileRules([{ match: { knd: 1 } }]), /rules\[0\]: unknown match key "knd"/);
+    assert.throws(() => compileRules([{ name: 'x', priority: 'urgent' }]), /rules\[0\] \(x\): priority must be/);
+    assert.throws(() => compileRules([{ match: { content: '(' } }]), /invalid content regex/);
+    assert.throws(() => compileRules([{ sett: {} }]), /unknown key "sett"/);
+  });
+});
+
+describe('rules in the inbox', () => {
+  it('applies rules from a file and skips dropped events', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nostr-inbox-rules-'));
+    const file = path.join(dir, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify([
+      { match: { type: 'reaction', content: '🔥' }, priority: 'high', labels: ['hot'], stop: true },
+      { match: { type: 'reaction' }, drop: true, name: 'ignore other reactions' }
+    ]));
+
+    const inbox = createInbox({ pubkey: myPk, relays: [], rules: file });
+    const received = [];
+    inbox.on('notification', (n) => received.push(n));
+
+    const react = (content) => finalizeEvent({
+      kind: 7, created_at: Math.floor(Date.now() / 1000), tags: [['p', myPk]], content
+    }, otherSk);
+
+    try {
+      await inbox.ingest(react('🔥'));
+      await inbox.ingest(react('+'));
+
+      assert.equal(received.length, 1);
+      assert.equal(received[0].priority, 'high');
+      assert.deepEqual(received[0].labels, ['hot']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('throws on invalid rules when created', () => {
+    assert.throws(() => createInbox({ pubkey: myPk, rules: [{ priority: 'nope' }] }), /priority must be/);
+  });
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, createServer } = require('../src/index.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const myPk = getPublicKey(generateSecretKey());
+const sk = generateSecretKey();
+
+function event(kind, content, created_at = Math.floor(Date.now() / 1000)) {
+  const tags = kind === 7 ? [['p', myPk], ['e', 'aa'.repeat(32)]] : [['p', myPk]];
+  return JSON.parse(JSON.stringify(finalizeEvent({ kind, created_at, content, tags }, sk)));
+}
+
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: body ? JSON.parse(body) : null }));
+    }).on('error', reject);
+  });
+}
+
+async function withServer(opts, fn) {
+  const inbox = createInbox({ pubkey: myPk, relays: [] });
+  const server = createServer({ inbox, ...opts });
+  const { url } = await server.listen(0);
+  try {
+    await fn(inbox, url, server);
+  } finally {
+    await server.close();
+  }
+}
+
+describe('createServer', () => {
+  it('serves status and filtered history', async () => {
+    await withServer({}, async (inbox, url) => {
+      const old = Math.floor(Date.now() / 1000) - 600;
+      await inbox.ingest(event(1, 'old mention', old));
+      await inbox.ingest(event(1, 'hello'));
+      await inbox.ingest(event(7, '+'));
+
+      const status = await get(`${url}/status`);
+      assert.equal(status.status, 200);
+      assert.equal(status.body.running, false);
+
+      const all = await get(`${url}/notifications`);
+      assert.deepEqual(all.body.notifications.map(n => n.content), ['+', 'hello', 'old mention']);
+      const filtered = await get(`${url}/notifications?types=mention&since=${old}`);
+      assert.deepEqual(filtered.body.notifications.map(n => n.content), ['hello']);
+      const medium = await get(`${url}/notifications?priority=medium,high&limit=1`);
+      assert.deepEqual(medium.body.notifications.map(n => n.content), ['hello']);
+
+      assert.equal((await get(`${url}/notifications?since=yesterday`)).status, 400);
+      assert.equal((await get(`${url}/nope`)).status, 404);
+    });
+  });
+
+  it('keeps the initial sync when listening before start (as serve does)', async () => {
+    const relay = await startMockRelay();
+    relay.publish(event(1, 'while we were away'));
+    const inbox = createInbox({ pubkey: myPk, relays: [relay.url], since: Math.floor(Date.now() / 1000) - 60 });
+    const server = createServer({ inbox });
+    const { url } = await server.listen(0);
+    const seen = [];
+    inbox.on('notification', (n) => seen.push(n));
+    try {
+      await inbox.start();
+      await waitUntil(() => seen.length === 1);
+      const history = await get(`${url}/notifications`);
+      assert.deepEqual(history.body.notifications.map(n => n.content), ['while we were away']);
+    } finally {
+      await server.close();
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('requires the bearer token when set', async () => {
+    await withServer({ token: 's3cret' }, async (inbox, url) => {
+      assert.equal((await get(`${url}/status`)).status, 401);
+      assert.equal((await get(`${url}/status`, { Authorization: 'Bearer wrong' })).status, 401);
+      assert.equal((await get(`${url}/status`, { Authorization: 'Bearer s3cret' })).status, 200);
+      assert.equal((await get(`${url}/status?token=s3cret`)).status, 200);
+      // Same string length, different byte length
+      assert.equal((await get(`${url}/status?token=${encodeURIComponent('á3cret')}`)).status, 401);
+      assert.equal((await get(`${url}/status`)).status, 401);
+
+      const ws = new WebSocket(`${url.replace('http', 'ws')}/ws`);
+      const error = await new Promise(resolve => ws.on('unexpected-response', (req, res) => resolve(res.statusCode)));
+      assert.equal(error, 401);
+    });
+  });
+
+  it('streams notifications over SSE with filters and replay', async () => {
+    await withServer({}, async (inbox, url) => {
+      await inbox.ingest(event(1, 'before'));
+      const since = Math.floor(Date.now() / 1000) - 60;
+
+      let raw = '';
+      const req = http.get(`${url}/events?types=mention&since=${since}`, (res) => {
+        assert.equal(res.headers['content-type'], 'text/event-stream');
+        res.on('data', chunk => { raw += chunk; });
+      });
+      await waitUntil(() => raw.includes('before'));
+
+      await inbox.ingest(event(7, '+'));
+      await inbox.ingest(event(1, 'after'));
+      await waitUntil(() => raw.includes('after'));
+      req.destroy();
+
+      const messages = raw.split('\n\n').filter(block => block.startsWith('event:'));
+      assert.deepEqual(messages.map(block => JSON.parse(block.split('data: ')[1]).content), ['before', 'after']);
+      assert.ok(messages[0].startsWith('event: notification\nid: '));
+    });
+  });
+
+  it('streams notifications and digests over WebSocket', async () => {
+    await withServer({}, async (inbox, url, server) => {
+      const ws = new WebSocket(`${url.replace('http', 'ws')}/ws?priority=medium`);
+      const messages = [];
+      ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+      await new Promise(resolve => ws.on('open', resolve));
+      await waitUntil(() => server.clients() === 1);
+
+      await inbox.ingest(event(7, '+'));
+      await inbox.ingest(event(1, 'hi'));
+      inbox.emitter.emit('digest', { total: 2 });
+      await waitUntil(() => messages.length === 2);
+
+      assert.deepEqual(messages.map(m => m.type), ['notification', 'digest']);
+      assert.equal(messages[0].notification.content, 'hi');
+      assert.equal(messages[1].digest.total, 2);
+      ws.close();
+    });
+  });
+});
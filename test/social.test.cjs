@@ -0,0 +1,188 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+const nip44 = require('nostr-tools/nip44');
+
+const { createInbox, poll, createSigner, parseMuteList, parseContactList } = require('../src/index.cjs');
+const { createSocialGraph } = require('../src/social.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function user() {
+  const sk = generateSecretKey();
+  return { sk, pk: getPublicKey(sk) };
+}
+
+const me = user();
+const friend = user();     // followed by me
+const fof = user();        // followed by friend
+const stranger = user();
+const troll = user();      // muted
+
+function sign(who, template) {
+  return JSON.parse(JSON.stringify(finalizeEvent({ created_at: now(), content: '', tags: [], ...template }, who.sk)));
+}
+
+const contacts = (who, follows, createdAt = now()) =>
+  sign(who, { kind: 3, created_at: createdAt, tags: follows.map(f => ['p', f.pk]) });
+
+const muteList = (tags, createdAt = now(), content = '') =>
+  sign(me, { kind: 10000, created_at: createdAt, tags, content });
+
+const mention = (who, content = 'hi', tags = []) =>
+  sign(who, { kind: 1, content, tags: [['p', me.pk], ...tags] });
+
+const reaction = (who) => sign(who, { kind: 7, content: '+', tags: [['p', me.pk]] });
+
+const MENTIONS_AND_REACTIONS = {
+  mentions: true, dms: false, dvmRequests: false, dvmResults: false,
+  zaps: false, reactions: true, trust: false, marketplace: false
+};
+
+describe('list parsing', () => {
+  it('reads follows from a contact list', () => {
+    const event = contacts(me, [friend, friend, stranger]);
+    event.tags.push(['p', 'not-a-pubkey'], ['t', 'nostr']);
+    assert.deepEqual(parseContactList(event), [friend.pk, stranger.pk]);
+  });
+
+  it('reads public and private mute list items', async () => {
+    const conversationKey = nip44.getConversationKey(me.sk, me.pk);
+    const secret = nip44.encrypt(JSON.stringify([['p', stranger.pk], ['word', 'Secret']]), conversationKey);
+    const event = muteList([['p', troll.pk], ['word', 'GM'], ['t', 'Spam'], ['e', 'ab'.repeat(32)]], now(), secret);
+
+    const publicOnly = await parseMuteList(event);
+    assert.deepEqual(publicOnly, { pubkeys: [troll.pk], words: ['gm'], hashtags: ['spam'], threads: ['ab'.repeat(32)] });
+
+    const withPrivate = await parseMuteList(event, createSigner(me.sk));
+    assert.deepEqual(withPrivate.pubkeys, [troll.pk, stranger.pk]);
+    assert.deepEqual(withPrivate.words, ['gm', 'secret']);
+  });
+});
+
+describe('mute and follows in the inbox', () => {
+  it('drops muted events, annotates distance and enforces maxDistance per channel', async () => {
+    const relay = await startMockRelay();
+    relay.publish(contacts(me, [friend], now() - 100));
+    relay.publish(contacts(friend, [fof]));
+    relay.publish(muteList([['p', troll.pk], ['word', 'airdrop'], ['t', 'spam']], now() - 100));
+
+    const inbox = createInbox({
+      pubkey: me.pk,
+      relays: [relay.url],
+      channels: MENTIONS_AND_REACTIONS,
+      mute: true,
+      maxDistance: { mentions: 2, reactions: 1 }
+    });
+    const received = [];
+    const suppressed = [];
+    inbox.on('notification', (n) => received.push(n));
+    inbox.on('suppressed', (s) => suppressed.push(s));
+
+    try {
+      await inbox.start();
+      assert.deepEqual(inbox.status().social, {
+        muted: { pubkeys: 1, words: 1, hashtags: 1, threads: 0 },
+        follows: 1,
+        followsOfFollows: 1
+      });
+
+      await inbox.ingest(mention(friend));
+      await inbox.ingest(mention(fof));
+      await inbox.ingest(reaction(fof));
+      await inbox.ingest(mention(stranger));
+      await inbox.ingest(mention(troll));
+      await inbox.ingest(mention(friend, 'free AIRDROP'));
+      await inbox.ingest(mention(friend, 'x', [['t', 'Spam']]));
+
+      assert.deepEqual(received.map(n => [n.from, n.type, n.distance]), [
+        [friend.pk, 'mention', 1],
+        [fof.pk, 'mention', 2]
+      ]);
+      assert.deepEqual(suppressed.map(s => s.reason), [
+        'outside social distance 1',
+        'outside social distance 2',
+        'muted pubkey',
+        'muted word "airdrop"',
+        'muted hashtag'
+      ]);
+
+      // Muting the friend takes effect live
+      relay.publish(muteList([['p', friend.pk]]));
+      await inbox.waitFor('social_updated', 2000);
+      await inbox.ingest(mention(friend, 'again'));
+      assert.equal(received.length, 2);
+      assert.equal(suppressed[suppressed.length - 1].reason, 'muted pubkey');
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('does not filter by distance before a contact list is known', async () => {
+    const inbox = createInbox({ pubkey: me.pk, relays: [], maxDistance: 1 });
+    const received = [];
+    inbox.on('notification', (n) => received.push(n));
+    await inbox.ingest(mention(stranger));
+    assert.equal(received.length, 1);
+    assert.equal(received[0].distance, undefined);
+  });
+
+  it('keeps the newest contact list when an older one finishes loading last', async () => {
+    // Hold back the follows-of-follows lookup for the older list
+    const relay = await startMockRelay({
+      onMessage(msg, socket, send) {
+        if (msg[0] !== 'REQ' || !msg[2].authors || !msg[2].authors.includes(friend.pk)) return false;
+        setTimeout(() => {
+          send(socket, ['EVENT', msg[1], relay.events.find(e => e.pubkey === friend.pk)]);
+          send(socket, ['EOSE', msg[1]]);
+        }, 100);
+        return true;
+      }
+    });
+    relay.publish(contacts(friend, [fof]));
+    const graph = createSocialGraph({ pubkey: me.pk, follows: true, relays: () => [relay.url] });
+    try {
+      const older = graph.update(contacts(me, [friend], now() - 10));
+      const newer = graph.update(contacts(me, [stranger], now()));
+      assert.deepEqual(await Promise.all([older, newer]), [false, true]);
+      assert.equal(graph.distance(stranger.pk), 1);
+      assert.equal(graph.distance(friend.pk), null);
+      assert.equal(graph.distance(fof.pk), null);
+    } finally {
+      await relay.close();
+    }
+  });
+
+  it('applies the same checks during poll', async () => {
+    const relay = await startMockRelay();
+    relay.publish(contacts(me, [friend]));
+    relay.publish(muteList([['p', troll.pk]]));
+    relay.publish(mention(friend));
+    relay.publish(mention(stranger));
+    relay.publish(mention(troll));
+
+    try {
+      const result = await poll({
+        pubkey: me.pk,
+        relays: [relay.url],
+        channels: MENTIONS_AND_REACTIONS,
+        since: 1,
+        mute: true,
+        follows: true,
+        timeoutMs: 2000
+      });
+      assert.deepEqual(result.notifications.map(n => [n.from, n.distance]).sort(), [
+        [friend.pk, 1],
+        [stranger.pk, null]
+      ].sort());
+      assert.deepEqual(result.suppressed.map(s => [s.from, s.reason]), [[troll.pk, 'muted pubkey']]);
+    } finally {
+      await relay.close();
+    }
+  });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { generateSecretKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, poll, createFileStore, createMemoryStore } = require('../src/index.cjs');
+const { startMockRelay } = require('./helpers/mock-relay.cjs');
+
+const TEST_PUBKEY = 'dc52438efbf965d35738743daf9f7c718976462b010aa4e5ed24e569825bae94';
+const sk = generateSecretKey();
+
+function mention(createdAt, content = 'hi') {
+  return finalizeEvent({ kind: 1, created_at: createdAt, tags: [['p', TEST_PUBKEY]], content }, sk);
+}
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nostr-inbox-'));
+  return path.join(dir, 'nested', 'state.json');
+}
+
+// ── File Store ─────────────────────────────────────────
+
+describe('createFileStore', () => {
+  it('returns null before anything is saved', async () => {
+    assert.equal(await createFileStore(tmpFile()).load(), null);
+  });
+
+  it('round-trips state through a JSON file', async () => {
+    const file = tmpFile();
+    await createFileStore(file).save({ cursor: 1700000000, seen: ['a', 'b'] });
+
+    const state = await createFileStore(file).load();
+    assert.equal(state.cursor, 1700000000);
+    assert.deepEqual(state.seen, ['a', 'b']);
+    assert.ok(state.updatedAt);
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['state.json']);
+  });
+
+  it('keeps the last of several quick saves', async () => {
+    const file = tmpFile();
+    const store = createFileStore(file);
+    await Promise.all([1, 2, 3].map(cursor => store.save({ cursor, seen: [] })));
+    assert.equal((await store.load()).cursor, 3);
+  });
+
+  it('fails loudly on a corrupt file', async () => {
+    const file = tmpFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{nope');
+    await assert.rejects(() => createFileStore(file).load(), /not valid JSON/);
+  });
+});
+
+// ── Inbox ──────────────────────────────────────────────
+
+describe('Inbox state', () => {
+  it('saves the cursor and seen IDs on stop', async () => {
+    const store = createMemoryStore();
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, relays: [], store, since: 1 });
+    await inbox.ingest(mention(1700000100));
+    await inbox.stop();
+
+    const state = await store.load();
+    assert.equal(state.cursor, 1700000100);
+    assert.equal(state.seen.length, 1);
+  });
+
+  it('resumes from the saved cursor without duplicates', async () => {
+    const file = tmpFile();
+    const event = mention(1700000200);
+
+    const first = createInbox({ pubkey: TEST_PUBKEY, relays: [], store: file, since: 1 });
+    await first.ingest(event);
+    await first.stop();
+
+    const second = createInbox({ pubkey: TEST_PUBKEY, relays: [], store: file, since: 1 });
+    const received = [];
+    second.on('notification', (n) => received.push(n));
+    await second.start();
+    assert.equal(second.status().latestTimestamp, 1700000200);
+
+    await second.ingest(event);                    // replayed by the relay
+    await second.ingest(mention(1700000201, 'new'));
+    await second.stop();
+
+    assert.deepEqual(received.map(n => n.content), ['new']);
+  });
+
+  it('never moves the cursor past now', async () => {
+    const store = createMemoryStore({ cursor: 4000000000, seen: [] }); // saved by an older version
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, relays: [], store });
+    await inbox.start();
+    const now = Math.floor(Date.now() / 1000);
+    assert.ok(inbox.status().latestTimestamp <= now);
+
+    await inbox.ingest(mention(now + 86400 * 365, 'from the future'));
+    await inbox.stop();
+    assert.ok((await store.load()).cursor <= Math.floor(Date.now() / 1000));
+  });
+
+  it('rejects a store without load/save', () => {
+    assert.throws(() => createInbox({ pubkey: TEST_PUBKEY, store: {} }), /load\(\) and save\(\)/);
+  });
+});
+
+// ── Poll ───────────────────────────────────────────────
+
+describe('Poll state', () => {
+  it('resumes from the stored cursor', async () => {
+    const store = createMemoryStore({ cursor: 1700000300, seen: [] });
+    const result = await poll({ pubkey: TEST_PUBKEY, relays: [], store });
+    assert.equal(result.since, 1700000300);
+    assert.equal((await store.load()).cursor, 1700000300);
+  });
+
+  it('does not save a future-dated event as the cursor', async () => {
+    const relay = await startMockRelay();
+    const now = Math.floor(Date.now() / 1000);
+    relay.publish(mention(now + 86400 * 365, 'from the future'));
+    const store = createMemoryStore({ cursor: now - 60, seen: [] });
+    try {
+      const result = await poll({ pubkey: TEST_PUBKEY, relays: [relay.url], store });
+      assert.equal(result.notifications.length, 1);
+      assert.ok((await store.load()).cursor <= Math.floor(Date.now() / 1000));
+    } finally {
+      await relay.close();
+    }
+  });
+
+  it('lets an explicit since override the cursor', async () => {
+    const store = createMemoryStore({ cursor: 1700000300, seen: [] });
+    const result = await poll({ pubkey: TEST_PUBKEY, relays: [], store, since: 1600000000 });
+    assert.equal(result.since, 1600000000);
+  });
+});
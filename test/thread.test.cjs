@@ -0,0 +1,185 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { nip19 } = require('nostr-tools');
+
+const { createInbox, parseThread, classifyEvent, buildFilters } = require('../src/index.cjs');
+const { startMockRelay } = require('./helpers/mock-relay.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const otherSk = generateSecretKey();
+const otherPk = getPublicKey(otherSk);
+const thirdSk = generateSecretKey();
+const thirdPk = getPublicKey(thirdSk);
+
+const ROOT = 'aa'.repeat(32);
+const PARENT = 'bb'.repeat(32);
+
+function sign(sk, template) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    created_at: Math.floor(Date.now() / 1000), content: '', tags: [], ...template
+  }, sk)));
+}
+
+describe('parseThread', () => {
+  it('reads NIP-10 root / reply markers', () => {
+    const thread = parseThread({
+      kind: 1,
+      tags: [
+        ['e', ROOT, 'wss://root.example', 'root', otherPk],
+        ['e', 'cc'.repeat(32), '', 'mention'],
+        ['e', PARENT, 'wss://parent.example', 'reply', myPk],
+        ['p', myPk]
+      ]
+    });
+    assert.deepEqual(thread, {
+      nip: 10,
+      root: { id: ROOT, relay: 'wss://root.example', pubkey: otherPk },
+      replyTo: { id: PARENT, relay: 'wss://parent.example', pubkey: myPk }
+    });
+  });
+
+  it('treats a lone root marker as a direct reply to the root', () => {
+    const thread = parseThread({ kind: 1, tags: [['e', ROOT, '', 'root']] });
+    assert.equal(thread.replyTo, thread.root);
+    assert.equal(thread.root.relay, null);
+  });
+
+  it('falls back to positional e tags', () => {
+    const thread = parseThread({ kind: 1, tags: [['e', ROOT], ['e', 'cc'.repeat(32)], ['e', PARENT]] });
+    assert.equal(thread.root.id, ROOT);
+    assert.equal(thread.replyTo.id, PARENT);
+  });
+
+  it('returns empty pointers for top-level notes', () => {
+    assert.deepEqual(parseThread({ kind: 1, tags: [['p', myPk]] }), { nip: 10, root: null, replyTo: null });
+  });
+
+  it('reads NIP-22 root scope and parent tags', () => {
+    const thread = parseThread({
+      kind: 1111,
+      tags: [
+        ['A', `30023:${myPk}:article`, 'wss://root.example'],
+        ['K', '30023'],
+        ['P', myPk],
+        ['e', PARENT, 'wss://parent.example', otherPk],
+        ['k', '1111'],
+        ['p', otherPk]
+      ]
+    });
+    assert.deepEqual(thread.root, {
+      id: null, address: `30023:${myPk}:article`, external: null, relay: 'wss://root.example', pubkey: myPk, kind: 30023
+    });
+    assert.deepEqual(thread.replyTo, {
+      id: PARENT, address: null, external: null, relay: 'wss://parent.example', pubkey: otherPk, kind: 1111
+    });
+  });
+
+  it('keeps external (I) roots', () => {
+    const thread = parseThread({ kind: 1111, tags: [['I', 'https://example.com'], ['K', 'web'], ['i', 'https://example.com'], ['k', 'web']] });
+    assert.equal(thread.root.external, 'https://example.com');
+    assert.equal(thread.root.kind, 'web');
+  });
+
+  it('ignores other kinds', () => {
+    assert.equal(parseThread({ kind: 7, tags: [['e', ROOT]] }), null);
+  });
+});
+
+describe('thread context in the inbox', () => {
+  it('marks replies to our notes and attaches the cached parent', async () => {
+    const relay = await startMockRelay();
+    const mine = sign(mySk, { kind: 1, content: 'my note' });
+    relay.publish(mine);
+
+    const inbox = createInbox({ pubkey: myPk, relays: [relay.url], fetchParents: true });
+    const received = [];
+    inbox.on('notification', (n) => received.push(n));
+
+    try {
+      // No pubkey on the e tag: the fetched parent confirms it's ours
+      const reply = (content) => sign(otherSk, {
+        kind: 1, content, tags: [['e', mine.id, '', 'root'], ['p', myPk], ['p', thirdPk]]
+      });
+      await inbox.ingest(reply('first'));
+      await inbox.ingest(reply('second'));
+
+      assert.equal(received.length, 2);
+      assert.equal(received[0].type, 'reply');
+      assert.equal(received[0].priority, 'high');
+      assert.equal(received[0].parent.content, 'my note');
+      assert.equal(received[0].thread.replyToMe, true);
+      assert.equal(received[1].thread.replyTo.pubkey, myPk);
+
+      // The second lookup came from the cache
+      assert.equal(relay.received.filter(m => m[0] === 'REQ').length, 1);
+
+      const unknown = sign(otherSk, { kind: 1, content: 'x', tags: [['e', PARENT, '', 'reply', thirdPk], ['p', myPk]] });
+      await inbox.ingest(unknown);
+      assert.equal(received[2].parent, null);
+      assert.equal(received[2].type, 'thread_participation');
+      assert.equal(received[2].thread.replyToMe, false);
+
+      // ...and only the fetched parent shows it answers someone else
+      const theirs = sign(thirdSk, { kind: 1, content: 'their note' });
+      relay.publish(theirs);
+      await inbox.ingest(sign(otherSk, { kind: 1, content: 'y', tags: [['e', theirs.id, '', 'reply'], ['p', myPk], ['p', thirdPk]] }));
+      assert.equal(received[3].type, 'thread_participation');
+      assert.equal(received[3].thread.replyTo.pubkey, thirdPk);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+});
+
+describe('note classification', () => {
+  const classify = (tags, content = '') => classifyEvent({ kind: 1, pubkey: otherPk, tags, content }, myPk);
+
+  it('replies to our events', () => {
+    assert.deepEqual(classify([['e', ROOT, '', 'reply', myPk], ['p', otherPk], ['p', myPk]]), { type: 'reply', priority: 'high' });
+    // No pubkey on the marker: the parent author is unknown, whatever the p-tag order
+    assert.equal(classify([['e', ROOT, '', 'root'], ['p', thirdPk], ['p', myPk]]).type, 'reply');
+    assert.deepEqual(classify([['e', ROOT, '', 'reply'], ['p', myPk], ['p', otherPk]]), { type: 'reply', priority: 'high' });
+    assert.equal(classifyEvent({
+      kind: 1111, pubkey: otherPk, content: '', tags: [['E', ROOT, '', myPk], ['e', ROOT, '', myPk], ['k', '1'], ['p', myPk]]
+    }, myPk).type, 'reply');
+  });
+
+  it('inherited p-tags in someone else\'s thread', () => {
+    assert.deepEqual(classify([['e', ROOT, '', 'root', thirdPk], ['e', PARENT, '', 'reply', thirdPk], ['p', myPk], ['p', thirdPk]]),
+      { type: 'thread_participation', priority: 'low' });
+  });
+
+  it('direct mentions by npub / nprofile', () => {
+    const inThread = [['e', ROOT, '', 'reply', thirdPk], ['p', myPk], ['p', thirdPk]];
+    assert.equal(classify(inThread, `cc nostr:${nip19.npubEncode(myPk)}`).type, 'mention');
+    assert.equal(classify(inThread, `nostr:${nip19.nprofileEncode({ pubkey: myPk, relays: ['wss://r.example'] })}`).type, 'mention');
+    assert.equal(classify(inThread, `nostr:${nip19.npubEncode(thirdPk)}`).type, 'thread_participation');
+    // Tagged outside any thread
+    assert.equal(classify([['p', myPk]], 'hi').type, 'mention');
+  });
+
+  it('quotes', () => {
+    assert.deepEqual(classify([['q', ROOT, '', myPk], ['p', myPk]]), { type: 'quote', priority: 'medium' });
+    assert.equal(classify([['q', ROOT, '', thirdPk], ['p', myPk]]).type, 'mention');
+  });
+
+  it('reposts', () => {
+    assert.deepEqual(classifyEvent({ kind: 6, pubkey: otherPk, tags: [['e', ROOT], ['p', myPk]], content: '' }, myPk),
+      { type: 'repost', priority: 'low' });
+    assert.equal(classifyEvent({ kind: 16, pubkey: otherPk, tags: [['p', myPk]], content: '' }, myPk).type, 'repost');
+  });
+
+  it('subscribes to reposts only when the channel is enabled', () => {
+    const hasReposts = (channels) => buildFilters(myPk, channels).some(f => f.kinds.includes(6));
+    assert.equal(hasReposts({}), false);
+    const filter = buildFilters(myPk, { reposts: true }).find(f => f.kinds.includes(6));
+    assert.deepEqual(filter, { kinds: [6, 16], '#p': [myPk] });
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox, parseAttestation, fetchTrust, KINDS } = require('../src/index.cjs');
+const { createTrustLedger } = require('../src/trust.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const aliceSk = generateSecretKey();
+const alicePk = getPublicKey(aliceSk);
+const bobSk = generateSecretKey();
+
+const TRUST_ONLY = {
+  mentions: false, dms: false, dvmRequests: false, dvmResults: false,
+  zaps: false, reactions: false, trust: true, marketplace: false
+};
+
+let clock = Math.floor(Date.now() / 1000) - 100;
+
+function attest(type, sk, tags = [], content = '', subject = myPk) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind: KINDS.LABEL,
+    created_at: clock++,
+    content,
+    tags: [['L', 'ai.wot'], ['l', type, 'ai.wot'], ['p', subject], ...tags]
+  }, sk)));
+}
+
+function revoke(attestation, sk) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind: KINDS.DELETION, created_at: clock++, content: '', tags: [['e', attestation.id], ['k', '1985']]
+  }, sk)));
+}
+
+describe('parseAttestation', () => {
+  it('reads type, score and attester', () => {
+    const event = attest('service-quality', aliceSk, [['score', '0.8']], 'fast and correct');
+    assert.deepEqual(parseAttestation(event), {
+      id: event.id, attester: alicePk, subject: myPk, type: 'service-quality', score: 0.8,
+      negative: false, content: 'fast and correct', createdAt: event.created_at
+    });
+  });
+
+  it('treats disputes, warnings and negative values as negative', () => {
+    assert.equal(parseAttestation(attest('general-trust', aliceSk)).score, 1);
+    assert.equal(parseAttestation(attest('general-trust', aliceSk, [['weight', '2']])).score, 2);
+    const dispute = parseAttestation(attest('dispute', aliceSk, [['score', '2']]));
+    assert.deepEqual([dispute.score, dispute.negative], [-2, true]);
+    assert.equal(parseAttestation(attest('service-quality', aliceSk, [['score', '-0.5']])).negative, true);
+  });
+
+  it('ignores labels outside ai.wot', () => {
+    const other = finalizeEvent({ kind: 1985, created_at: clock++, content: '', tags: [['L', 'ugc'], ['l', 'spam', 'ugc'], ['p', myPk]] }, aliceSk);
+    assert.equal(parseAttestation(other), null);
+  });
+});
+
+describe('createTrustLedger', () => {
+  it('keeps the newest attestation per attester and type', () => {
+    const ledger = createTrustLedger({ pubkey: myPk });
+    ledger.handle(attest('service-quality', aliceSk, [['score', '0.5']]));
+    ledger.handle(attest('service-quality', aliceSk, [['score', '1.5']]));
+    ledger.handle(attest('identity-continuity', aliceSk));
+    ledger.handle(attest('warning', bobSk, [], 'flaky'));
+    ledger.handle(attest('general-trust', bobSk, [], '', alicePk)); // not about us
+
+    const summary = ledger.summary();
+    assert.equal(summary.score, 1.5);
+    assert.equal(summary.attestations, 3);
+    assert.equal(summary.attesters, 2);
+    assert.equal(summary.negative, 1);
+    assert.deepEqual(summary.types['service-quality'], { count: 1, score: 1.5 });
+    assert.deepEqual(summary.types.warning, { count: 1, score: -1 });
+  });
+
+  it('revokes on deletion by the attester, in any order', () => {
+    const ledger = createTrustLedger({ pubkey: myPk });
+    const older = attest('general-trust', aliceSk, [['score', '1']]);
+    const newer = attest('general-trust', aliceSk, [['score', '3']]);
+    ledger.handle(older);
+    ledger.handle(newer);
+    assert.equal(ledger.summary().score, 3);
+
+    // Only the attester can revoke
+    assert.equal(ledger.handle(revoke(newer, bobSk)), false);
+    assert.equal(ledger.handle(revoke(newer, aliceSk)), true);
+    assert.equal(ledger.summary().score, 1);
+    assert.equal(ledger.summary().revoked, 1);
+
+    const later = createTrustLedger({ pubkey: myPk });
+    later.handle(revoke(older, aliceSk));
+    assert.equal(later.handle(older), false);
+    assert.equal(later.summary().attestations, 0);
+  });
+
+  it('only lists attesters whose attestations still count', () => {
+    const ledger = createTrustLedger({ pubkey: myPk });
+    const mine = attest('general-trust', aliceSk);
+    ledger.handle(mine);
+    ledger.handle(attest('warning', bobSk));
+    assert.deepEqual(ledger.attesters().sort(), [alicePk, getPublicKey(bobSk)].sort());
+
+    ledger.handle(revoke(mine, aliceSk));
+    assert.deepEqual(ledger.attesters(), [getPublicKey(bobSk)]);
+  });
+});
+
+describe('inbox trust score', () => {
+  it('loads past attestations, follows new ones and revocations', async () => {
+    const relay = await startMockRelay();
+    const past = attest('service-quality', aliceSk, [['score', '2']]);
+    relay.publish(past);
+    relay.publish(revoke(attest('general-trust', aliceSk), aliceSk));
+
+    const inbox = createInbox({ pubkey: myPk, relays: [relay.url], channels: TRUST_ONLY, since: clock });
+    const updates = [];
+    const notifications = [];
+    inbox.on('trust_updated', (summary) => updates.push(summary.score));
+    inbox.on('notification', (n) => notifications.push(n));
+    try {
+      await inbox.start();
+      await waitUntil(() => updates.length === 1);
+      assert.equal(inbox.status().trust.score, 2);
+
+      // Wait for the resubscription that watches Alice's deletions
+      await waitUntil(() => relay.received.some(m => m[0] === 'REQ' && m.slice(2).some(f => f.kinds && f.kinds.includes(KINDS.DELETION) && f.authors)));
+      const bad = attest('dispute', bobSk, [], 'never delivered');
+      relay.publish(bad);
+      await waitUntil(() => updates.length === 2);
+      assert.equal(notifications[0].priority, 'high');
+      assert.equal(notifications[0].attestation.type, 'dispute');
+
+      relay.publish(revoke(past, aliceSk));
+      await waitUntil(() => updates.length === 3);
+      assert.deepEqual(updates, [2, 1, -1]);
+      assert.equal(notifications.length, 1);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('batches new attesters into one resubscription', async () => {
+    const relay = await startMockRelay();
+    const inbox = createInbox({ pubkey: myPk, relays: [relay.url], channels: TRUST_ONLY, since: clock });
+    const updates = [];
+    inbox.on('trust_updated', (summary) => updates.push(summary.score));
+    // Live subscriptions, not fetchTrust's one-off queries
+    const reqs = () => relay.received.filter(m => m[0] === 'REQ' && m.slice(2).some(f => f.since)).length;
+    try {
+      await inbox.start();
+      await waitUntil(() => updates.length === 1 && reqs() === 1);
+      const before = reqs();
+
+      const keys = Array.from({ length: 5 }, () => generateSecretKey());
+      for (const sk of keys) relay.publish(attest('general-trust', sk));
+      await waitUntil(() => updates.length === 6);
+      assert.equal(reqs(), before);
+
+      const watching = (m) => m[0] === 'REQ' && m.slice(2).some(f => f.kinds && f.kinds.includes(KINDS.DELETION) && f.authors && f.authors.length === 5);
+      await waitUntil(() => relay.received.some(watching), 5000);
+      assert.equal(reqs(), before + 1);
+    } finally {
+      await inbox.stop();
+      await relay.close();
+    }
+  });
+
+  it('fetchTrust reads the whole history', async () => {
+    const relay = await startMockRelay();
+    const a = attest('service-quality', aliceSk);
+    relay.publish(a);
+    relay.publish(attest('identity-continuity', bobSk));
+    relay.publish(revoke(a, aliceSk));
+    try {
+      const ledger = await fetchTrust(myPk, [relay.url]);
+      assert.deepEqual(ledger.summary().types, { 'identity-continuity': { count: 1, score: 1 } });
+      assert.equal(ledger.summary().revoked, 1);
+    } finally {
+      await relay.close();
+    }
+  });
+});
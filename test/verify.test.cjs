@@ -0,0 +1,101 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { createInbox } = require('../src/index.cjs');
+const { checkEvent } = require('../src/verify.cjs');
+
+const sk = generateSecretKey();
+const TEST_PUBKEY = 'dc52438efbf965d35738743daf9f7c718976462b010aa4e5ed24e569825bae94';
+
+// Round-trip through JSON like a relay would, dropping nostr-tools' cached verification flag
+function signed(overrides = {}) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind: 5050,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', TEST_PUBKEY]],
+    content: 'do some work',
+    ...overrides
+  }, sk)));
+}
+
+// ── checkEvent ─────────────────────────────────────────
+
+describe('checkEvent', () => {
+  it('accepts a properly signed event', () => {
+    assert.equal(checkEvent(signed()), null);
+  });
+
+  it('rejects a tampered id', () => {
+    const event = { ...signed(), content: 'changed after signing' };
+    assert.equal(checkEvent(event), 'invalid id');
+  });
+
+  it('rejects a forged signature', () => {
+    const real = signed();
+    const other = signed({ content: 'other' });
+    assert.equal(checkEvent({ ...real, sig: other.sig }), 'invalid signature');
+  });
+
+  it('rejects an event re-attributed to another pubkey', () => {
+    const event = { ...signed(), pubkey: TEST_PUBKEY };
+    assert.equal(checkEvent(event), 'invalid id');
+  });
+
+  it('rejects malformed events', () => {
+    assert.equal(checkEvent(null), 'malformed: not an object');
+    assert.equal(checkEvent({ ...signed(), id: 'abc' }), 'malformed: id');
+    assert.equal(checkEvent({ ...signed(), sig: undefined }), 'malformed: sig');
+    assert.equal(checkEvent({ ...signed(), kind: '1' }), 'malformed: kind');
+    assert.equal(checkEvent({ ...signed(), tags: [['p', 5]] }), 'malformed: tags');
+    assert.equal(checkEvent({ ...signed(), content: null }), 'malformed: content');
+  });
+});
+
+// ── Inbox ──────────────────────────────────────────────
+
+describe('Inbox verification', () => {
+  it('emits rejected and counts it in status()', async () => {
+    const inbox = createInbox({ pubkey: TEST_PUBKEY });
+    const rejected = [];
+    const notifications = [];
+    inbox.on('rejected', (r) => rejected.push(r));
+    inbox.on('notification', (n) => notifications.push(n));
+
+    const forged = { ...signed(), content: 'forged' };
+    await inbox.ingest(forged);
+
+    assert.equal(notifications.length, 0);
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].id, forged.id);
+    assert.equal(rejected[0].reason, 'invalid id');
+    assert.equal(inbox.status().rejected, 1);
+  });
+
+  it('does not let a forged copy shadow the real event', async () => {
+    const inbox = createInbox({ pubkey: TEST_PUBKEY });
+    const notifications = [];
+    inbox.on('notification', (n) => notifications.push(n));
+
+    const real = signed();
+    await inbox.ingest({ ...real, content: 'forged' });
+    await inbox.ingest(real);
+
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].content, 'do some work');
+  });
+
+  it('skips verification when verify is false', async () => {
+    const inbox = createInbox({ pubkey: TEST_PUBKEY, verify: false });
+    const notifications = [];
+    inbox.on('notification', (n) => notifications.push(n));
+
+    await inbox.ingest({ ...signed(), content: 'unchecked' });
+
+    assert.equal(notifications.length, 1);
+    assert.equal(inbox.status().rejected, 0);
+  });
+});
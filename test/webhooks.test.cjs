@@ -3,6 +3,7 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 const http = require('http');
+const { EventEmitter } = require('events');
 
 const { createWebhook, verifySignature } = require('../src/webhooks.cjs');
 
@@ -116,6 +117,41 @@ test('Event Filtering', async (t) => {
   });
 });
 
+test('Digests', async (t) => {
+  await t.test('forwards inbox digests unless events leaves them out', async () => {
+    let received = [];
+
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.writeHead(200);
+        res.end('ok');
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, resolve));
+    const port = server.address().port;
+
+    const inbox = new EventEmitter();
+    const webhook = createWebhook({ url: `http://localhost:${port}/hook` }).attach(inbox);
+    const filtered = createWebhook({ url: `http://localhost:${port}/hook`, events: ['dm'] }).attach(inbox);
+
+    inbox.emit('digest', { total: 2, byType: { reaction: 2 } });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    webhook.detach(inbox);
+    filtered.detach(inbox);
+    server.close();
+    await webhook.close();
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].event, 'digest');
+    assert.equal(received[0].digest.total, 2);
+  });
+});
+
 test('Batching', async (t) => {
   await t.test('batches notifications', async () => {
     let received = [];
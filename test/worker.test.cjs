@@ -0,0 +1,158 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+const nip04 = require('nostr-tools/nip04');
+
+const { createInbox } = require('../src/index.cjs');
+const { startMockRelay, waitUntil } = require('./helpers/mock-relay.cjs');
+
+const mySk = generateSecretKey();
+const myPk = getPublicKey(mySk);
+const customerSk = generateSecretKey();
+const customerPk = getPublicKey(customerSk);
+
+const DVM_ONLY = {
+  mentions: false, dms: false, dvmRequests: true, dvmResults: false,
+  zaps: false, reactions: false, trust: false, marketplace: false
+};
+
+function request(tags, content = '', kind = 5050) {
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind, created_at: Math.floor(Date.now() / 1000), content, tags: [['p', myPk], ...tags]
+  }, customerSk)));
+}
+
+async function withWorker(fn, opts = {}) {
+  const relay = await startMockRelay();
+  const inbox = createInbox({ pubkey: myPk, relays: [relay.url], channels: DVM_ONLY, secretKey: mySk, ...opts });
+  try {
+    await inbox.start();
+    await fn(inbox, relay);
+  } finally {
+    await inbox.stop();
+    await relay.close();
+  }
+}
+
+const byKind = (relay, kind) => relay.events.filter(e => e.kind === kind);
+const tag = (event, name) => event.tags.find(t => t[0] === name);
+
+describe('handleJobs', () => {
+  it('needs a signer', () => {
+    const inbox = createInbox({ pubkey: myPk, relays: [] });
+    assert.throws(() => inbox.handleJobs(5050, async () => 'x'), /secretKey or a signer/);
+    const withKey = createInbox({ pubkey: myPk, relays: [], secretKey: mySk });
+    assert.throws(() => withKey.handleJobs(6050, async () => 'x'), /invalid job kind 6050/);
+  });
+
+  it('sends processing feedback, then the result with NIP-90 tags', async () => {
+    await withWorker(async (inbox, relay) => {
+      const completed = [];
+      inbox.on('job_completed', (info) => completed.push(info));
+      inbox.handleJobs(5050, async (job) => `echo: ${job.inputs[0].value} (${job.params.model})`);
+
+      const job = request([['i', 'hello', 'text'], ['param', 'model', 'tiny']]);
+      relay.publish(job);
+      await waitUntil(() => completed.length === 1);
+
+      const [feedback] = byKind(relay, 7000);
+      assert.deepEqual(tag(feedback, 'status'), ['status', 'processing']);
+
+      const [result] = byKind(relay, 6050);
+      assert.equal(result.pubkey, myPk);
+      assert.equal(result.content, 'echo: hello (tiny)');
+      assert.deepEqual(JSON.parse(tag(result, 'request')[1]), job);
+      assert.deepEqual(tag(result, 'e'), ['e', job.id]);
+      assert.deepEqual(tag(result, 'p'), ['p', customerPk]);
+      assert.deepEqual(tag(result, 'i'), ['i', 'hello', 'text']);
+      assert.equal(completed[0].result.id, result.id);
+      assert.equal(completed[0].attempts, 1);
+    });
+  });
+
+  it('still handles requests whose type a rule renamed', async () => {
+    await withWorker(async (inbox, relay) => {
+      const completed = [];
+      inbox.on('job_completed', (info) => completed.push(info));
+      inbox.handleJobs(5050, async () => 'done');
+
+      relay.publish(request([['i', 'hello', 'text']]));
+      await waitUntil(() => completed.length === 1);
+      assert.equal(byKind(relay, 6050)[0].content, 'done');
+    }, { rules: [{ match: { kind: 5050 }, type: 'translation_job' }] });
+  });
+
+  it('retries, then sends error feedback', async () => {
+    await withWorker(async (inbox, relay) => {
+      const failed = [];
+      inbox.on('job_failed', (info) => failed.push(info));
+      let calls = 0;
+      inbox.handleJobs(5050, async () => {
+        calls++;
+        throw new Error('model unavailable');
+      }, { retries: 1, retryDelayMs: 10, feedback: false });
+
+      relay.publish(request([['i', 'x', 'text']]));
+      await waitUntil(() => failed.length === 1);
+
+      assert.equal(calls, 2);
+      assert.equal(failed[0].attempts, 2);
+      assert.equal(failed[0].error, 'model unavailable');
+      const feedback = byKind(relay, 7000);
+      assert.equal(feedback.length, 1);
+      assert.deepEqual(tag(feedback[0], 'status'), ['status', 'error', 'model unavailable']);
+      assert.equal(byKind(relay, 6050).length, 0);
+    });
+  });
+
+  it('limits concurrency and skips jobs for other providers', async () => {
+    await withWorker(async (inbox, relay) => {
+      const completed = [];
+      inbox.on('job_completed', (info) => completed.push(info));
+      let active = 0;
+      let peak = 0;
+      inbox.handleJobs([5050, 5100], async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        active--;
+        return { content: { ok: true }, amountMsats: 1000 };
+      }, { concurrency: 2, feedback: false });
+
+      for (let i = 0; i < 4; i++) relay.publish(request([['i', String(i), 'text']], '', i % 2 ? 5100 : 5050));
+      // Tags us and another provider: still ours. Tags only another provider: not
+      relay.publish(request([['p', customerPk], ['i', 'shared', 'text']]));
+      await inbox.ingest(JSON.parse(JSON.stringify(finalizeEvent({
+        kind: 5050, created_at: Math.floor(Date.now() / 1000), content: '', tags: [['p', customerPk], ['i', 'other', 'text']]
+      }, customerSk))));
+
+      await waitUntil(() => completed.length === 5);
+      assert.equal(peak, 2);
+      assert.deepEqual(inbox.status().workers[5050], { queued: 0, active: 0 });
+
+      const result = byKind(relay, 6100)[0];
+      assert.equal(result.content, '{"ok":true}');
+      assert.deepEqual(tag(result, 'amount'), ['amount', '1000']);
+    });
+  });
+
+  it('encrypts results of encrypted jobs', async () => {
+    await withWorker(async (inbox, relay) => {
+      const completed = [];
+      inbox.on('job_completed', (info) => completed.push(info));
+      inbox.handleJobs(5050, async (job) => `secret: ${job.inputs[0].value}`);
+
+      const hidden = nip04.encrypt(customerSk, myPk, JSON.stringify([['i', 'psst', 'text']]));
+      relay.publish(request([['encrypted']], hidden));
+      await waitUntil(() => completed.length === 1);
+
+      const [result] = byKind(relay, 6050);
+      assert.ok(tag(result, 'encrypted'));
+      assert.equal(tag(result, 'i'), undefined);
+      assert.equal(nip04.decrypt(customerSk, myPk, result.content), 'secret: psst');
+    });
+  });
+});
@@ -0,0 +1,230 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+
+const { decodeBolt11 } = require('../src/bolt11.cjs');
+const { parseZapReceipt } = require('../src/zaps.cjs');
+const { createPipeline } = require('../src/pipeline.cjs');
+
+// ── Test invoice builder ───────────────────────────────
+// Builds a bech32-valid invoice with a dummy signature (decodeBolt11 doesn't check it)
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+function polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >> i) & 1) chk ^= GEN[i];
+  }
+  return chk;
+}
+
+function toWords(bytes) {
+  const words = [];
+  let acc = 0;
+  let bits = 0;
+  for (const b of bytes) {
+    acc = (acc << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >> bits) & 31);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (bits > 0) words.push((acc << (5 - bits)) & 31);
+  return words;
+}
+
+function makeInvoice({ amount, descriptionHash }) {
+  const hrp = `lnbc${amount}`;
+  const timestamp = [];
+  let t = 1700000000;
+  for (let i = 0; i < 7; i++) { timestamp.unshift(t & 31); t = Math.floor(t / 32); }
+  const hashWords = toWords(Buffer.from(descriptionHash, 'hex'));
+  const paymentWords = toWords(crypto.randomBytes(32));
+  const data = [
+    ...timestamp,
+    1, 1, 20, ...paymentWords,
+    23, 1, 20, ...hashWords,
+    ...new Array(104).fill(0)
+  ];
+  const expanded = [...hrp].map(c => c.charCodeAt(0) >> 5).concat([0], [...hrp].map(c => c.charCodeAt(0) & 31));
+  const mod = polymod(expanded.concat(data, [0, 0, 0, 0, 0, 0])) ^ 1;
+  const checksum = [];
+  for (let i = 0; i < 6; i++) checksum.push((mod >> (5 * (5 - i))) & 31);
+  return hrp + '1' + data.concat(checksum).map(w => CHARSET[w]).join('');
+}
+
+// ── Fixtures ───────────────────────────────────────────
+
+const recipientPk = getPublicKey(generateSecretKey());
+const zapperSk = generateSecretKey();
+const zapperPk = getPublicKey(zapperSk);
+const providerSk = generateSecretKey();
+const providerPk = getPublicKey(providerSk);
+const noteId = 'a'.repeat(64);
+
+function makeZap({ amountTag = '21000', invoiceAmount = '210n', signer = providerSk, tamperDescription = false } = {}) {
+  const request = finalizeEvent({
+    kind: 9734,
+    created_at: Math.floor(Date.now() / 1000),
+    content: 'great post!',
+    tags: [['p', recipientPk], ['e', noteId], ['relays', 'wss://relay.example'], ['amount', amountTag]]
+  }, zapperSk);
+  const description = JSON.stringify(request);
+  const descriptionHash = crypto.createHash('sha256').update(description).digest('hex');
+  const bolt11 = makeInvoice({ amount: invoiceAmount, descriptionHash });
+
+  return JSON.parse(JSON.stringify(finalizeEvent({
+    kind: 9735,
+    created_at: Math.floor(Date.now() / 1000),
+    content: '',
+    tags: [
+      ['p', recipientPk],
+      ['e', noteId],
+      ['bolt11', bolt11],
+      ['description', tamperDescription ? description.replace('great', 'grand') : description]
+    ]
+  }, signer)));
+}
+
+// ── decodeBolt11 ───────────────────────────────────────
+
+describe('decodeBolt11', () => {
+  it('decodes the BOLT-11 spec example', () => {
+    const invoice = decodeBolt11('lnbc2500u1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpuaztrnwngzn3kdzw5hydlzf03qdgm2hdq27cqv3agm2awhz5se903vruatfhq77w3ls4evs3ch9zw97j25emudupq63nyw24cg27h2rspfj9srp');
+    assert.equal(invoice.network, 'bc');
+    assert.equal(invoice.amountMsats, 250000000);
+    assert.equal(invoice.description, '1 cup coffee');
+    assert.equal(invoice.expiry, 60);
+    assert.equal(invoice.paymentHash, '0001020304050607080900010203040506070809000102030405060708090102');
+  });
+
+  it('handles every amount multiplier', () => {
+    const hash = '00'.repeat(32);
+    assert.equal(decodeBolt11(makeInvoice({ amount: '1m', descriptionHash: hash })).amountMsats, 100000000);
+    assert.equal(decodeBolt11(makeInvoice({ amount: '21u', descriptionHash: hash })).amountMsats, 2100000);
+    assert.equal(decodeBolt11(makeInvoice({ amount: '210n', descriptionHash: hash })).amountMsats, 21000);
+    assert.equal(decodeBolt11(makeInvoice({ amount: '10p', descriptionHash: hash })).amountMsats, 1);
+  });
+
+  it('reads the description hash', () => {
+    const hash = 'ab'.repeat(32);
+    assert.equal(decodeBolt11(makeInvoice({ amount: '1u', descriptionHash: hash })).descriptionHash, hash);
+  });
+
+  it('rejects a bad checksum', () => {
+    const invoice = makeInvoice({ amount: '1u', descriptionHash: '00'.repeat(32) });
+    const broken = invoice.slice(0, -1) + (invoice.endsWith('q') ? 'p' : 'q');
+    assert.throws(() => decodeBolt11(broken), /checksum/);
+  });
+});
+
+// ── parseZapReceipt ────────────────────────────────────
+
+describe('parseZapReceipt', () => {
+  it('parses amount, sender, comment and zapped event', async () => {
+    const { zap, errors } = await parseZapReceipt(makeZap(), { zapProviders: [providerPk] });
+    assert.deepEqual(errors, []);
+    assert.equal(zap.amountMsats, 21000);
+    assert.equal(zap.amountSats, 21);
+    assert.equal(zap.sender, zapperPk);
+    assert.equal(zap.recipient, recipientPk);
+    assert.equal(zap.comment, 'great post!');
+    assert.equal(zap.eventId, noteId);
+    assert.equal(zap.provider, providerPk);
+  });
+
+  it('checks the receipt signer against known providers', async () => {
+    const ok = await parseZapReceipt(makeZap(), { zapProviders: [providerPk] });
+    assert.deepEqual(ok.errors, []);
+    assert.equal(ok.zap.providerChecked, true);
+
+    const forged = await parseZapReceipt(makeZap({ signer: generateSecretKey() }), { zapProviders: [providerPk] });
+    assert.ok(forged.errors.some(e => /LNURL provider/.test(e)));
+  });
+
+  it('says when the signer could not be checked', async () => {
+    // Without providers a self-signed receipt passes every check that can run
+    const unchecked = await parseZapReceipt(makeZap({ signer: generateSecretKey() }));
+    assert.deepEqual(unchecked.errors, []);
+    assert.equal(unchecked.zap.providerChecked, false);
+    assert.equal(unchecked.zap.sender, zapperPk);
+
+    const unknown = await parseZapReceipt(makeZap(), { zapProviders: async () => null });
+    assert.deepEqual(unknown.errors, []);
+    assert.equal(unknown.zap.providerChecked, false);
+  });
+
+  it('accepts a provider resolver function', async () => {
+    const seen = [];
+    const { errors } = await parseZapReceipt(makeZap(), {
+      zapProviders: async (recipient) => { seen.push(recipient); return providerPk; }
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(seen, [recipientPk]);
+  });
+
+  it('flags an amount mismatch', async () => {
+    const { errors } = await parseZapReceipt(makeZap({ amountTag: '1000000' }));
+    assert.ok(errors.includes('invoice amount does not match zap request'));
+  });
+
+  it('flags a description that does not match the invoice hash', async () => {
+    const { errors } = await parseZapReceipt(makeZap({ tamperDescription: true }));
+    assert.ok(errors.includes('description hash does not match invoice'));
+  });
+
+  it('flags a receipt with no bolt11 or description', async () => {
+    const { zap, errors } = await parseZapReceipt({ kind: 9735, pubkey: providerPk, tags: [['p', recipientPk]], content: '' });
+    assert.equal(zap.amountMsats, null);
+    assert.ok(errors.includes('missing bolt11 tag'));
+    assert.ok(errors.includes('missing description tag'));
+  });
+});
+
+// ── Pipeline ───────────────────────────────────────────
+
+describe('Zap notifications', () => {
+  it('reports valid zaps from the real zapper', async () => {
+    const processEvent = createPipeline({ pubkey: recipientPk, zapProviders: [providerPk] });
+    const n = await processEvent(makeZap());
+    assert.equal(n.type, 'zap');
+    assert.equal(n.priority, 'medium');
+    assert.equal(n.from, zapperPk);
+    assert.equal(n.zap.valid, true);
+    assert.equal(n.unverified, undefined);
+  });
+
+  it('keeps the zapper and priority of well-formed receipts without zapProviders', async () => {
+    const processEvent = createPipeline({ pubkey: recipientPk });
+    const n = await processEvent(makeZap());
+    assert.equal(n.zap.valid, true);
+    assert.equal(n.zap.providerChecked, false);
+    assert.equal(n.unverified, undefined);
+    assert.equal(n.priority, 'medium');
+    assert.equal(n.from, zapperPk);
+
+    const broken = await processEvent(makeZap({ amountTag: '1000000' }));
+    assert.equal(broken.unverified, true);
+    assert.equal(broken.priority, 'low');
+  });
+
+  it('marks fake receipts as unverified, low priority', async () => {
+    const processEvent = createPipeline({ pubkey: recipientPk, zapProviders: [providerPk] });
+    const n = await processEvent(makeZap({ signer: generateSecretKey() }));
+    assert.equal(n.type, 'zap');
+    assert.equal(n.priority, 'low');
+    assert.equal(n.unverified, true);
+    assert.equal(n.zap.valid, false);
+    assert.ok(n.zap.errors.length > 0);
+  });
+});